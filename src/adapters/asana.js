@@ -0,0 +1,134 @@
+import chalk from "chalk";
+import { dismissDialogs } from "../scraper/browser.js";
+import { waitForSettle } from "../scraper/settle.js";
+import { isApiCall, DEFAULT_API_PATTERNS } from "../scraper/network-capture.js";
+
+const BASE_URL = "https://app.asana.com";
+
+const API_PATTERNS = [...DEFAULT_API_PATTERNS, "app.asana.com/api"];
+
+const CLOSE_SELECTORS = [
+    'button[aria-label="Close"]',
+    'button[aria-label="Dismiss"]',
+    '[role="dialog"] button:has-text("×")',
+    '[role="dialog"] button.close',
+    '[role="dialog"] [aria-label*="close" i]',
+    'button:has-text("Maybe later")',
+    'button:has-text("Skip")',
+    '.modal button[aria-label="Close"]',
+];
+
+// Asana uses URLs like /1/[workspace-id]/home; /0/home works without one
+const ROUTES = {
+    home: "home",
+    projects: "projects",
+    tasks: "tasks",
+};
+
+const FALLBACK_ROUTES = {
+    home: "home",
+    projects: "projects",
+    tasks: "my-tasks",
+};
+
+export function createAsanaAdapter({ baseUrl = BASE_URL } = {}) {
+    return {
+        name: "asana",
+        baseUrl,
+        requiresLogin: true,
+        routes: ROUTES,
+
+        login: (page, credentials) => loginToAsana(page, baseUrl, credentials),
+
+        async isLoggedIn(page) {
+            await page.goto(this.resolveRoute("home"), {
+                waitUntil: "load",
+                timeout: 90000,
+            });
+            // Expired sessions are redirected to the login page client-side
+            await waitForSettle(page);
+            return !page.url().includes("/-/login");
+        },
+
+        resolveRoute(pageName, currentUrl = "") {
+            const key = pageName.toLowerCase();
+            const workspaceMatch = currentUrl.match(
+                /app\.asana\.com\/(\d+\/\d+)\//
+            );
+
+            if (workspaceMatch) {
+                return ROUTES[key]
+                    ? `${baseUrl}/${workspaceMatch[1]}/${ROUTES[key]}`
+                    : null;
+            }
+
+            // Fallback to /0/ if we can't detect workspace
+            return FALLBACK_ROUTES[key]
+                ? `${baseUrl}/0/${FALLBACK_ROUTES[key]}`
+                : null;
+        },
+
+        isApiCall: (url) => isApiCall(url, API_PATTERNS),
+
+        dismissInterstitials: (page) => dismissDialogs(page, CLOSE_SELECTORS),
+    };
+}
+
+async function loginToAsana(page, baseUrl, { email, password }) {
+    console.log(chalk.gray("  → Logging into Asana..."));
+
+    try {
+        // Navigate to login page - use load instead of domcontentloaded for more reliability
+        console.log(chalk.gray("  → Navigating to login page..."));
+        await page.goto(`${baseUrl}/-/login`, {
+            waitUntil: "load",
+            timeout: 90000, // Increased timeout
+        });
+
+        // Wait for the page to be ready
+        await waitForSettle(page);
+
+        // Step 1: Enter email and click Continue
+        console.log(chalk.gray("  → Step 1: Entering email..."));
+        await page.waitForSelector('input[type="email"]', { timeout: 20000 });
+        await page.fill('input[type="email"]', email);
+
+        // Simply press Enter - most reliable method
+        console.log(chalk.gray("  → Submitting email (pressing Enter)..."));
+        await page.press('input[type="email"]', "Enter");
+
+        // Step 2: Wait for password page and enter password
+        console.log(chalk.gray("  → Step 2: Waiting for password field..."));
+        await page.waitForSelector('input[type="password"]', {
+            timeout: 20000,
+        });
+
+        console.log(chalk.gray("  → Entering password..."));
+        await page.fill('input[type="password"]', password);
+
+        // Simply press Enter - most reliable method
+        console.log(chalk.gray("  → Submitting password (pressing Enter)..."));
+        await page.press('input[type="password"]', "Enter");
+
+        // Wait for navigation to home page
+        console.log(chalk.gray("  → Waiting for home page to load..."));
+        await page.waitForURL(`${baseUrl}/**`, { timeout: 60000 });
+
+        // Wait for the page to load
+        await page.waitForLoadState("load", { timeout: 30000 });
+
+        // Wait for any initial animations/modals to complete
+        await waitForSettle(page);
+
+        // Dismiss any signup/onboarding dialogs
+        await dismissDialogs(page, CLOSE_SELECTORS);
+
+        console.log(chalk.green("  ✓ Logged in successfully"));
+        return true;
+    } catch (error) {
+        console.error(chalk.red("  ✗ Login failed:"), error.message);
+        console.log(chalk.yellow("  ℹ Current URL:"), page.url());
+
+        throw new Error(`Login failed: ${error.message}`);
+    }
+}
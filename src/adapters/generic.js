@@ -0,0 +1,73 @@
+import chalk from "chalk";
+import { dismissDialogs } from "../scraper/browser.js";
+import { isApiCall, DEFAULT_API_PATTERNS } from "../scraper/network-capture.js";
+
+/**
+ * Adapter for any app with a single-page username/password login form
+ * (or no login at all), e.g. internal tools or a local fixture app.
+ */
+export function createGenericAdapter({
+    baseUrl,
+    loginPath = null,
+    usernameSelector = 'input[type="email"], input[name="username"], input[name="email"]',
+    passwordSelector = 'input[type="password"]',
+    submitSelector = 'button[type="submit"]',
+    routes = {},
+    apiPatterns = DEFAULT_API_PATTERNS,
+    closeSelectors,
+} = {}) {
+    if (!baseUrl) {
+        throw new Error("The generic adapter needs a baseUrl (TARGET_URL)");
+    }
+
+    return {
+        name: "generic",
+        baseUrl,
+        requiresLogin: Boolean(loginPath),
+        routes,
+
+        async login(page, { email, password }) {
+            await page.goto(baseUrl, { waitUntil: "load", timeout: 90000 });
+            if (!loginPath) return true;
+
+            console.log(chalk.gray(`  → Logging into ${baseUrl}...`));
+
+            try {
+                await page.goto(new URL(loginPath, baseUrl).toString(), {
+                    waitUntil: "load",
+                    timeout: 90000,
+                });
+                await page.fill(usernameSelector, email);
+                await page.fill(passwordSelector, password);
+
+                if (await page.$(submitSelector)) {
+                    await page.click(submitSelector);
+                } else {
+                    await page.press(passwordSelector, "Enter");
+                }
+
+                await page.waitForLoadState("load", { timeout: 30000 });
+
+                console.log(chalk.green("  ✓ Logged in successfully"));
+                return true;
+            } catch (error) {
+                console.error(chalk.red("  ✗ Login failed:"), error.message);
+                throw new Error(`Login failed: ${error.message}`);
+            }
+        },
+
+        async isLoggedIn(page) {
+            await page.goto(baseUrl, { waitUntil: "load", timeout: 90000 });
+            return !loginPath || !page.url().includes(loginPath);
+        },
+
+        resolveRoute(pageName) {
+            const route = routes[pageName.toLowerCase()] ?? `/${pageName}`;
+            return new URL(route, baseUrl).toString();
+        },
+
+        isApiCall: (url) => isApiCall(url, apiPatterns),
+
+        dismissInterstitials: (page) => dismissDialogs(page, closeSelectors),
+    };
+}
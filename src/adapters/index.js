@@ -0,0 +1,49 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { createAsanaAdapter } from "./asana.js";
+import { createGenericAdapter } from "./generic.js";
+
+/**
+ * A target-site adapter tells the scraper how to work with one app:
+ *
+ *   name                        Adapter name, used in logs and file names
+ *   baseUrl                     Origin of the app
+ *   requiresLogin               Whether credentials are needed
+ *   routes                      Map of page name → path
+ *   login(page, credentials)    Log in and leave the page on the landing page
+ *   isLoggedIn(page)            Open the landing page; false if sent to login
+ *   resolveRoute(name, url)     Absolute URL of a named page (or null)
+ *   isApiCall(url)              Whether a request belongs in the API capture
+ *   dismissInterstitials(page)  Close onboarding dialogs, banners, modals
+ */
+const BUILT_IN_ADAPTERS = {
+    asana: createAsanaAdapter,
+    generic: createGenericAdapter,
+};
+
+/**
+ * Load a built-in adapter by name, or a custom adapter from a module path
+ * whose default export is a factory taking the same options.
+ */
+export async function loadAdapter(nameOrPath = "asana", options = {}) {
+    let factory = BUILT_IN_ADAPTERS[nameOrPath];
+
+    if (!factory && nameOrPath.endsWith(".js")) {
+        const module = await import(
+            pathToFileURL(path.resolve(nameOrPath)).href
+        );
+        factory = module.default;
+    }
+
+    if (typeof factory !== "function") {
+        throw new Error(
+            `Unknown target adapter "${nameOrPath}". Built-in adapters: ${Object.keys(
+                BUILT_IN_ADAPTERS
+            ).join(", ")}`
+        );
+    }
+
+    return factory(options);
+}
+
+export { createAsanaAdapter, createGenericAdapter };
@@ -0,0 +1,185 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { ASSETS_DIRNAME, ASSET_MANIFEST_FILENAME } from "../scraper/assets.js";
+
+/**
+ * Asset manifest written by the scraper, or null for scrapes without one
+ */
+export async function loadAssetManifest(scrapeDir) {
+    const manifestFile = path.join(
+        scrapeDir,
+        ASSETS_DIRNAME,
+        ASSET_MANIFEST_FILENAME
+    );
+    return (await fs.pathExists(manifestFile))
+        ? fs.readJson(manifestFile)
+        : null;
+}
+
+/**
+ * Give each icon a unique component name and each file its public URL,
+ * so prompts and generated files agree on how to reference them
+ */
+export function resolveAssets(manifest) {
+    const usedNames = new Set();
+
+    return (manifest?.assets || []).map((asset) => {
+        if (asset.kind !== "icon") {
+            return { ...asset, publicPath: `/${asset.file}` };
+        }
+
+        const base = `${toPascalCase(asset.name || "") || "Asset"}Icon`;
+        let component = base;
+        for (let i = 2; usedNames.has(component); i++) {
+            component = `${base}${i}`;
+        }
+        usedNames.add(component);
+        return { ...asset, component };
+    });
+}
+
+/**
+ * Copy images, favicons and fonts into public/assets, turn SVG icons into
+ * React components under src/components/icons, and return @font-face rules
+ * for the collected fonts
+ */
+export async function writeAssets(outputDir, scrapeDir, assets) {
+    const icons = assets.filter((asset) => asset.kind === "icon");
+    const files = assets.filter((asset) => asset.kind !== "icon");
+
+    for (const asset of files) {
+        await fs.copy(
+            path.join(scrapeDir, asset.file),
+            path.join(outputDir, "public", asset.file)
+        );
+    }
+
+    const iconsDir = path.join(outputDir, "src/components/icons");
+    await fs.ensureDir(iconsDir);
+    for (const icon of icons) {
+        const svg = await fs.readFile(path.join(scrapeDir, icon.file), "utf8");
+        await fs.writeFile(
+            path.join(iconsDir, `${icon.component}.jsx`),
+            `import React from 'react';
+
+export default function ${icon.component}(props) {
+  return (
+    ${svgToJsx(svg.trim())}
+  );
+}
+`
+        );
+    }
+    await fs.writeFile(
+        path.join(iconsDir, "index.js"),
+        icons
+            .map(
+                (icon) =>
+                    `export { default as ${icon.component} } from './${icon.component}';`
+            )
+            .join("\n") + "\n"
+    );
+
+    console.log(
+        chalk.gray(
+            `    • Copied ${files.length} assets, created ${icons.length} icon components`
+        )
+    );
+
+    return files
+        .filter((asset) => asset.kind === "font" && asset.font?.family)
+        .map(
+            (asset) => `@font-face {
+  font-family: '${asset.font.family}';
+  src: url('${asset.publicPath}');
+  font-weight: ${asset.font.weight};
+  font-style: ${asset.font.style};
+  font-display: swap;
+}`
+        )
+        .join("\n\n");
+}
+
+/**
+ * Convert SVG markup to JSX tag by tag: camelCased attributes (namespaced
+ * ones too: xlink:href → xlinkHref, xml:space → xmlSpace), className, no
+ * inline style strings or scripts, <style> content and text with braces as
+ * template literals, and caller props spread last onto the root element
+ */
+export function svgToJsx(svg) {
+    let inStyle = false;
+    let root = true;
+
+    return svg
+        .replace(/<!--[\s\S]*?-->|<\?xml[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, "")
+        .replace(/<script[\s\S]*?<\/script>/gi, "")
+        .trim()
+        .replace(SVG_TOKEN, (token) => {
+            if (!token.startsWith("<")) {
+                return inStyle || /[{}]/.test(token) ? jsxText(token) : token;
+            }
+            if (token.startsWith("</")) {
+                if (/^<\/style/i.test(token)) inStyle = false;
+                return token;
+            }
+
+            const [, name, rest] = token.match(/^<([^\s/>]+)([\s\S]*)$/);
+            const selfClosing = /\/\s*>$/.test(rest);
+            if (/^style$/i.test(name) && !selfClosing) inStyle = true;
+
+            const attributes = [];
+            for (const [, attribute, value] of rest.matchAll(SVG_ATTRIBUTE)) {
+                const jsxName = jsxAttributeName(attribute);
+                if (!jsxName) continue;
+                attributes.push(
+                    value === undefined
+                        ? jsxName
+                        : `${jsxName}="${value
+                              .replace(/^["']|["']$/g, "")
+                              .replace(/"/g, "&quot;")}"`
+                );
+            }
+            // Last, so the caller's className, width and height win
+            if (root) attributes.push("{...props}");
+            root = false;
+
+            return `<${name}${attributes.map((a) => ` ${a}`).join("")}${
+                selfClosing ? " />" : ">"
+            }`;
+        });
+}
+
+// Tags (quoted attribute values may contain ">") and the text between them
+const SVG_TOKEN = /<(?:"[^"]*"|'[^']*'|[^'">])*>|[^<]+/g;
+const SVG_ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+function jsxAttributeName(name) {
+    if (name === "style") return null;
+    if (name === "class") return "className";
+    if (/^(data|aria)-/.test(name)) return name;
+    return name
+        .replace(/:([a-z])/g, (_, c) => c.toUpperCase())
+        .replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Text as a JSX expression, so braces and CSS are kept literally
+function jsxText(text) {
+    const escaped = text
+        .replace(/\\/g, "\\\\")
+        .replace(/`/g, "\\`")
+        .replace(/\$\{/g, "\\${");
+    return `{\`${escaped}\`}`;
+}
+
+function toPascalCase(value) {
+    return value
+        .replace(/[^a-zA-Z0-9]+/g, " ")
+        .trim()
+        .split(" ")
+        .filter(Boolean)
+        .slice(0, 4)
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join("")
+        .replace(/^\d+/, "");
+}
@@ -3,11 +3,21 @@ import {
     generateTestCases,
     inferDataSchema,
 } from "../llm/openai-client.js";
+import { compressApiCalls } from "../llm/compress.js";
+import {
+    collectFormRequests,
+    formConstraints,
+    writeFormSchemas,
+} from "./forms.js";
 import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
 
-export async function generateBackend(scrapedData, outputDir) {
+/**
+ * Generate the FastAPI backend into `outputDir` from a run's scraped data;
+ * `runDir` is the run directory holding the per-page API call files
+ */
+export async function generateBackend(scrapedData, outputDir, { runDir }) {
     await fs.ensureDir(outputDir);
 
     console.log(chalk.cyan("  Collecting API calls..."));
@@ -15,10 +25,7 @@ export async function generateBackend(scrapedData, outputDir) {
     // Collect all API calls from all pages
     const allApiCalls = [];
     for (const page of scrapedData.pages) {
-        const apiCallsFile = path.join(
-            process.env.OUTPUT_DIR || "./output",
-            `${page.name}-api-calls.json`
-        );
+        const apiCallsFile = path.join(runDir, `${page.name}-api-calls.json`);
         if (await fs.pathExists(apiCallsFile)) {
             const apiCalls = await fs.readJson(apiCallsFile);
             allApiCalls.push(...apiCalls);
@@ -29,17 +36,33 @@ export async function generateBackend(scrapedData, outputDir) {
 
     // Generate database schema
     console.log(chalk.cyan("  Generating database schema..."));
-    const schema = await inferDataSchema(allApiCalls);
+    const { calls, report } = compressApiCalls(allApiCalls);
+    console.log(
+        chalk.gray(
+            `  ${report.included} of ${report.endpoints} endpoints fit the prompt (~${report.tokens.compressed} tokens)`
+        )
+    );
+    if (report.dropped.length > 0) {
+        console.log(
+            chalk.yellow(
+                `  ⚠ Left out for size (API_CALLS_TOKEN_BUDGET): ${report.dropped.join(
+                    ", "
+                )}`
+            )
+        );
+    }
+    const formRequests = collectFormRequests(scrapedData);
+    const schema = await inferDataSchema(calls, formConstraints(formRequests));
     await fs.writeFile(path.join(outputDir, "schema.sql"), schema);
     console.log(chalk.green("  ✓ Generated schema.sql"));
 
     // Create FastAPI project structure
-    await createFastAPIProject(outputDir, allApiCalls);
+    await createFastAPIProject(outputDir, allApiCalls, formRequests);
 
     console.log(chalk.green(`  ✓ Backend generated in ${outputDir}`));
 }
 
-async function createFastAPIProject(outputDir, apiCalls) {
+async function createFastAPIProject(outputDir, apiCalls, formRequests) {
     // Create directory structure
     const dirs = ["app/api", "app/models", "app/schemas", "app/db", "tests"];
 
@@ -143,8 +166,11 @@ async def get_db():
         await fs.writeFile(path.join(outputDir, dir, "__init__.py"), "");
     }
 
+    // Request models validated like the forms that sent them
+    const formSchemas = await writeFormSchemas(outputDir, formRequests);
+
     // Generate sample API routes
-    await generateSampleRoutes(outputDir, apiCalls);
+    await generateSampleRoutes(outputDir, apiCalls, formSchemas);
 
     // Generate OpenAPI spec
     await generateOpenAPISpec(outputDir, apiCalls);
@@ -198,19 +224,25 @@ See api.yml for OpenAPI specification.
     await fs.writeFile(path.join(outputDir, "README.md"), readme);
 }
 
-async function generateSampleRoutes(outputDir, apiCalls) {
+async function generateSampleRoutes(outputDir, apiCalls, formSchemas = []) {
     // Group API calls by resource
-    const resources = {
-        tasks: apiCalls.filter((call) => call.url.includes("/tasks")),
-        projects: apiCalls.filter((call) => call.url.includes("/projects")),
-        home: apiCalls.filter(
-            (call) => call.url.includes("/home") || call.url.includes("/user")
-        ),
+    const matchers = {
+        tasks: (url) => url.includes("/tasks"),
+        projects: (url) => url.includes("/projects"),
+        home: (url) => url.includes("/home") || url.includes("/user"),
     };
 
-    for (const [resource, calls] of Object.entries(resources)) {
+    for (const [resource, matches] of Object.entries(matchers)) {
+        const calls = apiCalls.filter((call) => matches(call.url));
         if (calls.length === 0) continue;
 
+        // A form that creates or updates this resource validates its input
+        const formSchema = formSchemas.find(
+            (schema) =>
+                ["POST", "PUT", "PATCH"].includes(schema.method) &&
+                matches(schema.url)
+        );
+
         console.log(chalk.gray(`    • Generating ${resource} routes...`));
 
         const routerCode = `from fastapi import APIRouter, Depends, HTTPException
@@ -281,16 +313,22 @@ async def delete_${resource.slice(
         );
 
         // Generate schemas
+        const createModel = formSchema
+            ? `class ${capitalize(resource)}Create(${formSchema.className}):
+    """Validated like the form that sent ${formSchema.method} ${
+                  formSchema.url
+              }"""`
+            : `class ${capitalize(resource)}Create(${capitalize(resource)}Base):
+    pass`;
         const schemaCode = `from pydantic import BaseModel
 from typing import Optional
 from datetime import datetime
-
+${formSchema ? `from app.schemas.forms import ${formSchema.className}\n` : ""}
 class ${capitalize(resource)}Base(BaseModel):
     name: str
     description: Optional[str] = None
 
-class ${capitalize(resource)}Create(${capitalize(resource)}Base):
-    pass
+${createModel}
 
 class ${capitalize(resource)}Response(${capitalize(resource)}Base):
     id: int
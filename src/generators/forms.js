@@ -0,0 +1,328 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { leafPaths } from "../scraper/forms.js";
+
+const FORM_SCHEMAS_FILE = "app/schemas/forms.py";
+
+const PYTHON_KEYWORDS = new Set(
+    "False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield".split(
+        " "
+    )
+);
+
+const NUMBER_TYPES = ["number", "range", "spinbutton", "slider"];
+const BOOLEAN_TYPES = ["checkbox", "switch"];
+const TEMPORAL_TYPES = {
+    date: "date",
+    "datetime-local": "datetime",
+    time: "time",
+};
+const EMAIL_PATTERN = "^[^@\\s]+@[^@\\s]+$";
+
+/**
+ * The forms of a run that sent a request when the workflow submitted them,
+ * with that request (see linkFormSubmissions)
+ */
+export function collectFormRequests(scrapedData) {
+    return scrapedData.pages.flatMap((page) =>
+        (page.forms || [])
+            .filter((form) => form.submission?.requests.length > 0)
+            .map((form) => ({
+                page: page.name,
+                form,
+                request: form.submission.requests[0],
+            }))
+    );
+}
+
+/**
+ * Write app/schemas/forms.py: a Pydantic request model per submitted form,
+ * shaped like the request body it sent and validated like its fields
+ * (required, pattern, length and range limits, options as Literal types).
+ * Returns `{ className, method, url }` for each model.
+ */
+export async function writeFormSchemas(outputDir, formRequests) {
+    const classes = [];
+    const schemas = [];
+    const taken = new Set();
+
+    for (const { page, form, request } of formRequests) {
+        const base = uniqueName(
+            `${pascalCase(
+                form.name || form.submit?.text || `${page} form`
+            )}Request`,
+            taken
+        );
+        classes.push(
+            ...modelClasses(base, bodyTree(form, request), {
+                taken,
+                docstring: `Request sent by the "${
+                    form.name || form.submit?.text || form.id
+                }" form on ${page}: ${request.method} ${request.url}`,
+            })
+        );
+        schemas.push({
+            className: base,
+            method: request.method,
+            url: request.url,
+        });
+    }
+
+    if (schemas.length === 0) return schemas;
+
+    const code = `"""Request models derived from the forms of the original app"""
+from datetime import date, datetime, time
+from typing import Any, List, Literal, Optional
+
+from pydantic import BaseModel, Field
+
+
+${classes.join("\n\n\n")}
+`;
+    await fs.writeFile(path.join(outputDir, FORM_SCHEMAS_FILE), code);
+    console.log(
+        chalk.gray(
+            `    • Generated ${schemas.length} form request models in ${FORM_SCHEMAS_FILE}`
+        )
+    );
+    return schemas;
+}
+
+// Body keys as a tree of { children } and { field, sample } leaves. Without
+// a parsed body, named fields are top-level keys.
+function bodyTree(form, request) {
+    const fieldsByKey = new Map(
+        form.fields
+            .filter((field) => field.bodyKey)
+            .map((field) => [field.bodyKey, field])
+    );
+    let leaves;
+    if (request.body && typeof request.body === "object") {
+        leaves = leafPaths(request.body);
+    } else if (request.bodyKeys) {
+        leaves = request.bodyKeys.map((key) => [key, undefined]);
+    } else {
+        leaves = form.fields
+            .filter((field) => field.name || field.id)
+            .map((field) => {
+                fieldsByKey.set(field.name || field.id, field);
+                return [field.name || field.id, undefined];
+            });
+    }
+
+    const root = { children: new Map() };
+    for (const [key, sample] of leaves) {
+        const segments = key.split(".");
+        let node = root;
+        for (const segment of segments.slice(0, -1)) {
+            if (!node.children.has(segment)) {
+                node.children.set(segment, { children: new Map() });
+            }
+            node = node.children.get(segment);
+        }
+        node.children.set(segments[segments.length - 1], {
+            field: fieldsByKey.get(key),
+            sample,
+        });
+    }
+    return root;
+}
+
+// Nested objects become their own models, defined before the class using them
+function modelClasses(className, node, { taken, docstring }) {
+    const classes = [];
+    const lines = [];
+
+    for (const [key, child] of node.children) {
+        const name = pythonName(key);
+        let annotation;
+        let args = [];
+        let required = true;
+        let fallback;
+
+        if (child.children) {
+            annotation = uniqueName(`${className}${pascalCase(key)}`, taken);
+            classes.push(...modelClasses(annotation, child, { taken }));
+        } else {
+            ({
+                annotation,
+                args,
+                required,
+                default: fallback,
+            } = fieldType(child.field, child.sample));
+        }
+
+        if (name !== key) args.push(`alias=${JSON.stringify(key)}`);
+        const defaultValue = required ? "..." : fallback || "None";
+        if (defaultValue === "None") annotation = `Optional[${annotation}]`;
+        lines.push(
+            args.length > 0
+                ? `    ${name}: ${annotation} = Field(${[
+                      defaultValue,
+                      ...args,
+                  ].join(", ")})`
+                : `    ${name}: ${annotation}${
+                      required ? "" : ` = ${defaultValue}`
+                  }`
+        );
+    }
+
+    const doc = docstring ? [`    """${docstring.replace(/"/g, "'")}"""`] : [];
+    const body = [
+        ...doc,
+        ...(doc.length && lines.length ? [""] : []),
+        ...lines,
+    ];
+    classes.push(
+        `class ${className}(BaseModel):\n${
+            body.length > 0 ? body.join("\n") : "    pass"
+        }`
+    );
+    return classes;
+}
+
+/**
+ * Python annotation, Field() constraints and requiredness of a form field;
+ * keys the form does not fill are typed from the sent value and optional
+ */
+function fieldType(field, sample) {
+    if (!field) {
+        return { annotation: sampleType(sample), args: [], required: false };
+    }
+
+    const args = [];
+    const required = Boolean(field.required);
+    const values = (field.options || [])
+        .map((option) => option.value)
+        .filter((value) => value !== undefined && value !== "");
+
+    if (BOOLEAN_TYPES.includes(field.type) && values.length === 0) {
+        return { annotation: "bool", args, required: false, default: "False" };
+    }
+
+    // A value sent as a number or boolean keeps that type
+    if (
+        sample !== undefined &&
+        sample !== null &&
+        typeof sample !== "string" &&
+        typeof sample !== "object" &&
+        values.length === 0 &&
+        !NUMBER_TYPES.includes(field.type)
+    ) {
+        return { annotation: sampleType(sample), args, required };
+    }
+
+    if (values.length > 0) {
+        const literal = `Literal[${values
+            .map((value) => JSON.stringify(value))
+            .join(", ")}]`;
+        return {
+            annotation: field.multiple ? `List[${literal}]` : literal,
+            args: field.multiple && required ? ["min_length=1"] : args,
+            required,
+        };
+    }
+
+    if (NUMBER_TYPES.includes(field.type)) {
+        const isFloat =
+            field.step === "any" ||
+            (field.step !== undefined &&
+                !Number.isInteger(Number(field.step))) ||
+            (typeof sample === "number" && !Number.isInteger(sample));
+        if (field.min !== undefined && !isNaN(Number(field.min))) {
+            args.push(`ge=${Number(field.min)}`);
+        }
+        if (field.max !== undefined && !isNaN(Number(field.max))) {
+            args.push(`le=${Number(field.max)}`);
+        }
+        return { annotation: isFloat ? "float" : "int", args, required };
+    }
+
+    if (TEMPORAL_TYPES[field.type]) {
+        return { annotation: TEMPORAL_TYPES[field.type], args, required };
+    }
+
+    // Text: HTML `required` also rejects an empty value
+    const minLength = field.minLength ?? (required ? 1 : undefined);
+    if (minLength !== undefined) args.push(`min_length=${minLength}`);
+    if (field.maxLength !== undefined) {
+        args.push(`max_length=${field.maxLength}`);
+    }
+    const pattern = field.pattern
+        ? `^(?:${field.pattern})$`
+        : field.type === "email"
+        ? EMAIL_PATTERN
+        : null;
+    if (pattern) args.push(`pattern=${JSON.stringify(pattern)}`);
+    return { annotation: "str", args, required };
+}
+
+function sampleType(sample) {
+    if (typeof sample === "boolean") return "bool";
+    if (typeof sample === "number") {
+        return Number.isInteger(sample) ? "int" : "float";
+    }
+    if (typeof sample === "string") return "str";
+    if (Array.isArray(sample)) return "List[Any]";
+    return "Any";
+}
+
+function pythonName(key) {
+    let name = key.replace(/\W/g, "_").replace(/^_+/, "");
+    if (!name || /^\d/.test(name)) name = `field_${name}`;
+    return PYTHON_KEYWORDS.has(name) ? `${name}_` : name;
+}
+
+function pascalCase(text) {
+    return (
+        String(text)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+            .join("")
+            .replace(/^\d+/, "") || "Form"
+    );
+}
+
+function uniqueName(name, taken) {
+    let unique = name;
+    for (let i = 2; taken.has(unique); i++) unique = `${name}${i}`;
+    taken.add(unique);
+    return unique;
+}
+
+/**
+ * Field constraints of each submitted form keyed by the request body path
+ * they validate, for schema inference (NOT NULL, CHECK, lengths)
+ */
+export function formConstraints(formRequests) {
+    return formRequests.map(({ form, request }) => ({
+        request: `${request.method} ${request.url}`,
+        fields: form.fields
+            .filter((field) => field.bodyKey)
+            .map(
+                ({
+                    bodyKey,
+                    type,
+                    required,
+                    pattern,
+                    minLength,
+                    maxLength,
+                    min,
+                    max,
+                    options,
+                }) => ({
+                    bodyKey,
+                    type,
+                    required,
+                    pattern,
+                    minLength,
+                    maxLength,
+                    min,
+                    max,
+                    options: options?.map((option) => option.value),
+                })
+            ),
+    }));
+}
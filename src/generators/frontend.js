@@ -1,46 +1,223 @@
 import {
     generateComponentCode,
-    analyzeUIPatterns,
     inferDataSchema,
 } from "../llm/openai-client.js";
+import {
+    DESIGN_TOKENS_FILENAME,
+    extractDesignTokens,
+} from "../scraper/design-tokens.js";
+import { ROUTE_MAP_FILENAME, inferRouteMap } from "../scraper/routes.js";
+import { TIMELINE_FILENAME } from "../scraper/timeline.js";
+import { compressAccessibility, compressDOM } from "../llm/compress.js";
+import { loadAssetManifest, resolveAssets, writeAssets } from "./assets.js";
 import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
 
-export async function generateFrontend(scrapedData, outputDir) {
+const COMPRESSION_REPORT_FILENAME = "dom-compression-report.json";
+
+/**
+ * Generate the React frontend into `outputDir` from a run's scraped data;
+ * `runDir` is the run directory holding its assets, design tokens and
+ * route map
+ */
+export async function generateFrontend(scrapedData, outputDir, { runDir }) {
     await fs.ensureDir(outputDir);
 
-    console.log(chalk.cyan("  Analyzing UI patterns..."));
+    const designTokens = await loadDesignTokens(scrapedData, runDir);
+    const assets = resolveAssets(await loadAssetManifest(runDir));
+    const routeMap = await loadRouteMap(scrapedData, runDir);
+    const routes = scrapedData.pages.map((page) => ({
+        page: page.name,
+        name: componentName(page.name),
+        ...pageRoute(routeMap, page.name),
+    }));
 
-    // Analyze all pages to identify common components
     const allComponents = [];
-    const designPatterns = [];
+    const compressionReports = {};
 
     for (const page of scrapedData.pages) {
-        const patterns = await analyzeUIPatterns(page.domStructure);
-        designPatterns.push(patterns);
+        const { dom, report } = compressDOM(page.domStructure);
+        const a11y = compressAccessibility(page.accessibility);
+        compressionReports[page.name] = {
+            ...report,
+            accessibility: a11y.report,
+        };
+        logCompression(page.name, report);
 
         // Generate component for each page
+        const route = routes.find((entry) => entry.page === page.name);
         const componentCode = await generateComponentCode({
-            name: `${capitalize(page.name)}Page`,
-            domStructure: page.domStructure,
+            name: route.name,
+            route,
+            routes: routes.filter((entry) => entry.routerPath),
+            domStructure: dom,
             interactiveElements: page.interactiveElements,
+            forms: compactForms(page.forms),
+            accessibility: a11y.accessibility,
+            overlays: compactOverlays(page.overlays),
+            layoutDifferences: page.layoutDifferences,
+            themeTokens: scrapedData.themeTokens,
+            designTokens,
+            assets: assets.filter(
+                (asset) =>
+                    asset.kind !== "font" &&
+                    (page.assets || []).includes(asset.hash)
+            ),
         });
 
         allComponents.push({
-            name: `${capitalize(page.name)}Page`,
+            name: route.name,
             code: componentCode,
             path: `src/pages/${page.name}.jsx`,
+            route,
         });
     }
 
+    // Beside the generated app, so the recorded run stays as it was scraped
+    await fs.writeJson(
+        path.join(outputDir, COMPRESSION_REPORT_FILENAME),
+        compressionReports,
+        { spaces: 2 }
+    );
+
     // Create project structure
-    await createReactProject(outputDir, allComponents, designPatterns);
+    await createReactProject(
+        outputDir,
+        runDir,
+        allComponents,
+        designTokens,
+        assets,
+        scrapedData.themeTokens
+    );
 
     console.log(chalk.green(`  ✓ Frontend generated in ${outputDir}`));
 }
 
-async function createReactProject(outputDir, components, designPatterns) {
+// Overlay DOMs are small; a tight budget keeps a page's menus affordable
+function compactOverlays(overlays = []) {
+    return overlays.map(({ id, trigger, open, overlays: opened }) => ({
+        id,
+        trigger: trigger.label,
+        open,
+        overlays: opened.map(
+            ({ role, label, modal, position, domStructure }) => ({
+                role,
+                label,
+                modal,
+                position,
+                domStructure: compressDOM(domStructure, { tokenBudget: 4000 })
+                    .dom,
+            })
+        ),
+    }));
+}
+
+// Field node paths repeat their form's; a submission keeps only the request
+// the generated submit handler has to send
+function compactForms(forms = []) {
+    return forms.map(({ fields, submission, ...form }) => ({
+        ...form,
+        fields: fields.map(({ node, ...field }) => field),
+        ...(submission?.requests.length
+            ? {
+                  submits: submission.requests.map(
+                      ({ method, url, contentType, body, bodyKeys }) => ({
+                          method,
+                          url,
+                          contentType,
+                          body,
+                          bodyKeys,
+                      })
+                  ),
+              }
+            : {}),
+    }));
+}
+
+function logCompression(pageName, report) {
+    console.log(
+        chalk.gray(
+            `    • ${pageName} DOM: ~${report.tokens.original} → ~${report.tokens.compressed} tokens (${report.collapsedNodes} repeated nodes collapsed)`
+        )
+    );
+    if (!report.fits) {
+        console.log(
+            chalk.yellow(
+                `    ⚠ ${pageName} DOM is still over DOM_TOKEN_BUDGET (${report.tokens.budget})`
+            )
+        );
+    } else if (report.omittedSubtrees.length > 0) {
+        console.log(
+            chalk.yellow(
+                `    ⚠ ${pageName} DOM pruned to fit DOM_TOKEN_BUDGET; see ${COMPRESSION_REPORT_FILENAME}`
+            )
+        );
+    }
+}
+
+/**
+ * Design tokens written by the scraper, or extracted now for scrapes that
+ * predate them
+ */
+async function loadDesignTokens(scrapedData, runDir) {
+    const tokensFile = path.join(runDir, DESIGN_TOKENS_FILENAME);
+    if (await fs.pathExists(tokensFile)) {
+        return fs.readJson(tokensFile);
+    }
+
+    console.log(chalk.cyan("  Extracting design tokens..."));
+    return extractDesignTokens(scrapedData.pages);
+}
+
+/**
+ * Route map written by the scraper, or inferred now for scrapes that
+ * predate it
+ */
+async function loadRouteMap(scrapedData, runDir) {
+    const routesFile = path.join(runDir, ROUTE_MAP_FILENAME);
+    if (await fs.pathExists(routesFile)) {
+        return fs.readJson(routesFile);
+    }
+
+    console.log(chalk.cyan("  Inferring routes..."));
+    const timelineFile = path.join(runDir, TIMELINE_FILENAME);
+    return inferRouteMap(
+        scrapedData,
+        (await fs.pathExists(timelineFile))
+            ? await fs.readJson(timelineFile)
+            : []
+    );
+}
+
+/**
+ * A page's router path (null for a state of another page, such as an open
+ * menu, and for a variant served by another page's route), the path it was
+ * captured at and its route params. Pages off the app's origin get
+ * /<page name>.
+ */
+function pageRoute(routeMap, pageName) {
+    const entry = routeMap.pages[pageName];
+    if (!entry) {
+        return { routerPath: `/${pageName}`, path: `/${pageName}`, params: {} };
+    }
+    return {
+        routerPath: entry.routerPath,
+        path: entry.path,
+        params: entry.params,
+        ...(entry.stateOf ? { stateOf: entry.stateOf } : {}),
+        ...(entry.variantOf ? { variantOf: entry.variantOf } : {}),
+    };
+}
+
+async function createReactProject(
+    outputDir,
+    runDir,
+    components,
+    designTokens,
+    assets,
+    themeTokens = {}
+) {
     // Create directory structure
     const dirs = [
         "src/pages",
@@ -71,6 +248,7 @@ async function createReactProject(outputDir, components, designPatterns) {
             "react-dom": "^18.2.0",
             next: "^14.0.0",
             "@heroicons/react": "^2.0.18",
+            "react-router-dom": "^6.20.0",
         },
         devDependencies: {
             "@playwright/test": "^1.40.0",
@@ -84,23 +262,18 @@ async function createReactProject(outputDir, components, designPatterns) {
         spaces: 2,
     });
 
-    // Generate tailwind.config.js
+    // Generate tailwind.config.js; dark: variants follow the OS color scheme,
+    // which is what the scraper emulated
+    const hasDarkTokens = Object.keys(themeTokens).some(
+        (name) => name.split("+").includes("dark") && themeTokens[name].length
+    );
     const tailwindConfig = `/** @type {import('tailwindcss').Config} */
-module.exports = {
+module.exports = {${hasDarkTokens ? "\n  darkMode: 'media'," : ""}
   content: [
     './src/**/*.{js,jsx,ts,tsx}',
   ],
   theme: {
-    extend: {
-      colors: {
-        asana: {
-          primary: '#f06a6a',
-          secondary: '#ffc2c2',
-          dark: '#151b26',
-          gray: '#9ca6af'
-        }
-      }
-    },
+    extend: ${indent(JSON.stringify(designTokens.tailwind, null, 2), 4)},
   },
   plugins: [],
 }`;
@@ -110,6 +283,12 @@ module.exports = {
         tailwindConfig
     );
 
+    await fs.writeJson(
+        path.join(outputDir, DESIGN_TOKENS_FILENAME),
+        designTokens,
+        { spaces: 2 }
+    );
+
     // Generate postcss.config.js
     const postcssConfig = `module.exports = {
   plugins: {
@@ -123,11 +302,14 @@ module.exports = {
         postcssConfig
     );
 
+    // Copy scraped assets; fonts become @font-face rules in globals.css
+    const fontFaces = await writeAssets(outputDir, runDir, assets);
+
     // Generate global styles
     const globalStyles = `@tailwind base;
 @tailwind components;
 @tailwind utilities;
-
+${fontFaces ? `\n${fontFaces}\n` : ""}
 body {
   margin: 0;
   font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen',
@@ -150,14 +332,45 @@ body {
         console.log(chalk.gray(`    • Created ${component.path}`));
     }
 
-    // Generate App.jsx
+    // Generate App.jsx from the route map: one route per page, the index
+    // redirecting to the first page as captured. Variants get a link to
+    // where they were captured, which their route's page renders.
+    const routed = components.filter((component) => component.route.routerPath);
+    const linked = components.filter(
+        (component) => component.route.routerPath || component.route.variantOf
+    );
+    const [first] = routed;
+    const hasIndex = routed.some(
+        (component) => component.route.routerPath === "/"
+    );
     const appCode = `import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
-import HomePage from './pages/home';
-import ProjectsPage from './pages/projects';
-import TasksPage from './pages/tasks';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-router-dom';
+${routed
+    .map(
+        (component) =>
+            `import ${component.name} from './${component.path
+                .replace(/^src\//, "")
+                .replace(/\.jsx$/, "")}';`
+    )
+    .join("\n")}
 import './styles/globals.css';
 
+function NotFound() {
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-16 text-gray-500">
+      This page was not part of the capture.${
+          first
+              ? ` <Link to="${
+                    first.route.path
+                }" className="text-gray-900 underline">Back to ${pageLabel(
+                    first.route.page
+                )}</Link>`
+              : ""
+      }
+    </div>
+  );
+}
+
 function App() {
   return (
     <Router>
@@ -166,24 +379,37 @@ function App() {
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <div className="flex justify-between h-16">
               <div className="flex space-x-8">
-                <Link to="/" className="inline-flex items-center px-1 pt-1 text-gray-900">
-                  Home
-                </Link>
-                <Link to="/projects" className="inline-flex items-center px-1 pt-1 text-gray-500 hover:text-gray-900">
-                  Projects
-                </Link>
-                <Link to="/tasks" className="inline-flex items-center px-1 pt-1 text-gray-500 hover:text-gray-900">
-                  Tasks
-                </Link>
+${linked
+    .map(
+        (component, index) =>
+            `                <Link to="${
+                component.route.path
+            }" className="inline-flex items-center px-1 pt-1 ${
+                index === 0
+                    ? "text-gray-900"
+                    : "text-gray-500 hover:text-gray-900"
+            }">
+                  ${pageLabel(component.route.page)}
+                </Link>`
+    )
+    .join("\n")}
               </div>
             </div>
           </div>
         </nav>
-        
+
         <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/projects" element={<ProjectsPage />} />
-          <Route path="/tasks" element={<TasksPage />} />
+${routed
+    .map(
+        (component) =>
+            `          <Route path="${component.route.routerPath}" element={<${component.name} />} />`
+    )
+    .join("\n")}${
+        first && !hasIndex
+            ? `\n          <Route path="/" element={<Navigate to="${first.route.path}" replace />} />`
+            : ""
+    }
+          <Route path="*" element={<NotFound />} />
         </Routes>
       </div>
     </Router>
@@ -210,9 +436,17 @@ Visit http://localhost:3000
 
 ## Pages
 
-- Home: /
-- Projects: /projects
-- Tasks: /tasks
+${linked
+    .map(
+        (component) =>
+            `- ${pageLabel(component.route.page)}: ${
+                component.route.routerPath ||
+                `${component.route.path} (rendered by ${pageLabel(
+                    component.route.variantOf
+                )})`
+            }`
+    )
+    .join("\n")}
 
 ## Testing
 
@@ -224,6 +458,24 @@ npm test
     await fs.writeFile(path.join(outputDir, "README.md"), readme);
 }
 
-function capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+// project-view → ProjectViewPage
+function componentName(pageName) {
+    const words = pageName.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const name = words
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join("");
+    return `${/^[A-Za-z]/.test(name) ? name : `Page${name}`}Page`;
+}
+
+// project-view → Project View
+function pageLabel(pageName) {
+    return pageName
+        .split(/[-_]+/)
+        .filter(Boolean)
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(" ");
+}
+
+function indent(text, spaces) {
+    return text.replace(/\n/g, `\n${" ".repeat(spaces)}`);
 }
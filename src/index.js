@@ -1,13 +1,29 @@
 import "dotenv/config";
-import { scrapeAsana } from "./scraper/index.js";
+import { scrapeSite, crawlSite, replaySite } from "./scraper/index.js";
+import { loadAdapter } from "./adapters/index.js";
 import { generateFrontend, generateBackend } from "./generators/index.js";
 import { runVisualTests } from "./testing/visual-test.js";
+import {
+    createRun,
+    findUnfinishedRun,
+    markLatestRun,
+    resolveRun,
+} from "./runs/index.js";
+import { diffRuns } from "./runs/diff.js";
+import { ROUTE_MAP_FILENAME } from "./scraper/routes.js";
 import chalk from "chalk";
 import fs from "fs-extra";
 import path from "path";
 
 const OUTPUT_DIR = process.env.OUTPUT_DIR || "./output";
 const PAGES = (process.env.PAGES_TO_CLONE || "home,projects,tasks").split(",");
+// Run read by generate and replay: a run ID, "latest" or "previous"
+const RUN_ID = process.env.RUN_ID || "latest";
+// Continue the last interrupted scrape instead of starting a new run
+const RESUME = process.argv.includes("--resume");
+// Resume past a side effect step that was interrupted, once the target app
+// has been checked
+const SKIP_INTERRUPTED = process.argv.includes("--skip-interrupted");
 
 async function main() {
     const command = process.argv[2] || "scrape"; // Changed default from "all" to "scrape"
@@ -22,6 +38,12 @@ async function main() {
             case "scrape":
                 await runScraping();
                 break;
+            case "crawl":
+                await runCrawl();
+                break;
+            case "replay":
+                await runReplay();
+                break;
             case "generate":
                 await runGeneration();
                 break;
@@ -41,6 +63,9 @@ async function main() {
             case "test":
                 await runTesting();
                 break;
+            case "diff":
+                await runDiff(process.argv[3], process.argv[4]);
+                break;
             case "all":
                 await runFullPipeline();
                 break;
@@ -58,17 +83,78 @@ async function main() {
 }
 
 async function runScraping() {
-    console.log(chalk.yellow("📡 Stage 1: Scraping Asana..."));
-
-    const scrapeData = await scrapeAsana({
-        targetUrl: process.env.TARGET_URL || "https://app.asana.com",
-        email: process.env.ASANA_EMAIL,
-        password: process.env.ASANA_PASSWORD,
+    const adapter = await loadTargetAdapter();
+    console.log(chalk.yellow(`📡 Stage 1: Scraping ${adapter.baseUrl}...`));
+
+    const run = RESUME
+        ? await findUnfinishedRun(OUTPUT_DIR, "scrape")
+        : await createRun(OUTPUT_DIR, "scrape");
+    if (RESUME) console.log(chalk.gray(`  → Resuming run ${run.id}`));
+
+    const scrapeData = await scrapeSite({
+        adapter,
+        email: process.env.TARGET_EMAIL || process.env.ASANA_EMAIL,
+        password: process.env.TARGET_PASSWORD || process.env.ASANA_PASSWORD,
         pages: PAGES,
-        outputDir: OUTPUT_DIR,
+        outputDir: run.dir,
+        workflowFile: process.env.WORKFLOW_FILE,
+        resume: RESUME,
+        skipInterrupted: SKIP_INTERRUPTED,
     });
+    await markLatestRun(OUTPUT_DIR, run);
 
     console.log(chalk.green("✓ Scraping complete"));
+    console.log(chalk.gray(`  - Run ${run.id}`));
+    console.log(chalk.gray(`  - Captured ${scrapeData.pages.length} pages`));
+    console.log(chalk.gray(`  - Recorded ${scrapeData.apiCalls} API calls`));
+    console.log(chalk.gray(`  - Saved ${scrapeData.screenshots} screenshots`));
+
+    return scrapeData;
+}
+
+async function runCrawl() {
+    const adapter = await loadTargetAdapter();
+    console.log(chalk.yellow(`🕸️  Stage 1: Crawling ${adapter.baseUrl}...`));
+
+    const run = await createRun(OUTPUT_DIR, "crawl");
+    const scrapeData = await crawlSite({
+        adapter,
+        email: process.env.TARGET_EMAIL || process.env.ASANA_EMAIL,
+        password: process.env.TARGET_PASSWORD || process.env.ASANA_PASSWORD,
+        outputDir: run.dir,
+        maxPages: parseInt(process.env.CRAWL_MAX_PAGES || "20", 10),
+        maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || "3", 10),
+        include: splitList(process.env.CRAWL_INCLUDE),
+        exclude: splitList(process.env.CRAWL_EXCLUDE),
+    });
+    await markLatestRun(OUTPUT_DIR, run);
+
+    console.log(chalk.green("✓ Crawl complete"));
+    console.log(chalk.gray(`  - Run ${run.id}`));
+    console.log(chalk.gray(`  - Captured ${scrapeData.pages.length} pages`));
+    console.log(chalk.gray(`  - Recorded ${scrapeData.apiCalls} API calls`));
+    console.log(chalk.gray(`  - Saved ${scrapeData.screenshots} screenshots`));
+
+    return scrapeData;
+}
+
+async function runReplay() {
+    const source = await resolveRun(OUTPUT_DIR, RUN_ID);
+    console.log(
+        chalk.yellow(`📼 Stage 1: Replaying recorded run ${source.id}...`)
+    );
+
+    const run = await createRun(OUTPUT_DIR, "replay");
+    const scrapeData = await replaySite({
+        adapter: await loadTargetAdapter(),
+        sourceDir: source.dir,
+        outputDir: run.dir,
+        harFile: process.env.REPLAY_HAR,
+    });
+    await markLatestRun(OUTPUT_DIR, run);
+
+    console.log(chalk.green("✓ Replay complete"));
+    console.log(chalk.gray(`  - Run ${run.id}`));
     console.log(chalk.gray(`  - Captured ${scrapeData.pages.length} pages`));
     console.log(chalk.gray(`  - Recorded ${scrapeData.apiCalls} API calls`));
     console.log(chalk.gray(`  - Saved ${scrapeData.screenshots} screenshots`));
@@ -76,27 +162,36 @@ async function runScraping() {
     return scrapeData;
 }
 
-async function runGeneration() {
+function splitList(value) {
+    return (value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+function loadTargetAdapter() {
+    return loadAdapter(process.env.TARGET_ADAPTER || "asana", {
+        baseUrl: process.env.TARGET_URL,
+        loginPath: process.env.TARGET_LOGIN_PATH,
+    });
+}
+
+async function runGeneration(runId = RUN_ID) {
     console.log(chalk.yellow("\n🔨 Stage 2: Generating Code..."));
 
     // Load scraped data
-    const scrapedDataPath = path.join(OUTPUT_DIR, "scraped-data.json");
-    if (!(await fs.pathExists(scrapedDataPath))) {
-        throw new Error('No scraped data found. Run "npm run scrape" first.');
-    }
-
-    const scrapedData = await fs.readJson(scrapedDataPath);
+    const { run, scrapedData } = await loadScrapedData(runId);
 
     // Generate frontend
     console.log(chalk.cyan("  → Generating React frontend..."));
     const frontendPath = path.join(OUTPUT_DIR, "frontend");
-    await generateFrontend(scrapedData, frontendPath);
+    await generateFrontend(scrapedData, frontendPath, { runDir: run.dir });
     console.log(chalk.green("  ✓ Frontend generated"));
 
     // Generate backend
     console.log(chalk.cyan("  → Generating FastAPI backend..."));
     const backendPath = path.join(OUTPUT_DIR, "backend");
-    await generateBackend(scrapedData, backendPath);
+    await generateBackend(scrapedData, backendPath, { runDir: run.dir });
     console.log(chalk.green("  ✓ Backend generated"));
 
     console.log(chalk.green("✓ Code generation complete"));
@@ -108,12 +203,7 @@ async function runGenerationForPage(...pageNames) {
     );
 
     // Load scraped data
-    const scrapedDataPath = path.join(OUTPUT_DIR, "scraped-data.json");
-    if (!(await fs.pathExists(scrapedDataPath))) {
-        throw new Error('No scraped data found. Run "npm start scrape" first.');
-    }
-
-    const scrapedData = await fs.readJson(scrapedDataPath);
+    const { run, scrapedData } = await loadScrapedData(RUN_ID);
 
     // Filter to only include specified pages
     const filteredData = {
@@ -134,13 +224,13 @@ async function runGenerationForPage(...pageNames) {
     // Generate frontend for selected pages
     console.log(chalk.cyan("  → Generating React components..."));
     const frontendPath = path.join(OUTPUT_DIR, "frontend");
-    await generateFrontend(filteredData, frontendPath);
+    await generateFrontend(filteredData, frontendPath, { runDir: run.dir });
     console.log(chalk.green("  ✓ Components generated"));
 
     // Generate backend for selected pages
     console.log(chalk.cyan("  → Generating FastAPI endpoints..."));
     const backendPath = path.join(OUTPUT_DIR, "backend");
-    await generateBackend(filteredData, backendPath);
+    await generateBackend(filteredData, backendPath, { runDir: run.dir });
     console.log(chalk.green("  ✓ Endpoints generated"));
 
     console.log(
@@ -148,13 +238,41 @@ async function runGenerationForPage(...pageNames) {
     );
 }
 
+async function loadScrapedData(runId) {
+    const run = await resolveRun(OUTPUT_DIR, runId);
+    console.log(chalk.gray(`  → Using run ${run.id}`));
+
+    return {
+        run,
+        scrapedData: await fs.readJson(path.join(run.dir, "scraped-data.json")),
+    };
+}
+
+// The generated app's routes follow the route map of the run it was
+// generated from; without one the tests fall back to /<page>
+async function loadRouteMap(runId) {
+    try {
+        const run = await resolveRun(OUTPUT_DIR, runId);
+        const routesFile = path.join(run.dir, ROUTE_MAP_FILENAME);
+        return (await fs.pathExists(routesFile))
+            ? await fs.readJson(routesFile)
+            : null;
+    } catch {
+        return null;
+    }
+}
+
 async function runTesting() {
     console.log(chalk.yellow("\n🧪 Stage 3: Running Visual Tests..."));
 
     const testResults = await runVisualTests({
-        originalUrl: process.env.TARGET_URL,
+        adapter: await loadTargetAdapter(),
+        email: process.env.TARGET_EMAIL || process.env.ASANA_EMAIL,
+        password: process.env.TARGET_PASSWORD || process.env.ASANA_PASSWORD,
         generatedUrl: "http://localhost:3000",
-        pages: PAGES,
+        // The run's routed pages unless PAGES_TO_CLONE names others
+        pages: process.env.PAGES_TO_CLONE ? PAGES : null,
+        routeMap: await loadRouteMap(RUN_ID),
     });
 
     console.log(chalk.green("✓ Testing complete"));
@@ -165,14 +283,46 @@ async function runTesting() {
     return testResults;
 }
 
+async function runDiff(from = "previous", to = "latest") {
+    console.log(chalk.yellow("🔍 Comparing runs..."));
+
+    const diff = await diffRuns(OUTPUT_DIR, from, to);
+    const { summary } = diff;
+
+    console.log(chalk.green("✓ Diff complete"));
+    console.log(
+        chalk.gray(
+            `  - Changed: ${summary.changed.length} of ${summary.pages} pages`
+        )
+    );
+    if (summary.added.length > 0) {
+        console.log(chalk.gray(`  - New pages: ${summary.added.join(", ")}`));
+    }
+    if (summary.removed.length > 0) {
+        console.log(
+            chalk.gray(`  - Removed pages: ${summary.removed.join(", ")}`)
+        );
+    }
+    const regenerate = [
+        ...summary.regenerate.pages,
+        ...(summary.regenerate.backend ? ["backend"] : []),
+        ...(summary.regenerate.designTokens ? ["design tokens"] : []),
+    ];
+    if (regenerate.length > 0) {
+        console.log(chalk.yellow(`  - Regenerate: ${regenerate.join(", ")}`));
+    }
+
+    return diff;
+}
+
 async function runFullPipeline() {
     const startTime = Date.now();
 
     // Stage 1: Scrape
     await runScraping();
 
-    // Stage 2: Generate
-    await runGeneration();
+    // Stage 2: Generate from the run just scraped
+    await runGeneration("latest");
 
     // Stage 3: Test
     console.log(
@@ -186,7 +336,7 @@ async function runFullPipeline() {
             "  2. cd output/backend && pip install -r requirements.txt && uvicorn main:app"
         )
     );
-    console.log(chalk.gray("  3. npm run test\n"));
+    console.log(chalk.gray("  3. npm run visual-test\n"));
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(chalk.blue(`⏱️  Total time: ${duration}s`));
@@ -0,0 +1,610 @@
+const DOM_TOKEN_BUDGET = parseInt(process.env.DOM_TOKEN_BUDGET || "30000", 10);
+const API_CALLS_TOKEN_BUDGET = parseInt(
+    process.env.API_CALLS_TOKEN_BUDGET || "20000",
+    10
+);
+const A11Y_TOKEN_BUDGET = parseInt(process.env.A11Y_TOKEN_BUDGET || "8000", 10);
+
+// Computed values that match the browser default carry no information
+const DEFAULT_STYLES = {
+    position: "static",
+    margin: "0px",
+    padding: "0px",
+    backgroundColor: "rgba(0, 0, 0, 0)",
+    borderRadius: "0px",
+    boxShadow: "none",
+    flexDirection: "row",
+    justifyContent: "normal",
+    alignItems: "normal",
+    gridTemplateColumns: "none",
+};
+
+// Dropped when equal to the parent's value
+const INHERITED_STYLES = ["color", "fontSize", "fontFamily", "fontWeight"];
+
+// Only meaningful for flex/grid containers
+const CONTAINER_STYLES = {
+    flexDirection: /flex/,
+    justifyContent: /flex|grid/,
+    alignItems: /flex|grid/,
+    gridTemplateColumns: /grid/,
+};
+
+const DISPLAY_DEFAULTS = {
+    span: "inline",
+    a: "inline",
+    strong: "inline",
+    em: "inline",
+    b: "inline",
+    i: "inline",
+    code: "inline",
+    small: "inline",
+    label: "inline",
+    img: "inline",
+    svg: "inline",
+    button: "inline-block",
+    input: "inline-block",
+    select: "inline-block",
+    textarea: "inline-block",
+    li: "list-item",
+    table: "table",
+    tr: "table-row",
+    td: "table-cell",
+    th: "table-cell",
+};
+
+const KEPT_ATTRIBUTES =
+    /^(role|type|name|placeholder|href|alt|title|aria-.+|data-testid)$/;
+const MAX_CLASSES = 3;
+const MAX_CLASS_LENGTH = 40;
+const MAX_TEXT_LENGTH = 80;
+const MAX_REPEAT_TEXTS = 5;
+const MAX_REPORT_ENTRIES = 50;
+
+/**
+ * Rough token count of a value as it appears in a prompt (~4 characters per
+ * token for JSON and English)
+ */
+export function estimateTokens(value) {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return Math.ceil((text?.length || 0) / 4);
+}
+
+/**
+ * Shrink a DOM structure from analyzeDOMStructure so it fits a prompt:
+ *
+ * - styles equal to the browser default or inherited from the parent are
+ *   dropped, and width/height are left to `box` ([x, y, width, height])
+ * - generated class names (css-1x2y3z) are dropped, CSS-module hash suffixes
+ *   stripped, and each node keeps at most 3 classes
+ * - runs of structurally identical siblings become one template node with
+ *   `repeat: n` and sample `texts`
+ *
+ * If the result is still over `tokenBudget`, attribute values and deep boxes
+ * are dropped, then the deepest levels are pruned (`omitted: n` descendants)
+ * until it fits. The report records everything that was removed.
+ */
+export function compressDOM(
+    domStructure,
+    { tokenBudget = DOM_TOKEN_BUDGET } = {}
+) {
+    const root = domStructure?.structure || domStructure;
+    const report = {
+        tokens: {
+            original: estimateTokens(JSON.stringify(domStructure, null, 2)),
+            compressed: 0,
+            budget: tokenBudget,
+        },
+        fits: true,
+        nodes: { original: 0, kept: 0 },
+        droppedStyles: 0,
+        droppedAttributes: 0,
+        droppedClasses: 0,
+        shortenedClasses: 0,
+        collapsedNodes: 0,
+        collapsedRuns: [],
+        budgetSteps: [],
+        omittedSubtrees: [],
+    };
+
+    if (!root) {
+        return { dom: null, report };
+    }
+
+    let tree = collapseRepeats(compactNode(root, null, "", report), report);
+
+    const measure = () => estimateTokens({ ...pageInfo(domStructure), tree });
+    let tokens = measure();
+
+    const steps = [
+        ["attribute values", (node) => keepOnlyRoleAttributes(node, report)],
+        ["boxes below depth 3", (node) => dropDeepBoxes(node, 3)],
+    ];
+    for (const [step, apply] of steps) {
+        if (tokens <= tokenBudget) break;
+        apply(tree);
+        tokens = measure();
+        report.budgetSteps.push({ step, tokens });
+    }
+
+    for (let depth = treeDepth(tree) - 1; tokens > tokenBudget; depth--) {
+        if (depth < 1) break;
+        pruneAtDepth(tree, depth, report);
+        tokens = measure();
+        report.budgetSteps.push({ step: `prune below depth ${depth}`, tokens });
+    }
+
+    report.tokens.compressed = tokens;
+    report.fits = tokens <= tokenBudget;
+    report.nodes.kept = countNodes(tree);
+    report.collapsedRuns = report.collapsedRuns.slice(0, MAX_REPORT_ENTRIES);
+    report.omittedSubtrees = report.omittedSubtrees.slice(
+        0,
+        MAX_REPORT_ENTRIES
+    );
+
+    return { dom: { ...pageInfo(domStructure), tree }, report };
+}
+
+/**
+ * Shrink captured API calls for schema inference: calls to the same endpoint
+ * (method + path with ids replaced by :id) are merged, headers are dropped,
+ * and bodies keep a few items per array and a prefix of long strings.
+ * Endpoints are added most-called first until `tokenBudget` is reached.
+ */
+export function compressApiCalls(
+    apiCalls,
+    { tokenBudget = API_CALLS_TOKEN_BUDGET } = {}
+) {
+    const endpoints = new Map();
+    for (const call of apiCalls) {
+        const key = `${call.method} ${endpointPattern(call.url)}`;
+        const endpoint = endpoints.get(key) || { key, calls: [] };
+        endpoint.calls.push(call);
+        endpoints.set(key, endpoint);
+    }
+
+    const ranked = [...endpoints.values()].sort(
+        (a, b) => b.calls.length - a.calls.length
+    );
+    const calls = [];
+    const dropped = [];
+    let tokens = 2;
+
+    for (const { key, calls: endpointCalls } of ranked) {
+        // Prefer a successful response as the example
+        const example =
+            endpointCalls.find(
+                (call) =>
+                    call.response?.status >= 200 && call.response?.status < 300
+            ) || endpointCalls[0];
+        const compact = {
+            endpoint: key,
+            calls: endpointCalls.length,
+            requestBody: shrinkValue(parseBody(example.postData)),
+            status: example.response?.status,
+            responseBody: shrinkValue(example.response?.body),
+        };
+
+        const size = estimateTokens(compact) + 1;
+        if (tokens + size > tokenBudget) {
+            dropped.push(key);
+            continue;
+        }
+        calls.push(compact);
+        tokens += size;
+    }
+
+    return {
+        calls,
+        report: {
+            tokens: { compressed: tokens, budget: tokenBudget },
+            apiCalls: apiCalls.length,
+            endpoints: ranked.length,
+            included: calls.length,
+            dropped,
+        },
+    };
+}
+
+/**
+ * Shrink an accessibility capture (ARIA snapshot YAML and relationships):
+ * runs of more than 3 sibling nodes with the same role keep the first two
+ * and a `# N more <role>` comment, then the deepest snapshot levels are cut
+ * and relationships dropped until `tokenBudget` is met.
+ */
+export function compressAccessibility(
+    accessibility,
+    { tokenBudget = A11Y_TOKEN_BUDGET } = {}
+) {
+    const report = {
+        tokens: {
+            original: estimateTokens(accessibility || ""),
+            compressed: 0,
+            budget: tokenBudget,
+        },
+        collapsedLines: 0,
+        maxDepth: null,
+        droppedRelationships: 0,
+    };
+    if (!accessibility) return { accessibility: null, report };
+
+    let lines = collapseSnapshotRuns(
+        (accessibility.snapshot || "").split("\n").filter(Boolean),
+        report
+    );
+
+    // The snapshot gets three quarters of the budget when there are
+    // relationships to fit as well
+    const relationships = accessibility.relationships || [];
+    const snapshotBudget =
+        relationships.length > 0 ? Math.floor(tokenBudget * 0.75) : tokenBudget;
+    let depth = Math.max(0, ...lines.map(indentLevel));
+    while (estimateTokens(lines.join("\n")) > snapshotBudget && depth > 0) {
+        depth--;
+        lines = lines.filter((line) => indentLevel(line) <= depth);
+        report.maxDepth = depth;
+    }
+
+    const snapshot = lines.join("\n");
+    let tokens = estimateTokens(snapshot);
+    const kept = [];
+    for (const relationship of relationships) {
+        const size = estimateTokens(relationship) + 1;
+        if (tokens + size > tokenBudget) break;
+        kept.push(relationship);
+        tokens += size;
+    }
+    report.droppedRelationships = relationships.length - kept.length;
+    report.tokens.compressed = tokens;
+
+    return { accessibility: { snapshot, relationships: kept }, report };
+}
+
+function indentLevel(line) {
+    return Math.floor(line.search(/\S/) / 2);
+}
+
+function collapseSnapshotRuns(lines, report) {
+    // Split into sibling blocks: a line plus the deeper lines under it
+    const blocks = [];
+    for (const line of lines) {
+        const last = blocks[blocks.length - 1];
+        if (last && indentLevel(line) > indentLevel(last[0])) {
+            last.push(line);
+        } else {
+            blocks.push([line]);
+        }
+    }
+
+    const roleOf = (block) =>
+        block[0]
+            .trim()
+            .replace(/^- /, "")
+            .split(/[\s:"]/)[0];
+    const output = [];
+    for (let i = 0; i < blocks.length; ) {
+        let end = i + 1;
+        while (
+            end < blocks.length &&
+            indentLevel(blocks[end][0]) === indentLevel(blocks[i][0]) &&
+            roleOf(blocks[end]) === roleOf(blocks[i])
+        ) {
+            end++;
+        }
+
+        const run = blocks.slice(i, end);
+        const visible = run.length > 3 ? run.slice(0, 2) : run;
+        for (const block of visible) {
+            const [head, ...rest] = block;
+            output.push(head, ...collapseSnapshotRuns(rest, report));
+        }
+        if (run.length > visible.length) {
+            const hidden = run.slice(visible.length);
+            report.collapsedLines += hidden.reduce(
+                (sum, block) => sum + block.length,
+                0
+            );
+            output.push(
+                `${" ".repeat(indentLevel(run[0][0]) * 2)}# ${
+                    hidden.length
+                } more ${roleOf(run[0])}`
+            );
+        }
+        i = end;
+    }
+    return output;
+}
+
+function pageInfo(domStructure) {
+    if (!domStructure?.structure) return {};
+    const { title, url, viewport } = domStructure;
+    return { title, url, viewport };
+}
+
+function compactNode(node, parentStyles, path, report) {
+    report.nodes.original++;
+
+    const classes = shortenClasses(node.classes || [], report);
+    const nodePath = `${path ? `${path} > ` : ""}${node.tag}${
+        node.id ? `#${node.id}` : ""
+    }${classes[0] ? `.${classes[0]}` : ""}`;
+
+    const compact = { tag: node.tag };
+    if (node.id) compact.id = node.id;
+    if (classes.length > 0) compact.class = classes.join(" ");
+
+    const attributes = {};
+    for (const [name, value] of Object.entries(node.attributes || {})) {
+        if (name === "class" || name === "id" || name === "style") continue;
+        if (KEPT_ATTRIBUTES.test(name)) {
+            attributes[name] = truncate(value, MAX_TEXT_LENGTH);
+        } else {
+            report.droppedAttributes++;
+        }
+    }
+    if (Object.keys(attributes).length > 0) compact.attrs = attributes;
+
+    if (node.textContent) {
+        compact.text = truncate(node.textContent, MAX_TEXT_LENGTH);
+    }
+
+    const style = compactStyles(node, parentStyles, report);
+    if (Object.keys(style).length > 0) compact.style = style;
+
+    if (node.position) {
+        const { x, y, width, height } = node.position;
+        compact.box = [x, y, width, height].map(Math.round);
+    }
+    if (node.pseudo) compact.pseudo = node.pseudo;
+    if (node.states) compact.states = node.states;
+    if (node.boundary) compact.boundary = node.boundary;
+    if (node.frame) compact.frame = node.frame;
+    if (node.truncated) compact.truncated = true;
+
+    const children = (node.children || []).map((child) =>
+        compactNode(child, node.styles || {}, nodePath, report)
+    );
+    if (children.length > 0) compact.children = children;
+
+    // Kept off the serialized node; used for the collapse report
+    Object.defineProperty(compact, "path", { value: nodePath });
+    return compact;
+}
+
+function compactStyles(node, parentStyles, report) {
+    const style = {};
+    const display = node.styles?.display || "";
+
+    for (const [property, value] of Object.entries(node.styles || {})) {
+        const redundant =
+            value === undefined ||
+            value === "" ||
+            property === "width" ||
+            property === "height" ||
+            value === DEFAULT_STYLES[property] ||
+            (property === "display" &&
+                value === (DISPLAY_DEFAULTS[node.tag] || "block")) ||
+            (property === "border" && /^0px none/.test(value)) ||
+            (CONTAINER_STYLES[property] &&
+                !CONTAINER_STYLES[property].test(display)) ||
+            (parentStyles &&
+                INHERITED_STYLES.includes(property) &&
+                parentStyles[property] === value);
+
+        if (redundant) {
+            report.droppedStyles++;
+        } else {
+            style[property] = value;
+        }
+    }
+    return style;
+}
+
+function shortenClasses(classes, report) {
+    const kept = [];
+    for (const name of classes) {
+        // css-in-js output and bare hashes say nothing about the component
+        if (
+            /^(css|sc|jsx|emotion|svelte)-[\w-]+$/.test(name) ||
+            /^(?=.*\d)(?=.*[a-zA-Z])[a-zA-Z0-9]{5,10}$/.test(name)
+        ) {
+            report.droppedClasses++;
+            continue;
+        }
+
+        let short = name.replace(
+            /(__|--|_|-)(?=[a-zA-Z0-9]*\d)[a-zA-Z0-9]{5,}$/,
+            ""
+        );
+        if (short.length > MAX_CLASS_LENGTH) {
+            short = short.substring(0, MAX_CLASS_LENGTH);
+        }
+        if (short !== name) report.shortenedClasses++;
+        if (!kept.includes(short)) kept.push(short);
+    }
+
+    report.droppedClasses += Math.max(0, kept.length - MAX_CLASSES);
+    return kept.slice(0, MAX_CLASSES);
+}
+
+// Structure of a node without the parts that vary between list items
+function signature(node) {
+    return JSON.stringify([
+        node.tag,
+        node.class,
+        Object.keys(node.attrs || {}),
+        node.style,
+        node.repeat,
+        (node.children || []).map(signature),
+    ]);
+}
+
+function collapseRepeats(node, report) {
+    if (!node.children) return node;
+
+    const children = node.children.map((child) =>
+        collapseRepeats(child, report)
+    );
+    const collapsed = [];
+
+    for (let i = 0; i < children.length; ) {
+        const key = signature(children[i]);
+        let end = i + 1;
+        while (end < children.length && signature(children[end]) === key) {
+            end++;
+        }
+
+        const run = children.slice(i, end);
+        if (run.length > 1) {
+            const template = { ...run[0], repeat: run.length };
+            Object.defineProperty(template, "path", { value: run[0].path });
+            const texts = run
+                .map(collectText)
+                .filter(Boolean)
+                .slice(0, MAX_REPEAT_TEXTS);
+            if (texts.length > 1) template.texts = texts;
+
+            report.collapsedNodes += run.length - 1;
+            report.collapsedRuns.push({
+                path: run[0].path,
+                count: run.length,
+            });
+            collapsed.push(template);
+        } else {
+            collapsed.push(run[0]);
+        }
+        i = end;
+    }
+
+    node.children = collapsed;
+    return node;
+}
+
+function collectText(node) {
+    const parts = [];
+    const visit = (current) => {
+        if (current.text) parts.push(current.text);
+        (current.children || []).forEach(visit);
+    };
+    visit(node);
+    return truncate(parts.join(" "), MAX_TEXT_LENGTH);
+}
+
+function keepOnlyRoleAttributes(node, report) {
+    if (node.attrs) {
+        const kept = {};
+        for (const [name, value] of Object.entries(node.attrs)) {
+            if (name === "role" || name === "aria-label" || name === "type") {
+                kept[name] = value;
+            } else {
+                report.droppedAttributes++;
+            }
+        }
+        if (Object.keys(kept).length > 0) {
+            node.attrs = kept;
+        } else {
+            delete node.attrs;
+        }
+    }
+    (node.children || []).forEach((child) =>
+        keepOnlyRoleAttributes(child, report)
+    );
+}
+
+function dropDeepBoxes(node, maxDepth, depth = 0) {
+    if (depth > maxDepth) delete node.box;
+    (node.children || []).forEach((child) =>
+        dropDeepBoxes(child, maxDepth, depth + 1)
+    );
+}
+
+function pruneAtDepth(node, depth, report, current = 0) {
+    if (!node.children) return;
+
+    if (current >= depth) {
+        const omitted = node.children.reduce(
+            (sum, child) => sum + countNodes(child),
+            0
+        );
+        report.omittedSubtrees.push({ path: node.path, descendants: omitted });
+        node.omitted = omitted;
+        delete node.children;
+        return;
+    }
+    node.children.forEach((child) =>
+        pruneAtDepth(child, depth, report, current + 1)
+    );
+}
+
+function treeDepth(node) {
+    return (
+        1 +
+        Math.max(0, ...(node.children || []).map((child) => treeDepth(child)))
+    );
+}
+
+function countNodes(node) {
+    return (
+        1 +
+        (node.children || []).reduce((sum, child) => sum + countNodes(child), 0)
+    );
+}
+
+/**
+ * URL path with ids (numbers, hex/uuid and long digit-bearing segments)
+ * replaced by :id, so calls to one endpoint share a key
+ */
+export function endpointPattern(url) {
+    let pathname = url;
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        // Relative or malformed URL; use as is
+    }
+    return pathname
+        .split("/")
+        .map((segment) =>
+            /^\d+$/.test(segment) ||
+            /^[0-9a-f-]{16,}$/i.test(segment) ||
+            (/\d/.test(segment) && segment.length >= 12)
+                ? ":id"
+                : segment
+        )
+        .join("/");
+}
+
+function parseBody(body) {
+    if (!body) return null;
+    if (typeof body !== "string") return body;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+function shrinkValue(value, depth = 0) {
+    if (typeof value === "string") return truncate(value, 200);
+    if (value === null || typeof value !== "object") return value;
+    if (depth >= 6) return "…";
+
+    if (Array.isArray(value)) {
+        const items = value
+            .slice(0, 2)
+            .map((item) => shrinkValue(item, depth + 1));
+        if (value.length > 2) items.push(`… ${value.length - 2} more`);
+        return items;
+    }
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+            key,
+            shrinkValue(item, depth + 1),
+        ])
+    );
+}
+
+function truncate(text, length) {
+    const value = String(text);
+    return value.length > length ? `${value.substring(0, length)}…` : value;
+}
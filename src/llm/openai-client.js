@@ -49,19 +49,48 @@ Return ONLY the code, no explanations.`;
     const prompt = `Generate a ${framework} component based on this structure:
 
 Component Name: ${componentData.name}
-DOM Structure:
-${JSON.stringify(componentData.domStructure, null, 2)}
+${formatRoute(
+    componentData.route,
+    componentData.routes
+)}DOM Structure (compressed: styles equal to the browser default or inherited
+from the parent are omitted, box is [x, y, width, height], a node with
+"repeat": n stands for n identical siblings whose texts are sampled in
+"texts", and "omitted": n marks n descendants left out for size):
+${JSON.stringify(componentData.domStructure)}
 
 Interactive Elements:
 ${JSON.stringify(componentData.interactiveElements, null, 2)}
-
+${formatForms(componentData.forms)}${formatAccessibility(
+        componentData.accessibility
+    )}${formatOverlays(componentData.overlays)}${formatLayoutDifferences(
+        componentData.layoutDifferences
+    )}${formatThemeTokens(componentData.themeTokens)}${formatDesignTokens(
+        componentData.designTokens
+    )}${formatAssets(componentData.assets)}
 Requirements:
 - Use Tailwind CSS for all styling
 - Match the exact colors, spacing, and layout
 - Include all interactive elements (buttons, inputs, etc.)
-- Use proper semantic HTML
-- Add appropriate ARIA labels
-- Make it responsive
+- Reproduce each interactive element's \`states\` (style changes observed on
+  hover, focus and active) with Tailwind hover:, focus: / focus-visible: and
+  active: classes, and DOM nodes' \`pseudo\` styles (::before/::after content,
+  placeholder color) with before:, after: and placeholder: classes
+- Build each form listed under Forms as a controlled form: state initialized
+  from each field's \`default\`, labels tied to their inputs (htmlFor / id),
+  the same validation attributes (required, pattern, minLength, maxLength,
+  min, max, step), selects and radio groups with the listed options, and a
+  submit handler that prevents the default and sends the values in the
+  request shape given in \`submits\` (each field's value at its \`bodyKey\`)
+- Use proper semantic HTML, keeping the roles, accessible names and
+  landmarks of the accessibility tree
+- Reproduce the ARIA relationships (aria-labelledby, aria-controls,
+  aria-expanded, ...) between the same elements
+- Implement each overlay as working UI with open/closed state: click
+  triggers toggle it and Escape or an outside click closes it, hover triggers
+  show it while hovered; match its DOM and position
+- Make it responsive: the DOM structure above is the widest layout; reproduce
+  the observed layout differences with Tailwind responsive prefixes
+  (sm: 640px, md: 768px, lg: 1024px, xl: 1280px)
 
 Generate the complete component code.`;
 
@@ -73,7 +102,168 @@ Generate the complete component code.`;
     return code;
 }
 
-export async function inferDataSchema(apiCalls) {
+function formatRoute(route, routes) {
+    if (!route) return "";
+
+    const params = Object.entries(route.params || {});
+    const paramLines =
+        params.length > 0
+            ? `
+Route Params: ${params
+                  .map(([name, value]) => `${name} (captured as ${value})`)
+                  .join(", ")}. Read them with useParams() from
+react-router-dom and use them wherever the page shows, fetches or links to
+that entity instead of hard-coding the captured values.`
+            : "";
+    const links = (routes || [])
+        .filter((entry) => entry.page !== route.page)
+        .map((entry) => `- ${entry.routerPath} → ${entry.name}`);
+
+    return `Route: ${
+        route.routerPath ||
+        (route.variantOf
+            ? `(not routed: ${route.path} is rendered by ${route.variantOf}, whose route it matches)`
+            : `(not routed: a state of ${route.stateOf})`)
+    }${paramLines}
+${
+    links.length > 0
+        ? `Other App Routes (link to them with <Link to> from react-router-dom,
+filling their params from this page's params or the linked item):
+${links.join("\n")}
+`
+        : ""
+}`;
+}
+
+function formatForms(forms) {
+    if (!forms || forms.length === 0) return "";
+
+    return `
+Forms (each field's label, type, validation attributes and default value;
+selects, radio groups and same-name checkboxes list their options.
+\`submits\` is the request the form sent when submitted, and a field's
+\`bodyKey\` is the dotted path of its value in that request body):
+${JSON.stringify(forms)}
+`;
+}
+
+function formatAccessibility(accessibility) {
+    if (!accessibility?.snapshot) return "";
+
+    const relationships =
+        accessibility.relationships.length > 0
+            ? `
+ARIA Relationships (element → the elements it references, by id):
+${JSON.stringify(accessibility.relationships)}
+`
+            : "";
+
+    return `
+Accessibility Tree (Playwright ARIA snapshot: role "accessible name" [state];
+"# N more <role>" stands for N more siblings like the ones above it):
+${accessibility.snapshot}
+${relationships}`;
+}
+
+function formatOverlays(overlays) {
+    if (!overlays || overlays.length === 0) return "";
+
+    return `
+Overlays (menus, dialogs and tooltips observed by opening them). The
+interactive element whose \`overlay\` is an overlay's id opens it, by click
+or hover as given in \`open\`:
+${JSON.stringify(overlays)}
+`;
+}
+
+function formatLayoutDifferences(layoutDifferences) {
+    if (!layoutDifferences || Object.keys(layoutDifferences).length === 0) {
+        return "";
+    }
+
+    return `
+Observed Layout Differences Between Breakpoints (elements are tag#id.class paths;
+"hidden" = present at ${
+        Object.values(layoutDifferences)[0].comparedTo
+    } but not at this breakpoint, "shown" = only at this breakpoint):
+${JSON.stringify(layoutDifferences, null, 2)}
+`;
+}
+
+// Tailwind variant prefix for each media feature the scraper can emulate
+const MEDIA_VARIANT_PREFIXES = {
+    dark: "dark:",
+    light: "",
+    "reduced-motion": "motion-reduce:",
+    "forced-colors": "forced-colors:",
+};
+
+function formatThemeTokens(themeTokens, limit = 40) {
+    const variants = Object.entries(themeTokens || {}).filter(
+        ([, tokens]) => tokens.length > 0
+    );
+    if (variants.length === 0) return "";
+
+    const sections = variants.map(([name, tokens]) => {
+        const prefix = name
+            .split("+")
+            .map((feature) => MEDIA_VARIANT_PREFIXES[feature] ?? "")
+            .join("");
+        const lines = tokens
+            .slice(0, limit)
+            .map(
+                (token) =>
+                    `- ${token.property}: ${token.base} → ${prefix}${token.value} (${token.count} elements)`
+            );
+        return `${name} (use the ${prefix} prefix):\n${lines.join("\n")}`;
+    });
+
+    return `
+Observed Theme Tokens (default value → value under each media variant).
+Emit both, e.g. bg-[#ffffff] dark:bg-[#1e1f21], using exactly these values:
+${sections.join("\n\n")}
+`;
+}
+
+function formatDesignTokens(designTokens) {
+    const sections = Object.entries(designTokens?.tailwind || {})
+        .filter(([, scale]) => Object.keys(scale).length > 0)
+        .map(
+            ([key, scale]) =>
+                `${key}: ${Object.entries(scale)
+                    .map(([name, value]) => `${name}=${value}`)
+                    .join(", ")}`
+        );
+    if (sections.length === 0) return "";
+
+    return `
+Design Tokens (already in tailwind.config.js theme.extend). Prefer these
+names over arbitrary values, e.g. bg-background-1, text-text-1, p-4, rounded-md:
+${sections.join("\n")}
+`;
+}
+
+function formatAssets(assets, limit = 60) {
+    if (!assets || assets.length === 0) return "";
+
+    const lines = assets.slice(0, limit).map((asset) => {
+        const usedAt = asset.usedBy?.[0]?.node;
+        const reference = asset.component
+            ? `<${asset.component} /> from '../components/icons'`
+            : asset.publicPath;
+        return `- ${asset.kind}: ${reference}${
+            usedAt ? ` (at ${usedAt})` : ""
+        }`;
+    });
+
+    return `
+Local Assets (use these instead of remote URLs or icon libraries; icon
+components accept className and other SVG props):
+${lines.join("\n")}
+`;
+}
+
+export async function inferDataSchema(apiCalls, forms = []) {
     console.log(chalk.gray("  → Inferring data schema from API responses..."));
 
     const systemPrompt = `You are a database schema expert. Analyze API responses and infer the underlying database schema.
@@ -86,10 +276,13 @@ Generate a SQLite schema that captures:
 
 Return ONLY the SQL schema, no explanations.`;
 
-    const prompt = `Analyze these API responses and generate a database schema:
-
-${JSON.stringify(apiCalls.slice(0, 20), null, 2)}
+    const prompt = `Analyze these API responses and generate a database schema.
+Each entry is one endpoint (ids in the path replaced by :id) with the number of
+calls observed and an example request and response; arrays are cut to two
+items followed by a "… N more" marker:
 
+${JSON.stringify(apiCalls, null, 2)}
+${formatFormConstraints(forms)}
 Generate a complete SQLite schema with:
 1. CREATE TABLE statements for all entities
 2. Proper relationships (foreign keys)
@@ -106,6 +299,17 @@ Return only SQL code.`;
     return schema;
 }
 
+function formatFormConstraints(forms) {
+    if (forms.length === 0) return "";
+
+    return `
+Forms that sent some of these requests, with the validation of the field
+behind each request body key (dotted path). Reflect it in the columns:
+required → NOT NULL, maxLength → CHECK(length(...) <= n), options → CHECK(... IN (...)):
+${JSON.stringify(forms, null, 2)}
+`;
+}
+
 export async function generateAPIEndpoint(apiCall) {
     console.log(
         chalk.gray(`  → Generating endpoint: ${apiCall.method} ${apiCall.url}`)
@@ -122,10 +326,16 @@ Focus on:
 
 Return ONLY the code, no explanations.`;
 
+    // The workflow action that sent the request, e.g. Click "Create project"
+    const trigger = apiCall.action
+        ? `user action "${apiCall.action.description}"`
+        : "page load";
+
     const prompt = `Generate a FastAPI endpoint based on this observed API call:
 
 Method: ${apiCall.method}
 URL: ${apiCall.url}
+Triggered by: ${trigger}
 Request Headers: ${JSON.stringify(apiCall.headers, null, 2)}
 Request Body: ${apiCall.postData || "None"}
 
@@ -198,54 +408,3 @@ Return as JSON array with format:
         return testCases;
     }
 }
-
-export async function analyzeUIPatterns(domStructure) {
-    console.log(
-        chalk.gray("  → Analyzing UI patterns and component hierarchy...")
-    );
-
-    const systemPrompt = `You are a UI/UX expert analyzing web application structures.
-Identify reusable components, design patterns, and the component hierarchy.
-Return your analysis as structured JSON.`;
-
-    const prompt = `Analyze this DOM structure and identify:
-1. Reusable components (buttons, cards, forms, etc.)
-2. Layout patterns (header, sidebar, main content)
-3. Component hierarchy
-4. Design system patterns (colors, spacing, typography)
-
-DOM Structure:
-${JSON.stringify(domStructure, null, 2)}
-
-Return as JSON:
-{
-  "components": [
-    {
-      "name": "ComponentName",
-      "type": "button|card|form|etc",
-      "occurrences": number,
-      "props": []
-    }
-  ],
-  "layout": {
-    "type": "sidebar|navbar|etc",
-    "structure": {}
-  },
-  "designSystem": {
-    "colors": [],
-    "spacing": [],
-    "typography": []
-  }
-}`;
-
-    const analysis = await analyzeWithGPT(prompt, systemPrompt, {
-        temperature: 0.5,
-        maxTokens: 4096,
-    });
-
-    try {
-        return JSON.parse(analysis);
-    } catch {
-        return analysis;
-    }
-}
@@ -0,0 +1,627 @@
+import { chromium } from "playwright";
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { resolveRun, SCRAPED_DATA_FILENAME } from "./index.js";
+import {
+    collapseDescendants,
+    flattenStructure,
+} from "../scraper/dom-analyzer.js";
+import { DESIGN_TOKENS_FILENAME } from "../scraper/design-tokens.js";
+import { endpointPattern } from "../llm/compress.js";
+
+export const DIFFS_DIRNAME = "diffs";
+
+// Share of pixels that must change for a screenshot to count as changed
+const SCREENSHOT_DIFF_THRESHOLD =
+    parseFloat(process.env.SCREENSHOT_DIFF_THRESHOLD || "0.5") / 100;
+// Per-channel difference below which a pixel counts as unchanged
+const PIXEL_TOLERANCE = 24;
+
+const MAX_DIFFERENCES = 150;
+const MAX_SHAPE_DEPTH = 8;
+const MAX_SHAPE_ITEMS = 20;
+
+// Sizes follow content; a longer task name is not a style change
+const IGNORED_STYLES = new Set(["width", "height"]);
+
+const TOKEN_GROUPS = [
+    "colors",
+    "spacing",
+    "radii",
+    "fontFamilies",
+    "fontSizes",
+    "fontWeights",
+    "shadows",
+];
+
+/**
+ * Compare two runs page by page (pages are matched by name): elements added
+ * or removed and style changes on the elements both share (matched by path,
+ * see flattenStructure), interactive elements, API endpoints added or
+ * removed and changes in their response shape, and screenshots that differ
+ * by more than SCREENSHOT_DIFF_THRESHOLD percent of their pixels. Design and
+ * theme token changes are compared for the whole run. The report and a diff
+ * image per changed screenshot go to <outputDir>/diffs/<from>..<to>/.
+ */
+export async function diffRuns(
+    outputDir,
+    fromRef = "previous",
+    toRef = "latest"
+) {
+    const from = await resolveRun(outputDir, fromRef);
+    const to = await resolveRun(outputDir, toRef);
+    if (from.dir === to.dir) {
+        throw new Error(`Both sides of the diff are run ${to.id}`);
+    }
+
+    console.log(chalk.cyan(`  → Comparing run ${from.id} with ${to.id}...`));
+
+    const fromData = await fs.readJson(
+        path.join(from.dir, SCRAPED_DATA_FILENAME)
+    );
+    const toData = await fs.readJson(path.join(to.dir, SCRAPED_DATA_FILENAME));
+    const diffDir = path.join(outputDir, DIFFS_DIRNAME, `${from.id}..${to.id}`);
+
+    const fromPages = new Map(fromData.pages.map((page) => [page.name, page]));
+    const toPages = new Map(toData.pages.map((page) => [page.name, page]));
+    const names = [...new Set([...toPages.keys(), ...fromPages.keys()])];
+
+    const screenshots = createScreenshotComparer(from.dir, to.dir, diffDir);
+    const pages = {};
+    try {
+        for (const name of names) {
+            const fromPage = fromPages.get(name);
+            const toPage = toPages.get(name);
+
+            if (!fromPage || !toPage) {
+                pages[name] = { status: fromPage ? "removed" : "added" };
+            } else {
+                pages[name] = await diffPage(from, to, fromPage, toPage, {
+                    screenshots,
+                });
+            }
+            logPage(name, pages[name]);
+        }
+    } finally {
+        await screenshots.close();
+    }
+
+    const tokens = {
+        design: diffDesignTokens(
+            await readJsonIfExists(path.join(from.dir, DESIGN_TOKENS_FILENAME)),
+            await readJsonIfExists(path.join(to.dir, DESIGN_TOKENS_FILENAME))
+        ),
+        theme: diffThemeTokens(fromData.themeTokens, toData.themeTokens),
+    };
+    const tokensChanged =
+        Object.keys(tokens.design).length > 0 ||
+        Object.keys(tokens.theme).length > 0;
+
+    const changedPages = names.filter(
+        (name) => pages[name].status !== "unchanged"
+    );
+    const report = {
+        from: { id: from.id, timestamp: fromData.timestamp },
+        to: { id: to.id, timestamp: toData.timestamp },
+        summary: {
+            pages: names.length,
+            changed: changedPages.filter(
+                (name) => pages[name].status === "changed"
+            ),
+            added: changedPages.filter(
+                (name) => pages[name].status === "added"
+            ),
+            removed: changedPages.filter(
+                (name) => pages[name].status === "removed"
+            ),
+            tokensChanged,
+            // What to regenerate in the clone
+            regenerate: {
+                pages: changedPages.filter(
+                    (name) => pages[name].status !== "removed"
+                ),
+                backend: names.some(
+                    (name) =>
+                        pages[name].counts?.endpointsAdded ||
+                        pages[name].counts?.endpointsRemoved ||
+                        pages[name].counts?.responseShapeChanges
+                ),
+                designTokens: tokensChanged,
+            },
+        },
+        tokens,
+        pages,
+    };
+
+    await fs.ensureDir(diffDir);
+    await fs.writeJson(path.join(diffDir, "diff.json"), report, { spaces: 2 });
+    console.log(chalk.green(`  ✓ Diff written to ${diffDir}`));
+
+    return { ...report, dir: diffDir };
+}
+
+async function diffPage(from, to, fromPage, toPage, { screenshots }) {
+    const fromNodes = flattenStructure(fromPage.domStructure?.structure);
+    const toNodes = flattenStructure(toPage.domStructure?.structure);
+
+    const styles = [];
+    for (const [key, node] of toNodes) {
+        const previous = fromNodes.get(key);
+        if (!previous) continue;
+
+        const properties = new Set([
+            ...Object.keys(previous.styles || {}),
+            ...Object.keys(node.styles || {}),
+        ]);
+        for (const property of properties) {
+            if (IGNORED_STYLES.has(property)) continue;
+            const before = previous.styles?.[property];
+            const after = node.styles?.[property];
+            if (before !== after) {
+                styles.push({
+                    element: key,
+                    property,
+                    from: before,
+                    to: after,
+                });
+            }
+        }
+    }
+
+    const elements = {
+        added: collapseDescendants(
+            [...toNodes.keys()].filter((key) => !fromNodes.has(key))
+        ),
+        removed: collapseDescendants(
+            [...fromNodes.keys()].filter((key) => !toNodes.has(key))
+        ),
+    };
+    const interactive = diffLists(
+        (fromPage.interactiveElements || []).map(describeInteractive),
+        (toPage.interactiveElements || []).map(describeInteractive)
+    );
+    const api = diffApiCalls(
+        await readJsonIfExists(
+            path.join(from.dir, `${fromPage.name}-api-calls.json`)
+        ),
+        await readJsonIfExists(
+            path.join(to.dir, `${toPage.name}-api-calls.json`)
+        )
+    );
+    const screenshotChanges = await screenshots.compare([
+        ...new Set([...pageScreenshots(fromPage), ...pageScreenshots(toPage)]),
+    ]);
+
+    const counts = {
+        elementsAdded: elements.added.length,
+        elementsRemoved: elements.removed.length,
+        styleChanges: styles.length,
+        interactiveAdded: interactive.added.length,
+        interactiveRemoved: interactive.removed.length,
+        endpointsAdded: api.added.length,
+        endpointsRemoved: api.removed.length,
+        responseShapeChanges: api.changed.length,
+        screenshotsChanged: screenshotChanges.length,
+    };
+
+    return {
+        status: Object.values(counts).some(Boolean) ? "changed" : "unchanged",
+        counts,
+        elements: {
+            added: elements.added.slice(0, MAX_DIFFERENCES),
+            removed: elements.removed.slice(0, MAX_DIFFERENCES),
+        },
+        styles: styles.slice(0, MAX_DIFFERENCES),
+        interactive: {
+            added: interactive.added.slice(0, MAX_DIFFERENCES),
+            removed: interactive.removed.slice(0, MAX_DIFFERENCES),
+        },
+        api,
+        screenshots: screenshotChanges,
+    };
+}
+
+function logPage(name, page) {
+    if (page.status !== "changed") {
+        const color = page.status === "unchanged" ? chalk.gray : chalk.yellow;
+        console.log(color(`    • ${name}: ${page.status}`));
+        return;
+    }
+
+    const { counts } = page;
+    const parts = [
+        counts.elementsAdded || counts.elementsRemoved
+            ? `+${counts.elementsAdded}/-${counts.elementsRemoved} elements`
+            : null,
+        counts.styleChanges ? `${counts.styleChanges} style changes` : null,
+        counts.interactiveAdded || counts.interactiveRemoved
+            ? `+${counts.interactiveAdded}/-${counts.interactiveRemoved} interactive`
+            : null,
+        counts.endpointsAdded || counts.endpointsRemoved
+            ? `+${counts.endpointsAdded}/-${counts.endpointsRemoved} endpoints`
+            : null,
+        counts.responseShapeChanges
+            ? `${counts.responseShapeChanges} response shape changes`
+            : null,
+        counts.screenshotsChanged
+            ? `${counts.screenshotsChanged} screenshots changed`
+            : null,
+    ].filter(Boolean);
+    console.log(chalk.yellow(`    • ${name}: ${parts.join(", ")}`));
+}
+
+function describeInteractive(element) {
+    const label = (
+        element.ariaLabel ||
+        element.text ||
+        element.placeholder ||
+        element.name ||
+        ""
+    )
+        .replace(/\s+/g, " ")
+        .substring(0, 60);
+    return `${element.type}${
+        element.inputType ? `[${element.inputType}]` : ""
+    }${label ? ` "${label}"` : ""}`;
+}
+
+// Multiset difference, so a second "Add task" button counts as added
+function diffLists(before, after) {
+    const remaining = new Map();
+    for (const item of before) {
+        remaining.set(item, (remaining.get(item) || 0) + 1);
+    }
+
+    const added = [];
+    for (const item of after) {
+        if (remaining.get(item) > 0) {
+            remaining.set(item, remaining.get(item) - 1);
+        } else {
+            added.push(item);
+        }
+    }
+    const removed = [...remaining.entries()].flatMap(([item, count]) =>
+        Array(count).fill(item)
+    );
+    return { added, removed };
+}
+
+/**
+ * Endpoints (method + path pattern) added or removed, and for shared
+ * endpoints the response fields added, removed or changed in type and the
+ * status codes seen
+ */
+function diffApiCalls(fromCalls = [], toCalls = []) {
+    const before = summarizeEndpoints(fromCalls || []);
+    const after = summarizeEndpoints(toCalls || []);
+
+    const changed = [];
+    for (const [key, endpoint] of after) {
+        const previous = before.get(key);
+        if (!previous) continue;
+
+        const fields = diffShapes(previous.shape, endpoint.shape);
+        const statuses = {
+            from: [...previous.statuses].sort(),
+            to: [...endpoint.statuses].sort(),
+        };
+        const statusChanged = statuses.from.join() !== statuses.to.join();
+        if (
+            fields.added.length ||
+            fields.removed.length ||
+            fields.changed.length ||
+            statusChanged
+        ) {
+            changed.push({
+                endpoint: key,
+                ...fields,
+                ...(statusChanged ? { statuses } : {}),
+            });
+        }
+    }
+
+    const added = [...after.keys()].filter((key) => !before.has(key));
+    const removed = [...before.keys()].filter((key) => !after.has(key));
+    return { added, removed, changed: changed.slice(0, MAX_DIFFERENCES) };
+}
+
+function summarizeEndpoints(apiCalls) {
+    const endpoints = new Map();
+    for (const call of apiCalls) {
+        const key = `${call.method} ${endpointPattern(call.url)}`;
+        const endpoint = endpoints.get(key) || {
+            statuses: new Set(),
+            shape: new Map(),
+        };
+        if (call.response?.status) endpoint.statuses.add(call.response.status);
+        collectShape(call.response?.body, "$", endpoint.shape, 0);
+        endpoints.set(key, endpoint);
+    }
+    return endpoints;
+}
+
+// Flatten a response body into field path → set of value types
+function collectShape(value, fieldPath, shape, depth) {
+    const type =
+        value === null || value === undefined
+            ? "null"
+            : Array.isArray(value)
+            ? "array"
+            : typeof value;
+    if (!shape.has(fieldPath)) shape.set(fieldPath, new Set());
+    shape.get(fieldPath).add(type);
+
+    if (depth >= MAX_SHAPE_DEPTH) return;
+    if (type === "array") {
+        for (const item of value.slice(0, MAX_SHAPE_ITEMS)) {
+            collectShape(item, `${fieldPath}[]`, shape, depth + 1);
+        }
+    } else if (type === "object") {
+        for (const [key, child] of Object.entries(value)) {
+            collectShape(child, `${fieldPath}.${key}`, shape, depth + 1);
+        }
+    }
+}
+
+function diffShapes(before, after) {
+    const typeOf = (types) => [...types].sort().join("|");
+    const changed = [];
+    for (const [field, types] of after) {
+        if (before.has(field) && typeOf(before.get(field)) !== typeOf(types)) {
+            changed.push({
+                field,
+                from: typeOf(before.get(field)),
+                to: typeOf(types),
+            });
+        }
+    }
+    return {
+        added: [...after.keys()].filter((field) => !before.has(field)),
+        removed: [...before.keys()].filter((field) => !after.has(field)),
+        changed,
+    };
+}
+
+/**
+ * Per token group, the tokens added, removed or given a new value; tokens
+ * are matched by name (or by value for groups without names)
+ */
+function diffDesignTokens(before, after) {
+    if (!before || !after) return {};
+
+    const differences = {};
+    for (const group of TOKEN_GROUPS) {
+        const index = (tokens = []) =>
+            new Map(
+                tokens.map((token) => [token.name ?? token.value, token.value])
+            );
+        const from = index(before[group]);
+        const to = index(after[group]);
+
+        const difference = {
+            added: [...to.keys()].filter((name) => !from.has(name)),
+            removed: [...from.keys()].filter((name) => !to.has(name)),
+            changed: [...to.entries()]
+                .filter(
+                    ([name, value]) =>
+                        from.has(name) && from.get(name) !== value
+                )
+                .map(([name, value]) => ({
+                    name,
+                    from: from.get(name),
+                    to: value,
+                })),
+        };
+        if (Object.values(difference).some((list) => list.length > 0)) {
+            differences[group] = difference;
+        }
+    }
+    return differences;
+}
+
+// Theme tokens are matched by the property and default value they replace
+function diffThemeTokens(before = {}, after = {}) {
+    const differences = {};
+    for (const variant of new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+    ])) {
+        const index = (tokens = []) =>
+            new Map(
+                tokens.map((token) => [
+                    `${token.property}: ${token.base}`,
+                    token.value,
+                ])
+            );
+        const from = index(before?.[variant]);
+        const to = index(after?.[variant]);
+
+        const difference = {
+            added: [...to.keys()].filter((key) => !from.has(key)),
+            removed: [...from.keys()].filter((key) => !to.has(key)),
+            changed: [...to.entries()]
+                .filter(
+                    ([key, value]) => from.has(key) && from.get(key) !== value
+                )
+                .map(([key, value]) => ({
+                    token: key,
+                    from: from.get(key),
+                    to: value,
+                })),
+        };
+        if (Object.values(difference).some((list) => list.length > 0)) {
+            differences[variant] = difference;
+        }
+    }
+    return differences;
+}
+
+// Screenshot file names a page references: full page, elements, overlays,
+// breakpoints and media variants
+function pageScreenshots(page) {
+    const files = [
+        page.screenshots?.main,
+        ...(page.screenshots?.elements || []).map((element) => element.path),
+        ...(page.overlays || []).flatMap((entry) =>
+            entry.overlays.map((overlay) => overlay.screenshot)
+        ),
+        ...Object.values(page.breakpoints || {}).map(
+            (capture) => capture.screenshot
+        ),
+        ...Object.values(page.mediaVariants || {}).map(
+            (variant) => variant.screenshot
+        ),
+    ];
+    return files.filter(Boolean).map((file) => path.basename(file));
+}
+
+/**
+ * Compares same-named screenshots of two runs. Identical files are skipped
+ * without decoding; the browser that measures pixel differences is only
+ * launched for files whose bytes differ.
+ */
+function createScreenshotComparer(fromDir, toDir, diffDir) {
+    let browser = null;
+    let page = null;
+
+    return {
+        compare: async (files) => {
+            const changes = [];
+
+            for (const file of files) {
+                const fromFile = path.join(fromDir, "screenshots", file);
+                const toFile = path.join(toDir, "screenshots", file);
+                const [fromExists, toExists] = await Promise.all([
+                    fs.pathExists(fromFile),
+                    fs.pathExists(toFile),
+                ]);
+                if (!fromExists && !toExists) continue;
+                if (!fromExists || !toExists) {
+                    changes.push({
+                        file,
+                        status: toExists ? "added" : "removed",
+                    });
+                    continue;
+                }
+
+                const [before, after] = await Promise.all([
+                    fs.readFile(fromFile),
+                    fs.readFile(toFile),
+                ]);
+                if (before.equals(after)) continue;
+
+                if (!browser) {
+                    browser = await chromium.launch({ headless: true });
+                    page = await browser.newPage();
+                }
+
+                try {
+                    const result = await page.evaluate(comparePixels, {
+                        before: `data:image/png;base64,${before.toString(
+                            "base64"
+                        )}`,
+                        after: `data:image/png;base64,${after.toString(
+                            "base64"
+                        )}`,
+                        tolerance: PIXEL_TOLERANCE,
+                    });
+                    const resized =
+                        result.from.width !== result.to.width ||
+                        result.from.height !== result.to.height;
+                    if (
+                        !resized &&
+                        result.changedRatio < SCREENSHOT_DIFF_THRESHOLD
+                    ) {
+                        continue;
+                    }
+
+                    const diffImage = path.join(diffDir, "screenshots", file);
+                    await fs.ensureDir(path.dirname(diffImage));
+                    await fs.writeFile(
+                        diffImage,
+                        Buffer.from(result.diff.split(",")[1], "base64")
+                    );
+                    changes.push({
+                        file,
+                        status: "changed",
+                        from: result.from,
+                        to: result.to,
+                        changedPixels: result.changedPixels,
+                        changedPercent: +(result.changedRatio * 100).toFixed(2),
+                        diff: diffImage,
+                    });
+                } catch (error) {
+                    changes.push({
+                        file,
+                        status: "changed",
+                        error: error.message,
+                    });
+                }
+            }
+
+            return changes;
+        },
+        close: async () => {
+            if (browser) await browser.close();
+        },
+    };
+}
+
+// Runs in the browser: count pixels that differ and paint them red over a
+// faded copy of the newer screenshot
+async function comparePixels({ before, after, tolerance }) {
+    const load = (src) =>
+        new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error("Could not decode image"));
+            image.src = src;
+        });
+    const [from, to] = await Promise.all([load(before), load(after)]);
+    const width = Math.max(from.width, to.width);
+    const height = Math.max(from.height, to.height);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    const pixels = (image) => {
+        context.clearRect(0, 0, width, height);
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, width, height).data;
+    };
+    const a = pixels(from);
+    const b = pixels(to);
+
+    const diff = context.createImageData(width, height);
+    let changedPixels = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(a[i] - b[i]),
+            Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]),
+            Math.abs(a[i + 3] - b[i + 3])
+        );
+        if (delta > tolerance) {
+            changedPixels++;
+            diff.data.set([255, 0, 0, 255], i);
+        } else {
+            const gray = 255 - (255 - (b[i] + b[i + 1] + b[i + 2]) / 3) * 0.2;
+            diff.data.set([gray, gray, gray, 255], i);
+        }
+    }
+    context.putImageData(diff, 0, 0);
+
+    return {
+        from: { width: from.width, height: from.height },
+        to: { width: to.width, height: to.height },
+        changedPixels,
+        changedRatio: changedPixels / (width * height),
+        diff: canvas.toDataURL("image/png"),
+    };
+}
+
+async function readJsonIfExists(file) {
+    return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
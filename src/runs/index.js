@@ -0,0 +1,142 @@
+import fs from "fs-extra";
+import path from "path";
+import { CHECKPOINT_FILENAME } from "../scraper/checkpoint.js";
+
+export const RUNS_DIRNAME = "runs";
+export const LATEST_FILENAME = "latest.json";
+export const SCRAPED_DATA_FILENAME = "scraped-data.json";
+export const PRIVATE_DIRNAME = "private";
+
+/**
+ * Start a run: a directory under <outputDir>/runs, named by its start time,
+ * that a scrape, crawl or replay writes all of its output into. The run
+ * becomes `latest` only once it completes (see markLatestRun).
+ */
+export async function createRun(outputDir, command) {
+    const id = new Date().toISOString().replace(/[:.]/g, "-");
+    const dir = path.join(outputDir, RUNS_DIRNAME, id);
+    await fs.ensureDir(dir);
+    return { id, dir, command };
+}
+
+/**
+ * Folder for the files of a run that cannot be redacted and must not be
+ * shared with it (Playwright traces with TRACE_LOCATION=private):
+ * <outputDir>/private/<run-id>
+ */
+export function privateRunDir(runDir) {
+    return path.join(
+        path.dirname(path.dirname(runDir)),
+        PRIVATE_DIRNAME,
+        path.basename(runDir)
+    );
+}
+
+/**
+ * Point <outputDir>/latest.json at a completed run
+ */
+export async function markLatestRun(outputDir, run) {
+    await fs.writeJson(
+        path.join(outputDir, LATEST_FILENAME),
+        {
+            id: run.id,
+            command: run.command,
+            completedAt: new Date().toISOString(),
+        },
+        { spaces: 2 }
+    );
+}
+
+/**
+ * IDs of the completed runs (those with scraped data), oldest first
+ */
+export async function listRuns(outputDir) {
+    const runsDir = path.join(outputDir, RUNS_DIRNAME);
+    if (!(await fs.pathExists(runsDir))) return [];
+
+    const runs = [];
+    for (const id of (await fs.readdir(runsDir)).sort()) {
+        if (
+            await fs.pathExists(path.join(runsDir, id, SCRAPED_DATA_FILENAME))
+        ) {
+            runs.push(id);
+        }
+    }
+    return runs;
+}
+
+/**
+ * The newest run that stopped before completing but left a checkpoint to
+ * resume from (see scrapeSite)
+ */
+export async function findUnfinishedRun(outputDir, command) {
+    const runsDir = path.join(outputDir, RUNS_DIRNAME);
+    const ids = (await fs.pathExists(runsDir))
+        ? (await fs.readdir(runsDir)).sort().reverse()
+        : [];
+
+    for (const id of ids) {
+        const dir = path.join(runsDir, id);
+        if (
+            (await fs.pathExists(path.join(dir, CHECKPOINT_FILENAME))) &&
+            !(await fs.pathExists(path.join(dir, SCRAPED_DATA_FILENAME)))
+        ) {
+            return { id, dir, command };
+        }
+    }
+
+    throw new Error(
+        `No unfinished run with a checkpoint in ${runsDir}. Run "npm run scrape" without --resume.`
+    );
+}
+
+/**
+ * Resolve a run reference to `{ id, dir }`: "latest", "previous" (the
+ * completed run before latest), a run ID or a unique prefix of one. Output
+ * from before runs existed (scraped-data.json directly in outputDir) is the
+ * "legacy" run while there are no others.
+ */
+export async function resolveRun(outputDir, ref = "latest") {
+    const runs = await listRuns(outputDir);
+    const latestFile = path.join(outputDir, LATEST_FILENAME);
+    const pointer = (await fs.pathExists(latestFile))
+        ? (await fs.readJson(latestFile)).id
+        : null;
+    // A deleted run falls back to the newest one left
+    const latest = runs.includes(pointer) ? pointer : runs[runs.length - 1];
+
+    let id = null;
+    if (ref === "latest") {
+        id = latest;
+    } else if (ref === "previous") {
+        id = runs.filter((run) => run < latest).pop();
+    } else {
+        const matches = runs.filter((run) => run.startsWith(ref));
+        if (matches.length > 1) {
+            throw new Error(`Run "${ref}" is ambiguous: ${matches.join(", ")}`);
+        }
+        id = matches[0];
+    }
+
+    if (id) return { id, dir: path.join(outputDir, RUNS_DIRNAME, id) };
+
+    if (
+        (ref === "latest" || ref === "legacy") &&
+        runs.length === 0 &&
+        (await fs.pathExists(path.join(outputDir, SCRAPED_DATA_FILENAME)))
+    ) {
+        return { id: "legacy", dir: outputDir };
+    }
+
+    throw new Error(
+        runs.length === 0
+            ? `No runs found in ${path.join(
+                  outputDir,
+                  RUNS_DIRNAME
+              )}. Run "npm run scrape" first.`
+            : `No run "${ref}" in ${path.join(
+                  outputDir,
+                  RUNS_DIRNAME
+              )}. Completed runs: ${runs.join(", ")}`
+    );
+}
@@ -0,0 +1,110 @@
+import chalk from "chalk";
+
+const SNAPSHOT_TIMEOUT = 15000;
+const MAX_RELATIONSHIPS = 200;
+
+/**
+ * Capture the page's accessibility semantics: Playwright's ARIA snapshot
+ * (roles, accessible names, states and landmark nesting, as YAML) and the
+ * ARIA relationships the snapshot leaves out. Each relationship entry names
+ * the element and what it is labelled by, described by, controls or owns,
+ * plus its expanded / popup / active-descendant state.
+ */
+export async function captureAccessibility(page) {
+    console.log(chalk.gray("  → Capturing accessibility tree..."));
+
+    let snapshot = null;
+    try {
+        snapshot = await page
+            .locator("body")
+            .ariaSnapshot({ timeout: SNAPSHOT_TIMEOUT });
+    } catch (error) {
+        console.log(
+            chalk.yellow(
+                `  ⚠ Could not capture accessibility snapshot: ${error.message}`
+            )
+        );
+    }
+
+    const relationships = await page
+        .evaluate(findAriaRelationships, MAX_RELATIONSHIPS)
+        .catch(() => []);
+
+    console.log(
+        chalk.green(
+            `  ✓ Accessibility tree captured (${
+                snapshot ? snapshot.split("\n").length : 0
+            } snapshot lines, ${relationships.length} ARIA relationships)`
+        )
+    );
+
+    return { snapshot, relationships };
+}
+
+// Runs in the browser
+function findAriaRelationships(limit) {
+    const REFERENCES = {
+        labelledBy: "aria-labelledby",
+        describedBy: "aria-describedby",
+        controls: "aria-controls",
+        owns: "aria-owns",
+        activeDescendant: "aria-activedescendant",
+    };
+
+    const signature = (element) =>
+        element.tagName.toLowerCase() +
+        (element.id ? `#${element.id}` : "") +
+        (typeof element.className === "string" && element.classList[0]
+            ? `.${element.classList[0]}`
+            : "");
+    const nodePath = (element) => {
+        const parts = [];
+        for (let el = element; el && el !== document.body; ) {
+            parts.unshift(signature(el));
+            el = el.parentElement;
+        }
+        return parts.join(" > ");
+    };
+    const describe = (element) => {
+        const description = { path: nodePath(element) };
+        const role = element.getAttribute("role");
+        if (role) description.role = role;
+        const text = (element.getAttribute("aria-label") || element.textContent)
+            .trim()
+            .replace(/\s+/g, " ")
+            .substring(0, 80);
+        if (text) description.text = text;
+        return description;
+    };
+
+    const selector = [
+        ...Object.values(REFERENCES),
+        "aria-expanded",
+        "aria-haspopup",
+    ]
+        .map((attribute) => `[${attribute}]`)
+        .join(", ");
+
+    const relationships = [];
+    for (const element of document.querySelectorAll(selector)) {
+        if (relationships.length >= limit) break;
+
+        const entry = { element: describe(element) };
+        for (const [key, attribute] of Object.entries(REFERENCES)) {
+            const ids = element.getAttribute(attribute)?.trim();
+            if (!ids) continue;
+            entry[key] = ids.split(/\s+/).map((id) => {
+                const target = document.getElementById(id);
+                return target ? { id, ...describe(target) } : { id };
+            });
+        }
+
+        const expanded = element.getAttribute("aria-expanded");
+        if (expanded !== null) entry.expanded = expanded === "true";
+        const popup = element.getAttribute("aria-haspopup");
+        if (popup !== null && popup !== "false") entry.hasPopup = popup;
+
+        relationships.push(entry);
+    }
+    return relationships;
+}
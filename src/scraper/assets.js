@@ -0,0 +1,401 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import chalk from "chalk";
+
+export const ASSETS_DIRNAME = "assets";
+export const ASSET_MANIFEST_FILENAME = "manifest.json";
+
+const MAX_ASSETS_PER_PAGE = 300;
+const DOWNLOAD_TIMEOUT = 15000;
+
+// Folder under <run>/assets for each asset kind
+const KIND_DIRS = {
+    icon: "icons",
+    image: "images",
+    favicon: "images",
+    font: "fonts",
+};
+
+const EXTENSIONS = {
+    "image/svg+xml": "svg",
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/avif": "avif",
+    "image/x-icon": "ico",
+    "image/vnd.microsoft.icon": "ico",
+    "font/woff2": "woff2",
+    "font/woff": "woff",
+    "font/ttf": "ttf",
+    "font/otf": "otf",
+    "application/font-woff": "woff",
+    "application/font-woff2": "woff2",
+    "application/x-font-ttf": "ttf",
+};
+
+/**
+ * Collect the assets of every captured page into <run>/assets: inline SVGs
+ * (icons), image sources and CSS background images, favicons and web fonts.
+ * Files are named by content hash, so an asset used on several pages or by
+ * several nodes is stored once. The manifest maps each asset to the DOM
+ * nodes using it (page, node path and position).
+ *
+ * `throughPage` fetches from inside the page so requests go through its
+ * routes (HAR replay) instead of the network.
+ */
+export function createAssetCollector(
+    outputDir,
+    { redactor, throughPage = false } = {}
+) {
+    const assetsDir = path.join(outputDir, ASSETS_DIRNAME);
+    const assets = new Map(); // hash → manifest entry
+    const downloads = new Map(); // url → { buffer, contentType } or null
+
+    async function store(kind, buffer, { contentType, source, ...details }) {
+        const hash = crypto
+            .createHash("sha256")
+            .update(buffer)
+            .digest("hex")
+            .substring(0, 16);
+
+        if (!assets.has(hash)) {
+            const extension =
+                EXTENSIONS[contentType?.split(";")[0].trim()] ||
+                path.extname(new URL(source, "file:///").pathname).slice(1) ||
+                "bin";
+            const file = path.join(KIND_DIRS[kind], `${hash}.${extension}`);
+
+            await fs.ensureDir(path.join(assetsDir, KIND_DIRS[kind]));
+            await fs.writeFile(path.join(assetsDir, file), buffer);
+
+            assets.set(hash, {
+                hash,
+                kind,
+                file: path.posix.join(ASSETS_DIRNAME, ...file.split(path.sep)),
+                contentType,
+                size: buffer.length,
+                source,
+                ...details,
+                usedBy: [],
+            });
+        }
+
+        return hash;
+    }
+
+    async function download(page, url) {
+        if (downloads.has(url)) return downloads.get(url);
+
+        let result = null;
+        try {
+            if (url.startsWith("data:")) {
+                result = decodeDataUrl(url);
+            } else if (throughPage) {
+                const fetched = await page.evaluate(fetchAsBase64, url);
+                result = fetched && {
+                    buffer: Buffer.from(fetched.base64, "base64"),
+                    contentType: fetched.contentType,
+                };
+            } else {
+                const response = await page
+                    .context()
+                    .request.get(url, { timeout: DOWNLOAD_TIMEOUT });
+                if (response.ok()) {
+                    result = {
+                        buffer: await response.body(),
+                        contentType: response.headers()["content-type"],
+                    };
+                }
+            }
+        } catch (error) {
+            console.log(
+                chalk.yellow(
+                    `    ⚠ Could not download ${url.substring(0, 80)}: ${
+                        error.message
+                    }`
+                )
+            );
+        }
+
+        downloads.set(url, result);
+        return result;
+    }
+
+    const sourceOf = (url) =>
+        url.startsWith("data:")
+            ? "data-url"
+            : redactor
+            ? redactor.redactUrl(url, "asset.url", "assets")
+            : url;
+
+    return {
+        /**
+         * Find and store the assets of the current page; returns the hashes
+         * of the assets it uses
+         */
+        collect: async (page, pageName) => {
+            console.log(chalk.gray("  → Collecting assets..."));
+
+            const found = await page.evaluate(findAssets, MAX_ASSETS_PER_PAGE);
+            const used = new Set();
+
+            for (const asset of found) {
+                let hash;
+                if (asset.kind === "icon") {
+                    hash = await store("icon", Buffer.from(asset.markup), {
+                        contentType: "image/svg+xml",
+                        source: "inline",
+                        name: asset.name,
+                    });
+                } else {
+                    const downloaded = await download(page, asset.url);
+                    if (!downloaded) continue;
+                    hash = await store(asset.kind, downloaded.buffer, {
+                        contentType: downloaded.contentType,
+                        source: sourceOf(asset.url),
+                        ...(asset.font ? { font: asset.font } : {}),
+                    });
+                }
+
+                if (asset.node) {
+                    assets.get(hash).usedBy.push({
+                        page: pageName,
+                        node: asset.node,
+                        position: asset.position,
+                    });
+                }
+                used.add(hash);
+            }
+
+            console.log(
+                chalk.gray(
+                    `    • ${used.size} assets on this page (${assets.size} collected)`
+                )
+            );
+            return [...used];
+        },
+
+        // Assets an interrupted run already collected (see --resume)
+        restore: async () => {
+            const manifestFile = path.join(assetsDir, ASSET_MANIFEST_FILENAME);
+            if (!(await fs.pathExists(manifestFile))) return;
+            for (const asset of (await fs.readJson(manifestFile)).assets) {
+                assets.set(asset.hash, asset);
+            }
+        },
+
+        save: async () => {
+            const manifest = {
+                assets: [...assets.values()].sort((a, b) =>
+                    a.file.localeCompare(b.file)
+                ),
+            };
+            await fs.ensureDir(assetsDir);
+            await fs.writeJson(
+                path.join(assetsDir, ASSET_MANIFEST_FILENAME),
+                manifest,
+                { spaces: 2 }
+            );
+            console.log(
+                chalk.green(
+                    `  ✓ Saved ${assets.size} assets to ${ASSETS_DIRNAME}/`
+                )
+            );
+            return manifest;
+        },
+    };
+}
+
+function decodeDataUrl(url) {
+    const match = url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (!match) return null;
+    return {
+        contentType: match[1] || "text/plain",
+        buffer: match[2]
+            ? Buffer.from(match[3], "base64")
+            : Buffer.from(decodeURIComponent(match[3])),
+    };
+}
+
+// Runs in the browser
+async function fetchAsBase64(url) {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return {
+        base64: btoa(binary),
+        contentType: response.headers.get("content-type"),
+    };
+}
+
+// Runs in the browser
+function findAssets(limit) {
+    // Per-node assets are capped; favicons and fonts are always kept
+    const assets = [];
+    const documentAssets = [];
+
+    const signature = (element) =>
+        element.tagName.toLowerCase() +
+        (element.id ? `#${element.id}` : "") +
+        (typeof element.className === "string" && element.classList[0]
+            ? `.${element.classList[0]}`
+            : "");
+    const nodePath = (element) => {
+        const parts = [];
+        for (let el = element; el && el !== document.body; ) {
+            parts.unshift(signature(el));
+            el = el.parentElement;
+        }
+        return parts.join(" > ");
+    };
+    const position = (element) => {
+        const rect = element.getBoundingClientRect();
+        return {
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+        };
+    };
+    const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+    };
+
+    // Sprite icons (<use href="#icon-x">) are inlined so the file stands alone
+    const inlineSvg = (svg) => {
+        const clone = svg.cloneNode(true);
+        for (const use of clone.querySelectorAll("use")) {
+            const ref =
+                use.getAttribute("href") || use.getAttribute("xlink:href");
+            const symbol = ref?.startsWith("#")
+                ? document.getElementById(ref.substring(1))
+                : null;
+            if (!symbol) continue;
+
+            if (
+                !clone.getAttribute("viewBox") &&
+                symbol.getAttribute("viewBox")
+            ) {
+                clone.setAttribute("viewBox", symbol.getAttribute("viewBox"));
+            }
+            const group = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "g"
+            );
+            group.innerHTML = symbol.innerHTML;
+            use.replaceWith(group);
+        }
+        if (!clone.getAttribute("xmlns")) {
+            clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+        }
+        return clone.outerHTML;
+    };
+
+    // Name hints for icon components
+    const iconName = (svg) =>
+        svg.getAttribute("aria-label") ||
+        svg.querySelector("title")?.textContent ||
+        svg.getAttribute("data-icon") ||
+        svg.closest("[aria-label]")?.getAttribute("aria-label") ||
+        (typeof svg.className?.baseVal === "string"
+            ? svg.className.baseVal.split(" ").find((c) => /icon/i.test(c))
+            : null) ||
+        null;
+
+    for (const svg of document.querySelectorAll("svg")) {
+        if (svg.parentElement?.closest("svg") || !isVisible(svg)) continue;
+        assets.push({
+            kind: "icon",
+            markup: inlineSvg(svg),
+            name: iconName(svg)?.trim().substring(0, 40) || null,
+            node: nodePath(svg),
+            position: position(svg),
+        });
+    }
+
+    for (const img of document.querySelectorAll("img")) {
+        const url = img.currentSrc || img.src;
+        if (!url || !isVisible(img)) continue;
+        assets.push({
+            kind: "image",
+            url,
+            node: nodePath(img),
+            position: position(img),
+        });
+    }
+
+    for (const element of document.querySelectorAll("body *")) {
+        const background = getComputedStyle(element).backgroundImage;
+        if (!background || background === "none" || !isVisible(element)) {
+            continue;
+        }
+        for (const [, url] of background.matchAll(
+            /url\(["']?([^"')]+)["']?\)/g
+        )) {
+            assets.push({
+                kind: "image",
+                url,
+                node: nodePath(element),
+                position: position(element),
+            });
+        }
+    }
+
+    for (const link of document.querySelectorAll(
+        'link[rel~="icon"], link[rel="apple-touch-icon"]'
+    )) {
+        if (link.href) documentAssets.push({ kind: "favicon", url: link.href });
+    }
+
+    // Font URLs from readable @font-face rules, plus any font the page loaded
+    const fontFaces = new Map();
+    for (const sheet of document.styleSheets) {
+        let rules;
+        try {
+            rules = sheet.cssRules;
+        } catch (e) {
+            continue; // Cross-origin stylesheet
+        }
+        for (const rule of rules) {
+            if (!(rule instanceof CSSFontFaceRule)) continue;
+            const src = rule.style.getPropertyValue("src");
+            for (const [, url] of src.matchAll(/url\(["']?([^"')]+)["']?\)/g)) {
+                fontFaces.set(new URL(url, sheet.href || location.href).href, {
+                    family: rule.style
+                        .getPropertyValue("font-family")
+                        .replace(/["']/g, "")
+                        .trim(),
+                    weight: rule.style.getPropertyValue("font-weight") || "400",
+                    style:
+                        rule.style.getPropertyValue("font-style") || "normal",
+                });
+            }
+        }
+    }
+    const fontUrls = new Set(
+        performance
+            .getEntriesByType("resource")
+            .map((entry) => entry.name)
+            .filter((url) => /\.(woff2?|ttf|otf)(\?|#|$)/i.test(url))
+    );
+    for (const [url, face] of fontFaces) {
+        // Only faces the page actually loaded
+        if (fontUrls.has(url)) {
+            documentAssets.push({ kind: "font", url, font: face });
+            fontUrls.delete(url);
+        }
+    }
+    for (const url of fontUrls) {
+        documentAssets.push({ kind: "font", url, font: null });
+    }
+
+    return [...documentAssets, ...assets.slice(0, limit)];
+}
@@ -0,0 +1,172 @@
+import chalk from "chalk";
+import {
+    analyzeDOMStructure,
+    collapseDescendants,
+    flattenStructure,
+} from "./dom-analyzer.js";
+import { takeScreenshot } from "./screenshot.js";
+import { waitForSettle } from "./settle.js";
+
+const DEFAULT_BREAKPOINTS = "mobile:390x844,tablet:768x1024,desktop:1920x1080";
+
+// Properties that describe layout rather than content
+const LAYOUT_PROPERTIES = [
+    "display",
+    "position",
+    "flexDirection",
+    "justifyContent",
+    "alignItems",
+    "gridTemplateColumns",
+    "fontSize",
+    "padding",
+    "margin",
+];
+
+// Deeper nodes are content, not layout
+const MAX_LAYOUT_DEPTH = 8;
+const MAX_DIFFERENCES = 150;
+
+/**
+ * Parse "name:WIDTHxHEIGHT,..." (BREAKPOINTS in .env) into breakpoints,
+ * narrowest first
+ */
+export function parseBreakpoints(
+    spec = process.env.BREAKPOINTS || DEFAULT_BREAKPOINTS
+) {
+    return spec
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const match = entry.match(/^([\w-]+):(\d+)x(\d+)$/);
+            if (!match) {
+                throw new Error(
+                    `Invalid breakpoint "${entry}", expected name:WIDTHxHEIGHT`
+                );
+            }
+            return {
+                name: match[1],
+                width: parseInt(match[2], 10),
+                height: parseInt(match[3], 10),
+            };
+        })
+        .sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Record DOM structure and a full-page screenshot at each breakpoint, then
+ * restore the original viewport. The capture already taken at the current
+ * viewport is passed in as `current` and reused instead of repeated.
+ */
+export async function captureBreakpoints(
+    page,
+    pageName,
+    outputDir,
+    breakpoints,
+    current
+) {
+    const originalViewport = page.viewportSize();
+    const captures = {};
+
+    for (const breakpoint of breakpoints) {
+        const viewport = {
+            width: breakpoint.width,
+            height: breakpoint.height,
+        };
+
+        if (
+            current &&
+            originalViewport?.width === viewport.width &&
+            originalViewport?.height === viewport.height
+        ) {
+            captures[breakpoint.name] = { viewport, ...current };
+            continue;
+        }
+
+        console.log(
+            chalk.gray(
+                `  → Capturing ${breakpoint.name} (${viewport.width}x${viewport.height})...`
+            )
+        );
+
+        try {
+            await page.setViewportSize(viewport);
+            await waitForSettle(page);
+
+            captures[breakpoint.name] = {
+                viewport,
+                domStructure: await analyzeDOMStructure(page),
+                screenshot: await takeScreenshot(
+                    page,
+                    `${pageName}-${breakpoint.name}-full.png`,
+                    outputDir
+                ),
+            };
+        } catch (error) {
+            console.log(
+                chalk.yellow(
+                    `  ⚠ Could not capture ${breakpoint.name}: ${error.message}`
+                )
+            );
+        }
+    }
+
+    if (originalViewport) {
+        await page.setViewportSize(originalViewport);
+        await waitForSettle(page);
+    }
+
+    return captures;
+}
+
+/**
+ * Compare each breakpoint's layout against the widest one. Elements are
+ * matched by their path from the root (see flattenStructure); reports
+ * elements hidden or only shown at a breakpoint and layout property changes.
+ */
+export function diffBreakpointLayouts(captures) {
+    const names = Object.keys(captures).sort(
+        (a, b) => captures[b].viewport.width - captures[a].viewport.width
+    );
+    if (names.length < 2) return {};
+
+    const [referenceName, ...otherNames] = names;
+    const reference = flattenStructure(
+        captures[referenceName].domStructure?.structure,
+        MAX_LAYOUT_DEPTH
+    );
+    const differences = {};
+
+    for (const name of otherNames) {
+        const other = flattenStructure(
+            captures[name].domStructure?.structure,
+            MAX_LAYOUT_DEPTH
+        );
+        const hidden = [...reference.keys()].filter((key) => !other.has(key));
+        const shown = [...other.keys()].filter((key) => !reference.has(key));
+        const changed = [];
+
+        for (const [key, node] of other) {
+            const referenceNode = reference.get(key);
+            if (!referenceNode) continue;
+
+            for (const property of LAYOUT_PROPERTIES) {
+                const from = referenceNode.styles?.[property];
+                const to = node.styles?.[property];
+                if (from !== to) {
+                    changed.push({ element: key, property, from, to });
+                }
+            }
+        }
+
+        differences[name] = {
+            comparedTo: referenceName,
+            viewport: captures[name].viewport,
+            hidden: collapseDescendants(hidden).slice(0, MAX_DIFFERENCES),
+            shown: collapseDescendants(shown).slice(0, MAX_DIFFERENCES),
+            changed: changed.slice(0, MAX_DIFFERENCES),
+        };
+    }
+
+    return differences;
+}
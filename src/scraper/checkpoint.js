@@ -0,0 +1,180 @@
+import fs from "fs-extra";
+import path from "path";
+
+export const CHECKPOINT_FILENAME = "checkpoint.json";
+const CHECKPOINT_PAGES_FILENAME = "checkpoint-pages.json";
+
+/**
+ * Load the checkpoint an interrupted scrape left in its run directory, or
+ * null if there is none. The checkpoint must come from the same workflow.
+ */
+export async function loadCheckpoint(outputDir, workflow) {
+    const progressFile = path.join(outputDir, CHECKPOINT_FILENAME);
+    if (!(await fs.pathExists(progressFile))) return null;
+
+    const progress = await fs.readJson(progressFile);
+    if (
+        progress.workflow !== workflow.name ||
+        progress.steps !== workflow.steps.length
+    ) {
+        throw new Error(
+            `Checkpoint in ${outputDir} is for workflow "${progress.workflow}" (${progress.steps} steps), not "${workflow.name}" (${workflow.steps.length} steps)`
+        );
+    }
+
+    const pagesFile = path.join(outputDir, CHECKPOINT_PAGES_FILENAME);
+    const scrapedData = (await fs.pathExists(pagesFile))
+        ? await fs.readJson(pagesFile)
+        : null;
+    // A capture interrupted before its step completed is taken again
+    if (scrapedData) {
+        scrapedData.pages = scrapedData.pages.filter((page) =>
+            progress.captured.includes(page.name)
+        );
+    }
+
+    return { progress, scrapedData };
+}
+
+/**
+ * Track a workflow run step by step in <run>/checkpoint.json so it can be
+ * resumed (see runWorkflow). Besides the completed steps, it records resume
+ * anchors: the URL at the start of the workflow and of each section, and
+ * the URL after each step marked `sideEffect`. A resumed run goes back to
+ * the last anchor before the first incomplete step and repeats the steps
+ * from there to rebuild UI state, except captures already taken and side
+ * effect steps, which are never repeated. A side effect step that was
+ * started but did not complete may or may not have changed the target app,
+ * so resuming past it requires `skipInterrupted` (--skip-interrupted).
+ */
+export function createCheckpoint(
+    outputDir,
+    workflow,
+    previous = null,
+    { skipInterrupted = false } = {}
+) {
+    const progress = previous?.progress || {
+        workflow: workflow.name,
+        steps: workflow.steps.length,
+        completed: [],
+        attempted: [],
+        captured: [],
+        anchors: {},
+    };
+
+    const save = async () => {
+        progress.updatedAt = new Date().toISOString();
+        await fs.ensureDir(outputDir);
+        await fs.writeJson(
+            path.join(outputDir, CHECKPOINT_FILENAME),
+            progress,
+            {
+                spaces: 2,
+            }
+        );
+    };
+
+    return {
+        /**
+         * Where a resumed run continues: `{ fromStep, url, skip }` with step
+         * indexes from 0, or null for a fresh run. Throws when a side
+         * effect step was interrupted, unless `skipInterrupted` is set.
+         */
+        resumePlan: () => {
+            if (!previous) return null;
+
+            const interrupted = progress.attempted.filter(
+                (index) => !progress.completed.includes(index)
+            );
+            if (interrupted.length > 0 && !skipInterrupted) {
+                const steps = interrupted
+                    .map((index) => {
+                        const step = workflow.steps[index];
+                        return `${index + 1} (${
+                            step.description || step.action
+                        })`;
+                    })
+                    .join(", ");
+                throw new Error(
+                    `Side effect step ${steps} was interrupted and may have partly changed the target app. Check the app, then resume with --skip-interrupted to continue without repeating it, or start a new scrape.`
+                );
+            }
+
+            const firstIncomplete = workflow.steps.findIndex(
+                (_, index) => !progress.completed.includes(index)
+            );
+            if (firstIncomplete === -1) {
+                return { fromStep: workflow.steps.length, url: null, skip: [] };
+            }
+
+            const anchor = Math.max(
+                0,
+                ...Object.keys(progress.anchors)
+                    .map(Number)
+                    .filter((index) => index <= firstIncomplete)
+            );
+            const skip = workflow.steps
+                .map((_, index) => index)
+                .filter(
+                    (index) =>
+                        index >= anchor &&
+                        ((workflow.steps[index].action === "capture" &&
+                            progress.completed.includes(index)) ||
+                            (workflow.steps[index].sideEffect &&
+                                progress.attempted.includes(index)))
+                );
+
+            return {
+                fromStep: anchor,
+                url: progress.anchors[anchor] || null,
+                skip,
+            };
+        },
+
+        stepStarted: async (index, step, page) => {
+            if (index === 0 || step.action === "section") {
+                progress.anchors[index] = page.url();
+            }
+            if (step.sideEffect) {
+                // Recorded before the step runs: a crash halfway through
+                // may already have changed the target app
+                if (!progress.attempted.includes(index)) {
+                    progress.attempted.push(index);
+                }
+                await save();
+            }
+        },
+
+        stepCompleted: async (index, step, page) => {
+            if (!progress.completed.includes(index)) {
+                progress.completed.push(index);
+            }
+            if (
+                step.action === "capture" &&
+                !progress.captured.includes(step.name)
+            ) {
+                progress.captured.push(step.name);
+            }
+            if (step.sideEffect) progress.anchors[index + 1] = page.url();
+            await save();
+        },
+
+        /**
+         * Write the page data captured so far
+         */
+        savePages: async (scrapedData) => {
+            await fs.writeJson(
+                path.join(outputDir, CHECKPOINT_PAGES_FILENAME),
+                scrapedData
+            );
+        },
+
+        /**
+         * Remove the checkpoint once the run has completed
+         */
+        clear: async () => {
+            await fs.remove(path.join(outputDir, CHECKPOINT_FILENAME));
+            await fs.remove(path.join(outputDir, CHECKPOINT_PAGES_FILENAME));
+        },
+    };
+}
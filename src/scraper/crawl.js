@@ -0,0 +1,161 @@
+import chalk from "chalk";
+import { waitForSettle } from "./settle.js";
+import { beginAction } from "./timeline.js";
+
+const DEFAULT_EXCLUDE = ["logout", "log-out", "signout", "sign-out"];
+
+/**
+ * Collapse a URL into its route pattern so that pages which only differ by
+ * IDs count as one page, e.g. /1/123/project/456 → /1/<id>/project/<id>
+ */
+export function inferRoutePattern(url) {
+    const { origin, pathname } = new URL(url);
+
+    const segments = pathname
+        .split("/")
+        .filter(Boolean)
+        .map((segment) => (isIdSegment(segment) ? "<id>" : segment));
+
+    return `${origin}/${segments.join("/")}`;
+}
+
+/**
+ * Whether a path segment is an ID: a number, a UUID or an opaque token
+ */
+export function isIdSegment(segment) {
+    return (
+        /^\d{3,}$/.test(segment) || // numeric IDs (workspace, project, task)
+        /^[0-9a-f]{8}-[0-9a-f-]{27}$/i.test(segment) || // UUIDs
+        (segment.length >= 16 && /\d/.test(segment) && /^[\w-]+$/.test(segment)) // opaque tokens
+    );
+}
+
+/**
+ * Page name for a route pattern, used for capture file names
+ */
+function pageNameFromPattern(pattern) {
+    const { pathname } = new URL(pattern.replace(/<id>/g, "id"));
+    const name = pathname
+        .split("/")
+        .filter(
+            (segment) => segment && segment !== "id" && !/^\d$/.test(segment)
+        )
+        .join("-");
+    return name || "home";
+}
+
+/**
+ * Bounded breadth-first crawl from the current page. Every page with a new
+ * route pattern is handed to `onCapture`, and the links it returns in
+ * `interactiveElements` feed the queue. A page that fails is handed to
+ * `onFailure` and skipped.
+ */
+export async function crawl(
+    page,
+    {
+        adapter,
+        onCapture,
+        onFailure,
+        maxPages = 20,
+        maxDepth = Infinity,
+        include = [],
+        exclude = [],
+    }
+) {
+    const includeRules = include.map((rule) => new RegExp(rule));
+    const excludeRules = [...DEFAULT_EXCLUDE, ...exclude].map(
+        (rule) => new RegExp(rule, "i")
+    );
+    const origin = new URL(page.url()).origin;
+
+    const isAllowed = (url) =>
+        new URL(url).origin === origin &&
+        (includeRules.length === 0 ||
+            includeRules.some((rule) => rule.test(url))) &&
+        !excludeRules.some((rule) => rule.test(url));
+
+    const seenPatterns = new Set([inferRoutePattern(page.url())]);
+    const usedNames = new Set();
+    const queue = [{ url: page.url(), depth: 0 }];
+    const visited = [];
+
+    console.log(
+        chalk.cyan(`\n🕸️  Crawling ${origin} (max ${maxPages} pages)...`)
+    );
+
+    while (queue.length > 0 && visited.length < maxPages) {
+        const { url, depth } = queue.shift();
+        const pattern = inferRoutePattern(url);
+
+        console.log(
+            chalk.blue.bold(
+                `\n=== [${visited.length + 1}/${maxPages}] ${pattern} ===`
+            )
+        );
+
+        try {
+            if (page.url() !== url) {
+                beginAction(page, {
+                    type: "navigate",
+                    description: `Navigate to ${pattern}`,
+                    target: { url },
+                });
+                await page.goto(url, { waitUntil: "load", timeout: 90000 });
+                await waitForSettle(page);
+                await adapter.dismissInterstitials(page);
+            }
+
+            const name = uniqueName(pageNameFromPattern(pattern), usedNames);
+            const pageData = await onCapture(name);
+            visited.push({ name, url: page.url(), pattern, depth });
+
+            if (depth >= maxDepth) continue;
+
+            const links = (pageData?.interactiveElements || [])
+                .filter((element) => element.type === "link" && element.href)
+                .map((element) => stripHash(element.href));
+
+            for (const link of links) {
+                let linkPattern;
+                try {
+                    if (!isAllowed(link)) continue;
+                    linkPattern = inferRoutePattern(link);
+                } catch {
+                    continue; // javascript:, mailto: and malformed hrefs
+                }
+
+                if (!seenPatterns.has(linkPattern)) {
+                    seenPatterns.add(linkPattern);
+                    queue.push({ url: link, depth: depth + 1 });
+                }
+            }
+        } catch (error) {
+            console.error(
+                chalk.red(`  ✗ Could not crawl ${url}:`),
+                error.message
+            );
+            await onFailure?.(error, { url, pattern });
+        }
+    }
+
+    console.log(
+        chalk.green(
+            `\n✓ Crawled ${visited.length} pages (${queue.length} still queued)`
+        )
+    );
+
+    return visited;
+}
+
+function uniqueName(name, usedNames) {
+    let candidate = name;
+    for (let i = 2; usedNames.has(candidate); i++) {
+        candidate = `${name}-${i}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+}
+
+function stripHash(url) {
+    return url.split("#")[0];
+}
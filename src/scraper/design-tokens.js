@@ -0,0 +1,386 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { toHex } from "./media-variants.js";
+
+export const DESIGN_TOKENS_FILENAME = "design-tokens.json";
+
+// Colors closer than this (CIE76 ΔE in Lab space) are one token
+const COLOR_CLUSTER_DISTANCE = 6;
+// Lab chroma above which a color reads as a brand/accent color
+const ACCENT_CHROMA = 25;
+
+const MAX_COLORS_PER_ROLE = 8;
+const MAX_SCALE_STEPS = 12;
+
+const RADIUS_NAMES = ["sm", "DEFAULT", "md", "lg", "xl", "2xl", "3xl"];
+const SHADOW_NAMES = ["sm", "DEFAULT", "md", "lg", "xl", "2xl"];
+const SMALLER_FONT_SIZES = ["sm", "xs", "2xs", "3xs"];
+const LARGER_FONT_SIZES = ["lg", "xl", "2xl", "3xl", "4xl", "5xl", "6xl"];
+
+/**
+ * Derive design tokens from the computed styles of every captured page, with
+ * no LLM involved: colors are clustered and ranked by the area they cover,
+ * spacing, radius, font size and shadow scales by how often values occur.
+ * The same capture always gives the same tokens. `tailwind` holds the
+ * matching `theme.extend` section for the generated frontend.
+ */
+export function extractDesignTokens(pages) {
+    const usage = {
+        colors: new Map(),
+        spacing: new Map(),
+        radii: new Map(),
+        fontFamilies: new Map(),
+        fontSizes: new Map(),
+        fontWeights: new Map(),
+        shadows: new Map(),
+    };
+    let nodeCount = 0;
+
+    const add = (map, key, weight = 1, extra = {}) => {
+        const entry = map.get(key) || { value: key, weight: 0, count: 0 };
+        entry.weight += weight;
+        entry.count++;
+        for (const [name, value] of Object.entries(extra)) {
+            entry[name] = (entry[name] || 0) + value;
+        }
+        map.set(key, entry);
+    };
+
+    const addColor = (color, role, weight) => {
+        add(usage.colors, color.hex, weight, { [role]: weight });
+        usage.colors.get(color.hex).color = color;
+    };
+
+    const visit = (node) => {
+        if (!node) return;
+        nodeCount++;
+
+        const styles = node.styles || {};
+        const { width = 0, height = 0 } = node.position || {};
+        const area = width * height;
+
+        const background = parseColor(styles.backgroundColor);
+        if (background && area > 0) {
+            addColor(background, "background", area);
+        }
+
+        if (node.textContent) {
+            const textArea = Math.max(area, 1);
+            const color = parseColor(styles.color);
+            if (color) addColor(color, "text", textArea);
+
+            if (styles.fontFamily) {
+                add(usage.fontFamilies, styles.fontFamily, textArea);
+            }
+            const fontSize = parsePx(styles.fontSize);
+            if (fontSize) add(usage.fontSizes, fontSize, textArea);
+            if (styles.fontWeight) {
+                add(usage.fontWeights, styles.fontWeight, textArea);
+            }
+        }
+
+        const border = parseBorder(styles.border);
+        if (border) {
+            const length = 2 * (width + height) * border.width;
+            addColor(border.color, "border", length);
+        }
+
+        for (const value of [
+            ...parseBoxValues(styles.padding),
+            ...parseBoxValues(styles.margin),
+        ]) {
+            add(usage.spacing, value);
+        }
+
+        const radius = parsePx(styles.borderRadius?.split(" ")[0]);
+        if (radius) add(usage.radii, radius);
+
+        if (styles.boxShadow && styles.boxShadow !== "none") {
+            add(usage.shadows, toHex(styles.boxShadow));
+        }
+
+        for (const child of node.children || []) visit(child);
+    };
+
+    for (const page of pages) {
+        visit(page.domStructure?.structure);
+    }
+
+    const colors = nameColors(clusterColors([...usage.colors.values()]));
+    const spacing = topByCount(usage.spacing)
+        .sort((a, b) => a.value - b.value)
+        .map((entry) => ({
+            name: String(entry.value / 4),
+            value: `${entry.value}px`,
+            count: entry.count,
+        }));
+    const radii = nameScale(
+        topByCount(usage.radii).sort((a, b) => a.value - b.value),
+        RADIUS_NAMES,
+        (value) => (value >= 9999 ? "full" : null)
+    ).map((entry) => ({ ...entry, value: `${entry.value}px` }));
+    const fontSizes = nameFontSizes(usage.fontSizes);
+    const fontFamilies = byWeight(usage.fontFamilies).map(
+        ({ value, count, weight }) => ({ value, count, weight })
+    );
+    const fontWeights = byWeight(usage.fontWeights).map(({ value, count }) => ({
+        value,
+        count,
+    }));
+    const shadows = nameScale(
+        topByCount(usage.shadows, SHADOW_NAMES.length).sort(
+            (a, b) => shadowBlur(a.value) - shadowBlur(b.value)
+        ),
+        SHADOW_NAMES
+    );
+
+    return {
+        pages: pages.map((page) => page.name),
+        nodes: nodeCount,
+        colors,
+        spacing,
+        radii,
+        fontFamilies,
+        fontSizes,
+        fontWeights,
+        shadows,
+        tailwind: {
+            colors: Object.fromEntries(
+                colors.map((color) => [color.name, color.value])
+            ),
+            spacing: Object.fromEntries(
+                spacing.map((step) => [step.name, step.value])
+            ),
+            borderRadius: Object.fromEntries(
+                radii.map((step) => [step.name, step.value])
+            ),
+            fontFamily: fontFamilies.length
+                ? { sans: splitFontStack(fontFamilies[0].value) }
+                : {},
+            fontSize: Object.fromEntries(
+                fontSizes.map((step) => [step.name, step.value])
+            ),
+            boxShadow: Object.fromEntries(
+                shadows.map((step) => [step.name, step.value])
+            ),
+        },
+    };
+}
+
+/**
+ * Extract the design tokens of a run and write them to design-tokens.json
+ */
+export async function saveDesignTokens(scrapedData, outputDir) {
+    const tokens = extractDesignTokens(scrapedData.pages);
+
+    await fs.writeJson(path.join(outputDir, DESIGN_TOKENS_FILENAME), tokens, {
+        spaces: 2,
+    });
+    console.log(
+        chalk.green(
+            `  ✓ Extracted ${tokens.colors.length} colors, ${tokens.spacing.length} spacing steps and ${tokens.fontSizes.length} font sizes to ${DESIGN_TOKENS_FILENAME}`
+        )
+    );
+
+    return tokens;
+}
+
+// Greedy clustering, heaviest colors first so they become the representatives
+function clusterColors(entries) {
+    const clusters = [];
+
+    for (const entry of [...entries].sort(compareByWeight)) {
+        // Alpha counts as a fourth channel so overlays stay separate
+        const lab = [...rgbToLab(entry.color), entry.color.alpha * 100];
+        const cluster = clusters.find(
+            (candidate) =>
+                labDistance(candidate.lab, lab) < COLOR_CLUSTER_DISTANCE
+        );
+
+        if (cluster) {
+            cluster.members.push(entry.value);
+            cluster.weight += entry.weight;
+            cluster.count += entry.count;
+            for (const role of ["background", "text", "border"]) {
+                cluster[role] += entry[role] || 0;
+            }
+        } else {
+            clusters.push({
+                value: entry.value,
+                lab,
+                members: [entry.value],
+                weight: entry.weight,
+                count: entry.count,
+                background: entry.background || 0,
+                text: entry.text || 0,
+                border: entry.border || 0,
+            });
+        }
+    }
+
+    return clusters;
+}
+
+// Role is the use covering most area; saturated colors are accents
+function nameColors(clusters) {
+    const byRole = {};
+
+    for (const cluster of clusters.sort(compareByWeight)) {
+        const [, a, b] = cluster.lab;
+        const role =
+            Math.hypot(a, b) > ACCENT_CHROMA
+                ? "accent"
+                : ["background", "text", "border"].reduce((best, role) =>
+                      cluster[role] > cluster[best] ? role : best
+                  );
+
+        byRole[role] = byRole[role] || [];
+        if (byRole[role].length < MAX_COLORS_PER_ROLE) {
+            byRole[role].push({ ...cluster, role });
+        }
+    }
+
+    return Object.values(byRole).flatMap((roleClusters) =>
+        roleClusters.map((cluster, index) => ({
+            name: `${cluster.role}-${index + 1}`,
+            value: cluster.value,
+            role: cluster.role,
+            weight: Math.round(cluster.weight),
+            count: cluster.count,
+            members: cluster.members,
+        }))
+    );
+}
+
+// The most frequent size is "base"; smaller and larger sizes step away from it
+function nameFontSizes(fontSizeUsage) {
+    const sizes = [...fontSizeUsage.values()]
+        .sort((a, b) => b.count - a.count || compareByWeight(a, b))
+        .slice(0, MAX_SCALE_STEPS)
+        .map((entry) => entry.value);
+    if (sizes.length === 0) return [];
+
+    const base = sizes[0];
+    const smaller = sizes.filter((size) => size < base).sort((a, b) => b - a);
+    const larger = sizes.filter((size) => size > base).sort((a, b) => a - b);
+    const count = (size) => fontSizeUsage.get(size).count;
+
+    return [
+        ...smaller
+            .slice(0, SMALLER_FONT_SIZES.length)
+            .map((size, index) => ({ name: SMALLER_FONT_SIZES[index], size }))
+            .reverse(),
+        { name: "base", size: base },
+        ...larger
+            .slice(0, LARGER_FONT_SIZES.length)
+            .map((size, index) => ({ name: LARGER_FONT_SIZES[index], size })),
+    ].map(({ name, size }) => ({
+        name,
+        value: `${size}px`,
+        count: count(size),
+    }));
+}
+
+function nameScale(entries, names, fixedName = () => null) {
+    const named = [];
+    let index = 0;
+    for (const entry of entries) {
+        const name = fixedName(entry.value) || names[index++];
+        if (!name) break;
+        named.push({ name, value: entry.value, count: entry.count });
+    }
+    return named;
+}
+
+// Values seen more than once, most frequent first, capped
+function topByCount(map, limit = MAX_SCALE_STEPS) {
+    const entries = [...map.values()].sort(
+        (a, b) => b.count - a.count || compareValues(a.value, b.value)
+    );
+    const repeated = entries.filter((entry) => entry.count > 1);
+    return (repeated.length > 0 ? repeated : entries).slice(0, limit);
+}
+
+function byWeight(map) {
+    return [...map.values()].sort(compareByWeight);
+}
+
+function compareByWeight(a, b) {
+    return b.weight - a.weight || compareValues(a.value, b.value);
+}
+
+function compareValues(a, b) {
+    return typeof a === "number" && typeof b === "number"
+        ? a - b
+        : String(a).localeCompare(String(b));
+}
+
+function parseColor(value) {
+    const match = value?.match(
+        /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/
+    );
+    if (!match) return null;
+
+    const [r, g, b] = match.slice(1, 4).map(Number);
+    const alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (alpha === 0) return null; // Transparent
+
+    return { r, g, b, alpha, hex: toHex(match[0]) };
+}
+
+function parsePx(value) {
+    const match = value?.match(/^(-?[\d.]+)px$/);
+    return match ? Math.round(parseFloat(match[1])) : null;
+}
+
+// "8px 16px" → [8, 16]; zero and negative values are not scale steps
+function parseBoxValues(value) {
+    return (value || "")
+        .split(" ")
+        .map(parsePx)
+        .filter((px) => px > 0);
+}
+
+// Computed `border` shorthand, e.g. "1px solid rgb(229, 231, 235)"
+function parseBorder(value) {
+    const match = value?.match(/^([\d.]+)px (\w+) (rgba?\([^)]+\))/);
+    if (!match || parseFloat(match[1]) === 0 || match[2] === "none") {
+        return null;
+    }
+    const color = parseColor(match[3]);
+    return color ? { width: parseFloat(match[1]), color } : null;
+}
+
+// Blur radius of the first shadow: "#0000001a 0px 1px 3px 0px" → 3
+function shadowBlur(value) {
+    const lengths = value.match(/-?[\d.]+px/g) || [];
+    return parseFloat(lengths[2] || "0");
+}
+
+function splitFontStack(value) {
+    return value
+        .split(",")
+        .map((family) => family.trim().replace(/^["']|["']$/g, ""))
+        .filter(Boolean);
+}
+
+function rgbToLab({ r, g, b }) {
+    const linear = (channel) => {
+        const c = channel / 255;
+        return c > 0.04045 ? ((c + 0.055) / 1.055) ** 2.4 : c / 12.92;
+    };
+    const [lr, lg, lb] = [r, g, b].map(linear);
+
+    // sRGB → XYZ (D65), normalized by the reference white
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+function labDistance(a, b) {
+    return Math.hypot(...a.map((value, index) => value - b[index]));
+}
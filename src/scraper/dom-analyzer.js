@@ -1,99 +1,329 @@
 import chalk from "chalk";
 
-export async function analyzeDOMStructure(page) {
+const DOM_MAX_DEPTH = parseInt(process.env.DOM_MAX_DEPTH || "15", 10);
+
+// Subtrees cut off by the depth limit listed in the summary
+const MAX_TRUNCATION_REPORTS = 50;
+
+/**
+ * Capture the rendered element tree with computed styles, plus `pseudo`
+ * styles for ::before/::after content and placeholders. Open shadow roots
+ * and same-origin iframes are walked as part of the tree: nodes that start a
+ * shadow root, a slot's assigned content or a frame document carry a
+ * `boundary` ("shadow", "slot" or "iframe"). Nodes at `maxDepth` whose
+ * children were not walked are marked `truncated` and listed in
+ * `truncated` with their selector path. `root` (a CSS selector) analyzes one
+ * subtree, such as an open menu, instead of the app container.
+ */
+export async function analyzeDOMStructure(
+    page,
+    { maxDepth = DOM_MAX_DEPTH, root = null } = {}
+) {
     console.log(chalk.gray("  → Analyzing DOM structure..."));
 
-    const domData = await page.evaluate(() => {
-        // Recursive function to extract element data
-        function extractElement(element, depth = 0) {
-            if (depth > 15 || !element) return null; // Prevent infinite recursion
-
-            const computedStyle = window.getComputedStyle(element);
-            const rect = element.getBoundingClientRect();
-
-            // Get relevant CSS properties
-            const styles = {
-                display: computedStyle.display,
-                position: computedStyle.position,
-                width: computedStyle.width,
-                height: computedStyle.height,
-                margin: computedStyle.margin,
-                padding: computedStyle.padding,
-                backgroundColor: computedStyle.backgroundColor,
-                color: computedStyle.color,
-                fontSize: computedStyle.fontSize,
-                fontFamily: computedStyle.fontFamily,
-                fontWeight: computedStyle.fontWeight,
-                borderRadius: computedStyle.borderRadius,
-                border: computedStyle.border,
-                boxShadow: computedStyle.boxShadow,
-                flexDirection: computedStyle.flexDirection,
-                justifyContent: computedStyle.justifyContent,
-                alignItems: computedStyle.alignItems,
-                gridTemplateColumns: computedStyle.gridTemplateColumns,
+    const domData = await page.evaluate(
+        ({ maxDepth, maxTruncationReports, root }) => {
+            const boundaries = {
+                shadowRoots: 0,
+                iframes: 0,
+                inaccessibleFrames: 0,
             };
+            const truncated = [];
+            let truncatedCount = 0;
+
+            const signature = (element) =>
+                element.tagName.toLowerCase() +
+                (element.id ? `#${element.id}` : "") +
+                (element.classList[0] ? `.${element.classList[0]}` : "");
+
+            // Rendered children and the boundary crossed to reach them
+            function getChildren(element) {
+                if (element.shadowRoot) {
+                    boundaries.shadowRoots++;
+                    return {
+                        boundary: "shadow",
+                        elements: Array.from(element.shadowRoot.children),
+                    };
+                }
+
+                if (element.tagName === "SLOT") {
+                    const assigned = element.assignedElements({
+                        flatten: true,
+                    });
+                    if (assigned.length > 0) {
+                        return { boundary: "slot", elements: assigned };
+                    }
+                }
+
+                return {
+                    boundary: null,
+                    elements: Array.from(element.children),
+                };
+            }
+
+            // Same-origin frame documents are readable; others are only noted
+            function getFrameDocument(iframe) {
+                try {
+                    return iframe.contentDocument?.body
+                        ? iframe.contentDocument
+                        : null;
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // ::before/::after with generated content, and input placeholders
+            function getPseudoStyles(element, view) {
+                const pick = (style, properties) =>
+                    Object.fromEntries(
+                        properties.map((property) => [
+                            property,
+                            style[property],
+                        ])
+                    );
+                const pseudo = {};
+
+                for (const name of ["before", "after"]) {
+                    const style = view.getComputedStyle(element, `::${name}`);
+                    if (["none", "normal", ""].includes(style.content))
+                        continue;
+
+                    pseudo[name] = pick(style, [
+                        "content",
+                        "display",
+                        "position",
+                        "top",
+                        "left",
+                        "width",
+                        "height",
+                        "color",
+                        "backgroundColor",
+                        "backgroundImage",
+                        "border",
+                        "borderRadius",
+                        "fontSize",
+                        "fontWeight",
+                        "opacity",
+                        "transform",
+                    ]);
+                }
+
+                if (
+                    (element.tagName === "INPUT" ||
+                        element.tagName === "TEXTAREA") &&
+                    element.placeholder
+                ) {
+                    pseudo.placeholder = {
+                        text: element.placeholder,
+                        ...pick(
+                            view.getComputedStyle(element, "::placeholder"),
+                            [
+                                "color",
+                                "fontSize",
+                                "fontStyle",
+                                "fontWeight",
+                                "opacity",
+                            ]
+                        ),
+                    };
+                }
 
-            // Get attributes
-            const attributes = {};
-            for (let attr of element.attributes || []) {
-                attributes[attr.name] = attr.value;
+                return Object.keys(pseudo).length > 0 ? pseudo : null;
             }
 
-            // Extract children
-            const children = [];
-            for (let child of element.children || []) {
-                // Skip script and style elements
-                if (child.tagName === "SCRIPT" || child.tagName === "STYLE")
-                    continue;
-
-                // Only include visible elements
-                const childRect = child.getBoundingClientRect();
-                if (childRect.width > 0 && childRect.height > 0) {
-                    const childData = extractElement(child, depth + 1);
-                    if (childData) children.push(childData);
+            function isRendered(element) {
+                const view = element.ownerDocument.defaultView;
+                if (view.getComputedStyle(element).display === "contents") {
+                    return true; // Slots and wrappers without a box of their own
                 }
+                const rect = element.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0;
             }
 
+            // Recursive function to extract element data
+            function extractElement(
+                element,
+                {
+                    depth = 0,
+                    path = "",
+                    boundary = null,
+                    offset = { x: 0, y: 0 },
+                } = {}
+            ) {
+                if (!element) return null;
+
+                const view = element.ownerDocument.defaultView;
+                const computedStyle = view.getComputedStyle(element);
+                const rect = element.getBoundingClientRect();
+                const nodePath = `${path ? `${path} > ` : ""}${signature(
+                    element
+                )}`;
+
+                // Get relevant CSS properties
+                const styles = {
+                    display: computedStyle.display,
+                    position: computedStyle.position,
+                    width: computedStyle.width,
+                    height: computedStyle.height,
+                    margin: computedStyle.margin,
+                    padding: computedStyle.padding,
+                    backgroundColor: computedStyle.backgroundColor,
+                    color: computedStyle.color,
+                    fontSize: computedStyle.fontSize,
+                    fontFamily: computedStyle.fontFamily,
+                    fontWeight: computedStyle.fontWeight,
+                    borderRadius: computedStyle.borderRadius,
+                    border: computedStyle.border,
+                    boxShadow: computedStyle.boxShadow,
+                    flexDirection: computedStyle.flexDirection,
+                    justifyContent: computedStyle.justifyContent,
+                    alignItems: computedStyle.alignItems,
+                    gridTemplateColumns: computedStyle.gridTemplateColumns,
+                };
+
+                // Get attributes
+                const attributes = {};
+                for (let attr of element.attributes || []) {
+                    attributes[attr.name] = attr.value;
+                }
+
+                const node = {
+                    tag: element.tagName.toLowerCase(),
+                    id: element.id || null,
+                    classes: Array.from(element.classList),
+                    attributes,
+                    styles,
+                    textContent:
+                        element.childNodes.length === 1 &&
+                        element.childNodes[0].nodeType === 3
+                            ? element.textContent.trim()
+                            : null,
+                    position: {
+                        x: rect.x + offset.x,
+                        y: rect.y + offset.y,
+                        width: rect.width,
+                        height: rect.height,
+                    },
+                    children: [],
+                };
+                if (boundary) node.boundary = boundary;
+
+                const pseudo = getPseudoStyles(element, view);
+                if (pseudo) node.pseudo = pseudo;
+
+                // Frame documents are laid out relative to the iframe's content box
+                let children;
+                if (element.tagName === "IFRAME") {
+                    boundaries.iframes++;
+                    const frameDocument = getFrameDocument(element);
+                    node.frame = {
+                        src: element.src || null,
+                        accessible: Boolean(frameDocument),
+                    };
+                    if (!frameDocument) boundaries.inaccessibleFrames++;
+
+                    children = {
+                        boundary: "iframe",
+                        elements: frameDocument ? [frameDocument.body] : [],
+                        offset: {
+                            x: offset.x + rect.x + element.clientLeft,
+                            y: offset.y + rect.y + element.clientTop,
+                        },
+                    };
+                } else {
+                    children = getChildren(element);
+                }
+                if (element.shadowRoot) node.shadowRoot = true;
+
+                // Skip script and style elements, and invisible ones
+                const renderedChildren = children.elements.filter(
+                    (child) =>
+                        child.tagName !== "SCRIPT" &&
+                        child.tagName !== "STYLE" &&
+                        isRendered(child)
+                );
+
+                if (depth >= maxDepth) {
+                    if (renderedChildren.length > 0) {
+                        node.truncated = true;
+                        truncatedCount++;
+                        if (truncated.length < maxTruncationReports) {
+                            truncated.push({
+                                path: nodePath,
+                                depth,
+                                children: renderedChildren.length,
+                                descendants: renderedChildren.reduce(
+                                    (sum, child) =>
+                                        sum +
+                                        1 +
+                                        child.querySelectorAll("*").length,
+                                    0
+                                ),
+                            });
+                        }
+                    }
+                    return node;
+                }
+
+                for (const child of renderedChildren) {
+                    const childData = extractElement(child, {
+                        depth: depth + 1,
+                        path: nodePath,
+                        boundary: children.boundary,
+                        offset: children.offset || offset,
+                    });
+                    if (childData) node.children.push(childData);
+                }
+
+                return node;
+            }
+
+            // Find main app container
+            const appRoot =
+                (root && document.querySelector(root)) ||
+                document.querySelector('[role="main"]') ||
+                document.querySelector("#root") ||
+                document.querySelector(".app") ||
+                document.body;
+
             return {
-                tag: element.tagName.toLowerCase(),
-                id: element.id || null,
-                classes: Array.from(element.classList),
-                attributes,
-                styles,
-                textContent:
-                    element.childNodes.length === 1 &&
-                    element.childNodes[0].nodeType === 3
-                        ? element.textContent.trim()
-                        : null,
-                position: {
-                    x: rect.x,
-                    y: rect.y,
-                    width: rect.width,
-                    height: rect.height,
+                title: document.title,
+                url: window.location.href,
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight,
                 },
-                children,
+                structure: extractElement(appRoot),
+                maxDepth,
+                boundaries,
+                truncatedCount,
+                truncated,
             };
-        }
+        },
+        { maxDepth, maxTruncationReports: MAX_TRUNCATION_REPORTS, root }
+    );
 
-        // Find main app container
-        const appRoot =
-            document.querySelector('[role="main"]') ||
-            document.querySelector("#root") ||
-            document.querySelector(".app") ||
-            document.body;
-
-        return {
-            title: document.title,
-            url: window.location.href,
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight,
-            },
-            structure: extractElement(appRoot),
-        };
-    });
+    const { shadowRoots, iframes, inaccessibleFrames } = domData.boundaries;
+    console.log(
+        chalk.green(
+            `  ✓ DOM structure analyzed (${shadowRoots} shadow roots, ${iframes} iframes)`
+        )
+    );
+    if (inaccessibleFrames > 0) {
+        console.log(
+            chalk.yellow(
+                `  ⚠ ${inaccessibleFrames} cross-origin iframes could not be read`
+            )
+        );
+    }
+    if (domData.truncatedCount > 0) {
+        console.log(
+            chalk.yellow(
+                `  ⚠ ${domData.truncatedCount} subtrees cut off at depth ${maxDepth} (DOM_MAX_DEPTH)`
+            )
+        );
+    }
 
-    console.log(chalk.green("  ✓ DOM structure analyzed"));
     return domData;
 }
 
@@ -111,6 +341,10 @@ export async function extractInteractiveElements(page) {
                     type: "button",
                     text: el.textContent.trim(),
                     ariaLabel: el.getAttribute("aria-label"),
+                    ariaHasPopup: el.getAttribute("aria-haspopup"),
+                    ariaExpanded: el.getAttribute("aria-expanded"),
+                    ariaControls: el.getAttribute("aria-controls"),
+                    ariaDescribedBy: el.getAttribute("aria-describedby"),
                     classes: Array.from(el.classList),
                     position: {
                         x: rect.x,
@@ -169,3 +403,54 @@ export async function extractInteractiveElements(page) {
     );
     return interactions;
 }
+
+/**
+ * Flatten a captured structure into a Map keyed by each node's tag#id.class
+ * path from the root (repeated siblings get a :2, :3... suffix), so the same
+ * element can be matched across captures of one page.
+ */
+export function flattenStructure(root, maxDepth = Infinity) {
+    const nodes = new Map();
+
+    const walk = (node, parentKey, depth) => {
+        if (!node || depth > maxDepth) return;
+
+        const base = `${parentKey ? `${parentKey}>` : ""}${nodeSignature(
+            node
+        )}`;
+        let key = base;
+        for (let i = 2; nodes.has(key); i++) {
+            key = `${base}:${i}`;
+        }
+        nodes.set(key, node);
+
+        for (const child of node.children || []) {
+            walk(child, key, depth + 1);
+        }
+    };
+
+    walk(root, "", 0);
+    return nodes;
+}
+
+/**
+ * Drop flattenStructure keys whose ancestor is also in the list, so a
+ * hidden sidebar is reported once, not once per descendant
+ */
+export function collapseDescendants(keys) {
+    const keySet = new Set(keys);
+    return keys.filter((key) => {
+        for (let i = key.indexOf(">"); i !== -1; i = key.indexOf(">", i + 1)) {
+            if (keySet.has(key.substring(0, i))) return false;
+        }
+        return true;
+    });
+}
+
+function nodeSignature(node) {
+    return [
+        node.tag,
+        node.id ? `#${node.id}` : "",
+        node.classes?.[0] ? `.${node.classes[0]}` : "",
+    ].join("");
+}
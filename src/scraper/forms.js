@@ -0,0 +1,622 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+
+const MAX_FORMS = 20;
+const MAX_FIELDS_PER_FORM = 40;
+const MAX_OPTIONS = 50;
+// Request bodies larger than this are summarized by their keys only
+const MAX_BODY_LENGTH = 5000;
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Extract a schema for every form on the page: <form> and role="form"
+ * elements, plus implicit forms (fields outside any form, grouped by the
+ * dialog or nearest container holding a button). Each field has its label,
+ * type, validation attributes (required, pattern, length and range limits),
+ * default value, options and fieldset / radio group; each form has its
+ * submit button. Which request a form sends is only known once the workflow
+ * submits it (see linkFormSubmissions).
+ */
+export async function extractForms(page, { redactor, pageName } = {}) {
+    console.log(chalk.gray("  → Extracting forms..."));
+
+    const forms = await page
+        .evaluate(findForms, {
+            maxForms: MAX_FORMS,
+            maxFields: MAX_FIELDS_PER_FORM,
+            maxOptions: MAX_OPTIONS,
+        })
+        .catch((error) => {
+            console.log(
+                chalk.yellow(`  ⚠ Could not extract forms: ${error.message}`)
+            );
+            return [];
+        });
+
+    for (const form of forms) {
+        if (form.action && redactor) {
+            form.action = redactor.redactUrl(
+                form.action,
+                "form.action",
+                pageName
+            );
+        }
+    }
+
+    const fieldCount = forms.reduce((sum, form) => sum + form.fields.length, 0);
+    console.log(
+        chalk.green(`  ✓ Found ${forms.length} forms (${fieldCount} fields)`)
+    );
+    return forms;
+}
+
+/**
+ * Attach to each captured form the request it produced when the workflow
+ * submitted it: the first click on its submit button (or Enter press) after
+ * the form's capture point, up to the next capture point. When that action
+ * sends no POST/PUT/PATCH/DELETE request (a wizard's "Continue"), the next
+ * action in the same window that does is used. Fields are mapped to the
+ * request body keys they fill (`bodyKey`). API calls come from the run's
+ * per-page files plus `apiCalls` recorded after the last capture point.
+ */
+export async function linkFormSubmissions(
+    scrapedData,
+    actions,
+    { outputDir, apiCalls = [] }
+) {
+    const calls = new Map(apiCalls.map((call) => [call.id, call]));
+    for (const page of scrapedData.pages) {
+        const file = path.join(outputDir, `${page.name}-api-calls.json`);
+        if (!(await fs.pathExists(file))) continue;
+        for (const call of await fs.readJson(file)) calls.set(call.id, call);
+    }
+
+    let linked = 0;
+    for (const page of scrapedData.pages) {
+        const captureIndex = actions.findIndex((action) =>
+            action.captures.includes(page.name)
+        );
+        if (captureIndex === -1) continue;
+
+        const nextCapture = actions.findIndex(
+            (action, index) => index > captureIndex && action.captures.length
+        );
+        const following = actions.slice(
+            captureIndex + 1,
+            nextCapture === -1 ? actions.length : nextCapture + 1
+        );
+
+        for (const form of page.forms || []) {
+            const submitIndex = following.findIndex((action, index) =>
+                submitsForm(action, following[index - 1], form)
+            );
+            if (submitIndex === -1) continue;
+
+            const sender = following
+                .slice(submitIndex)
+                .find((action) =>
+                    action.requests.some((request) =>
+                        MUTATING_METHODS.includes(request.method)
+                    )
+                );
+            const requests = (sender || following[submitIndex]).requests
+                .filter(
+                    (request) =>
+                        !sender || MUTATING_METHODS.includes(request.method)
+                )
+                .map((request) => describeRequest(request, calls));
+
+            form.submission = {
+                action: following[submitIndex].id,
+                description: following[submitIndex].description,
+                ...(sender && sender !== following[submitIndex]
+                    ? { sentBy: sender.description }
+                    : {}),
+                requests,
+            };
+            mapFieldsToBody(form, requests[0]?.body);
+            if (requests.length > 0) linked++;
+        }
+    }
+
+    if (linked > 0) {
+        console.log(
+            chalk.gray(`    • Linked ${linked} forms to the requests they send`)
+        );
+    }
+}
+
+const normalize = (text) =>
+    String(text ?? "")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim();
+
+// A click on the form's submit button, or Enter right after filling one of
+// its fields
+function submitsForm(action, previous, form) {
+    const target = action.target || {};
+    if (action.type === "press") {
+        return (
+            target.key === "Enter" &&
+            previous?.type === "fill" &&
+            fillsForm(previous, form)
+        );
+    }
+    if (action.type !== "click" || !form.submit) return false;
+
+    const buttonNames = [form.submit.text, form.submit.ariaLabel]
+        .map(normalize)
+        .filter(Boolean);
+    const candidates = [target.name, target.text, target.label]
+        .flat()
+        .map(normalize)
+        .filter((candidate) => candidate.length >= 3);
+
+    return (
+        candidates.some((candidate) =>
+            buttonNames.some((name) => name.includes(candidate))
+        ) ||
+        (form.submit.type === "submit" &&
+            [target.css].flat().includes("button[type='submit']"))
+    );
+}
+
+function fillsForm(action, form) {
+    const candidates = [
+        action.target?.name,
+        action.target?.label,
+        action.target?.placeholder,
+    ]
+        .flat()
+        .map(normalize)
+        .filter(Boolean);
+    return form.fields.some((field) =>
+        [field.name, field.label, field.placeholder]
+            .map(normalize)
+            .some((name) => name && candidates.includes(name))
+    );
+}
+
+function describeRequest(request, calls) {
+    const call = calls.get(request.id);
+    const contentType =
+        call?.headers?.["content-type"] || call?.headers?.["Content-Type"];
+    const body = parseRequestBody(call?.postData, contentType);
+    const small = body && JSON.stringify(body).length <= MAX_BODY_LENGTH;
+
+    return {
+        method: request.method,
+        url: request.url,
+        status: request.status,
+        ...(contentType ? { contentType } : {}),
+        ...(body
+            ? small
+                ? { body }
+                : { bodyKeys: leafPaths(body).map(([key]) => key) }
+            : {}),
+    };
+}
+
+function parseRequestBody(postData, contentType = "") {
+    if (!postData) return null;
+    try {
+        return JSON.parse(postData);
+    } catch {
+        // Not JSON
+    }
+    if (contentType.includes("application/x-www-form-urlencoded")) {
+        return Object.fromEntries(new URLSearchParams(postData));
+    }
+    return null;
+}
+
+/**
+ * [dotted path, value] of every non-object value in a request body
+ */
+export function leafPaths(value, prefix = "") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return prefix ? [[prefix, value]] : [];
+    }
+    return Object.entries(value).flatMap(([key, item]) =>
+        leafPaths(item, prefix ? `${prefix}.${key}` : key)
+    );
+}
+
+/**
+ * Set each field's `bodyKey` to the body path it fills: a key equal to the
+ * field's name or id, or else the last word(s) of its label ("Project name"
+ * fills `data.name`)
+ */
+function mapFieldsToBody(form, body) {
+    if (!body) return;
+
+    const compact = (text) => normalize(text).replace(/[^a-z0-9]/g, "");
+    const keys = leafPaths(body).map(([key]) => key);
+    const used = new Set();
+    const lastSegment = (key) => compact(key.split(".").pop());
+
+    const find = (test) =>
+        keys.find((key) => !used.has(key) && test(lastSegment(key)));
+
+    for (const field of form.fields) {
+        const names = [field.name, field.id].map(compact).filter(Boolean);
+        const label = compact(field.label);
+        const key =
+            find((segment) => names.includes(segment)) ||
+            (label &&
+                find(
+                    (segment) => segment.length >= 3 && label.endsWith(segment)
+                ));
+        if (key) {
+            field.bodyKey = key;
+            used.add(key);
+        }
+    }
+}
+
+// Runs in the browser
+function findForms({ maxForms, maxFields, maxOptions }) {
+    const FIELD_SELECTOR =
+        'input, select, textarea, [contenteditable="true"], [role="textbox"], [role="combobox"], [role="checkbox"], [role="switch"], [role="radio"], [role="spinbutton"], [role="slider"]';
+    const BUTTON_SELECTOR =
+        'button, [role="button"], input[type="submit"], input[type="image"]';
+    const CONTAINER_SELECTOR =
+        'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"], [role="search"], fieldset';
+    const BUTTON_INPUT_TYPES = ["submit", "button", "reset", "image"];
+    const SUBMIT_TEXT =
+        /\b(create|save|submit|send|add|continue|next|done|apply|update|confirm|invite|sign ?(in|up)|log ?in|register|search|post)\b/i;
+
+    const signature = (element) =>
+        element.tagName.toLowerCase() +
+        (element.id ? `#${element.id}` : "") +
+        (typeof element.className === "string" && element.classList[0]
+            ? `.${element.classList[0]}`
+            : "");
+    const nodePath = (element) => {
+        const parts = [];
+        for (let el = element; el && el !== document.body; ) {
+            parts.unshift(signature(el));
+            el = el.parentElement;
+        }
+        return parts.join(" > ");
+    };
+    const clean = (text, length = 120) =>
+        (text || "").replace(/\s+/g, " ").trim().substring(0, length) || null;
+    const isRendered = (element) => element.getClientRects().length > 0;
+
+    // Label text without the text of the controls it wraps (select options)
+    const labelText = (label) => {
+        const clone = label.cloneNode(true);
+        clone
+            .querySelectorAll("input, select, textarea")
+            .forEach((control) => control.remove());
+        return clone.textContent;
+    };
+    const textOfIds = (ids) =>
+        (ids || "")
+            .split(/\s+/)
+            .map((id) => id && document.getElementById(id)?.textContent)
+            .filter(Boolean)
+            .join(" ");
+    const labelOf = (element) =>
+        clean(textOfIds(element.getAttribute("aria-labelledby"))) ||
+        clean(element.getAttribute("aria-label")) ||
+        clean(
+            [...(element.labels || [])].map(labelText).join(" ") ||
+                (element.closest("label") &&
+                    labelText(element.closest("label")))
+        ) ||
+        clean(element.getAttribute("title"));
+
+    const groupOf = (element, form) => {
+        const fieldset = element.closest("fieldset");
+        if (fieldset && form.contains(fieldset) && fieldset !== form) {
+            const legend = fieldset.querySelector(":scope > legend");
+            return clean(legend?.textContent) || labelOf(fieldset);
+        }
+        const group = element.closest('[role="group"], [role="radiogroup"]');
+        return group && form.contains(group) ? labelOf(group) : null;
+    };
+
+    const typeOf = (element) => {
+        const tag = element.tagName.toLowerCase();
+        if (tag === "input") return element.type || "text";
+        if (tag === "select" || tag === "textarea") return tag;
+        const role = element.getAttribute("role");
+        if (role && role !== "textbox") return role;
+        return element.isContentEditable &&
+            element.getAttribute("aria-multiline") !== "false"
+            ? "richtext"
+            : "text";
+    };
+
+    // Only attributes that are set, to keep the schema compact
+    const constraints = (element) => {
+        const result = {};
+        const required =
+            element.required ||
+            element.getAttribute("aria-required") === "true";
+        if (required) result.required = true;
+        for (const name of [
+            "pattern",
+            "min",
+            "max",
+            "step",
+            "accept",
+            "autocomplete",
+            "inputmode",
+        ]) {
+            const value = element.getAttribute(name);
+            if (value)
+                result[name === "inputmode" ? "inputMode" : name] = value;
+        }
+        for (const [name, key] of [
+            ["minlength", "minLength"],
+            ["maxlength", "maxLength"],
+        ]) {
+            const value = parseInt(element.getAttribute(name), 10);
+            if (value >= 0) result[key] = value;
+        }
+        if (element.multiple) result.multiple = true;
+        if (
+            element.disabled ||
+            element.getAttribute("aria-disabled") === "true"
+        ) {
+            result.disabled = true;
+        }
+        if (element.readOnly) result.readOnly = true;
+        return result;
+    };
+
+    const optionsOf = (select) => {
+        const options = [...select.options].map((option) => ({
+            value: option.value,
+            label: clean(option.textContent),
+            ...(option.selected ? { selected: true } : {}),
+            ...(option.disabled ? { disabled: true } : {}),
+            ...(option.parentElement.tagName === "OPTGROUP"
+                ? { group: option.parentElement.label }
+                : {}),
+        }));
+        return options.slice(0, maxOptions);
+    };
+
+    const describeField = (element, form) => {
+        const type = typeOf(element);
+        const field = {
+            name: element.getAttribute("name") || null,
+            id: element.id || null,
+            type,
+            label: labelOf(element),
+            placeholder: clean(
+                element.getAttribute("placeholder") ||
+                    element.getAttribute("aria-placeholder")
+            ),
+            ...constraints(element),
+            group: groupOf(element, form),
+            hint: clean(textOfIds(element.getAttribute("aria-describedby"))),
+            node: nodePath(element),
+        };
+
+        const native = ["INPUT", "SELECT", "TEXTAREA"].includes(
+            element.tagName
+        );
+        if (type === "select") {
+            field.options = optionsOf(element);
+            field.default = element.multiple
+                ? [...element.selectedOptions].map((option) => option.value)
+                : element.value;
+            if (element.options.length > maxOptions) {
+                field.moreOptions = element.options.length - maxOptions;
+            }
+        } else if (!native && ["checkbox", "switch", "radio"].includes(type)) {
+            field.default = element.getAttribute("aria-checked") === "true";
+        } else if (type === "checkbox" || type === "radio") {
+            field.value = element.value;
+            field.default = element.checked;
+        } else if (native) {
+            // Password and hidden values are left out: credentials, tokens
+            if (type !== "password" && type !== "hidden") {
+                field.default = element.value;
+            }
+        } else {
+            field.default = clean(element.textContent, 200) || "";
+        }
+        return Object.fromEntries(
+            Object.entries(field).filter(
+                ([, value]) => value !== null && value !== undefined
+            )
+        );
+    };
+
+    // Radios (and same-name checkboxes) become one field with options
+    const mergeChoices = (fields) => {
+        const merged = [];
+        const byName = new Map();
+        for (const field of fields) {
+            const groupKey =
+                (field.type === "radio" || field.type === "checkbox") &&
+                field.name
+                    ? `${field.type}:${field.name}`
+                    : null;
+            if (!groupKey) {
+                merged.push(field);
+                continue;
+            }
+            const option = {
+                value: field.value,
+                label: field.label,
+                ...(field.default ? { selected: true } : {}),
+            };
+            if (!byName.has(groupKey)) {
+                const choice = {
+                    ...field,
+                    label: field.group || field.label,
+                    options: [],
+                };
+                delete choice.value;
+                byName.set(groupKey, choice);
+                merged.push(choice);
+            }
+            byName.get(groupKey).options.push(option);
+        }
+        for (const choice of byName.values()) {
+            if (choice.options.length === 1) {
+                // A lone checkbox is a boolean
+                Object.assign(choice, {
+                    label: choice.options[0].label || choice.label,
+                    value: choice.options[0].value,
+                    default: Boolean(choice.options[0].selected),
+                });
+                delete choice.options;
+            } else {
+                const selected = choice.options
+                    .filter((option) => option.selected)
+                    .map((option) => option.value);
+                choice.default =
+                    choice.type === "radio" ? selected[0] ?? null : selected;
+                if (choice.type === "checkbox") choice.multiple = true;
+            }
+            if (!choice.label) delete choice.label;
+        }
+        return merged;
+    };
+
+    const buttonText = (button) =>
+        clean(
+            button.value && button.tagName === "INPUT"
+                ? button.value
+                : button.textContent,
+            80
+        );
+    const describeButton = (button) => ({
+        text: buttonText(button),
+        ariaLabel: clean(button.getAttribute("aria-label")),
+        type:
+            button.getAttribute("type") ||
+            (button.tagName === "BUTTON" && button.form ? "submit" : null),
+        ...(button.disabled || button.getAttribute("aria-disabled") === "true"
+            ? { disabled: true }
+            : {}),
+        node: nodePath(button),
+    });
+
+    const submitOf = (container) => {
+        const buttons = [...container.querySelectorAll(BUTTON_SELECTOR)]
+            .concat(
+                container.id
+                    ? [
+                          ...document.querySelectorAll(
+                              `[form="${CSS.escape(container.id)}"]`
+                          ),
+                      ]
+                    : []
+            )
+            .filter(isRendered);
+        const explicit = buttons.find(
+            (button) =>
+                container.tagName === "FORM" &&
+                (button.type === "submit" || button.type === "image")
+        );
+        const byText = buttons
+            .filter((button) =>
+                SUBMIT_TEXT.test(
+                    `${buttonText(button) || ""} ${
+                        button.getAttribute("aria-label") || ""
+                    }`
+                )
+            )
+            .pop();
+        const submit = explicit || byText;
+        return submit ? describeButton(submit) : null;
+    };
+
+    const nameOf = (container) =>
+        labelOf(container) ||
+        clean(
+            container.querySelector('legend, h1, h2, h3, h4, [role="heading"]')
+                ?.textContent,
+            80
+        );
+
+    // A field outside any form belongs to its dialog / search / fieldset,
+    // or else the nearest ancestor that also holds a button
+    const implicitContainer = (field) => {
+        const container = field.closest(CONTAINER_SELECTOR);
+        if (container) return container;
+        let el = field.parentElement;
+        for (let depth = 0; el && el !== document.body && depth < 6; depth++) {
+            if (el.querySelector(BUTTON_SELECTOR)) return el;
+            el = el.parentElement;
+        }
+        return null;
+    };
+
+    const containers = new Map(); // element → field elements
+    for (const element of document.querySelectorAll(FIELD_SELECTOR)) {
+        const tag = element.tagName.toLowerCase();
+        if (tag === "input" && BUTTON_INPUT_TYPES.includes(element.type)) {
+            continue;
+        }
+        if (element.type !== "hidden" && !isRendered(element)) continue;
+        // Custom widgets inside another field (a combobox's input)
+        if (
+            element.parentElement?.closest(
+                '[role="combobox"], [contenteditable="true"]'
+            )
+        ) {
+            continue;
+        }
+
+        const container =
+            element.form ||
+            element.closest('form, [role="form"]') ||
+            implicitContainer(element);
+        if (!container) continue;
+        if (!containers.has(container)) containers.set(container, []);
+        containers.get(container).push(element);
+    }
+
+    const forms = [];
+    for (const [container, elements] of containers) {
+        if (elements.every((element) => element.type === "hidden")) continue;
+        if (forms.length >= maxForms) break;
+
+        const isForm = container.tagName === "FORM";
+        const fields = mergeChoices(
+            elements.map((element) => describeField(element, container))
+        );
+        const form = {
+            id: `form-${forms.length + 1}`,
+            kind:
+                isForm || container.getAttribute("role") === "form"
+                    ? "form"
+                    : "implicit",
+            name: nameOf(container),
+            node: nodePath(container),
+            ...(isForm
+                ? {
+                      action: container.getAttribute("action")
+                          ? container.action
+                          : null,
+                      method: (
+                          container.getAttribute("method") || "get"
+                      ).toUpperCase(),
+                      ...(container.noValidate ? { noValidate: true } : {}),
+                  }
+                : {}),
+            fields: fields.slice(0, maxFields),
+            ...(fields.length > maxFields
+                ? { moreFields: fields.length - maxFields }
+                : {}),
+            submit: submitOf(container),
+        };
+        if (form.name === null) delete form.name;
+        forms.push(form);
+    }
+
+    return forms;
+}
@@ -0,0 +1,172 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import chalk from "chalk";
+import { createContext } from "./browser.js";
+import { createRedactor, loadRedactionRules } from "./redact.js";
+
+export const HAR_FILENAME = "session.har";
+
+// Unredacted recordings live outside the run folder, so an interrupted run
+// never leaves one among its shareable files
+function rawHarFile(outputDir) {
+    return path.join(
+        os.tmpdir(),
+        "clooney-har",
+        `${path.basename(outputDir)}-${HAR_FILENAME}`
+    );
+}
+
+/**
+ * Context options that record every request of the run (documents, API
+ * calls and static assets, with bodies). Playwright writes the recording to
+ * a temporary file when the context is closed; redactHarFile then writes the
+ * redacted copy to <outputDir>/session.har.
+ */
+export function harRecordingOptions(outputDir) {
+    if (process.env.RECORD_HAR === "false") return {};
+
+    return {
+        recordHar: {
+            path: rawHarFile(outputDir),
+            mode: "full",
+            content: "embed",
+        },
+    };
+}
+
+/**
+ * Redact the run's recorded HAR into <outputDir>/session.har and delete the
+ * unredacted recording
+ */
+export async function redactHarFile(outputDir, redactor) {
+    const rawFile = rawHarFile(outputDir);
+    if (!(await fs.pathExists(rawFile))) return;
+
+    try {
+        const har = await fs.readJson(rawFile);
+        for (const entry of har.log?.entries || []) {
+            redactor.redactHarEntry(entry, HAR_FILENAME);
+        }
+        await fs.writeJson(path.join(outputDir, HAR_FILENAME), har);
+    } finally {
+        await fs.remove(rawFile);
+    }
+}
+
+/**
+ * Prepend the pages and entries of an earlier HAR (an interrupted attempt of
+ * the same run) to `harFile`, then delete the earlier file
+ */
+export async function mergeHarFiles(harFile, earlierFile) {
+    if (!(await fs.pathExists(earlierFile))) return;
+
+    if (await fs.pathExists(harFile)) {
+        const earlier = await fs.readJson(earlierFile);
+        const har = await fs.readJson(harFile);
+        har.log.pages = [
+            ...(earlier.log.pages || []),
+            ...(har.log.pages || []),
+        ];
+        har.log.entries = [...earlier.log.entries, ...har.log.entries];
+        await fs.writeJson(harFile, har);
+        await fs.remove(earlierFile);
+    } else {
+        await fs.move(earlierFile, harFile);
+    }
+}
+
+/**
+ * Browser context that is served entirely from a recorded HAR. The recording
+ * is redacted, so each request is redacted with the same rules before it is
+ * looked up by method, URL and body; repeated requests get the recorded
+ * responses in order. Requests the recording does not contain are aborted,
+ * so nothing reaches the live site.
+ */
+export async function openReplayContext(browser, harFile) {
+    if (!(await fs.pathExists(harFile))) {
+        throw new Error(
+            `No HAR recording found at ${harFile}. Run "npm run scrape" first.`
+        );
+    }
+
+    console.log(chalk.gray(`  → Replaying from ${harFile}...`));
+
+    const har = await fs.readJson(harFile);
+    const recorded = new Map(); // "METHOD url" → entries, in recorded order
+    for (const entry of har.log?.entries || []) {
+        const key = `${entry.request.method} ${entry.request.url}`;
+        if (!recorded.has(key)) recorded.set(key, []);
+        recorded.get(key).push(entry);
+    }
+    // Its own redactor, so lookups are not counted in the run's report
+    const matcher = createRedactor(await loadRedactionRules());
+    const served = new Map();
+
+    const context = await createContext(browser);
+    await context.route("**/*", async (route) => {
+        const request = route.request();
+        const body = request.postData();
+        const { request: redacted } = matcher.redactHarEntry({
+            request: {
+                url: request.url(),
+                postData:
+                    body === null
+                        ? undefined
+                        : {
+                              mimeType: request.headers()["content-type"],
+                              text: body,
+                          },
+            },
+        });
+
+        const key = `${request.method()} ${redacted.url}`;
+        const candidates = (recorded.get(key) || []).filter(
+            (entry) =>
+                !redacted.postData ||
+                !entry.request.postData?.text ||
+                entry.request.postData.text === redacted.postData.text
+        );
+        if (candidates.length === 0) {
+            await route.abort();
+            return;
+        }
+
+        const count = served.get(key) || 0;
+        served.set(key, count + 1);
+        const { response } = candidates[Math.min(count, candidates.length - 1)];
+        await route.fulfill({
+            status: response.status,
+            headers: replayHeaders(response.headers),
+            body:
+                response.content?.encoding === "base64"
+                    ? Buffer.from(response.content.text, "base64")
+                    : response.content?.text || "",
+        });
+    });
+
+    return context;
+}
+
+// Recorded bodies are stored decoded, so encoding and length headers are
+// dropped; repeated headers are joined
+function replayHeaders(headers = []) {
+    const joined = {};
+    for (const { name, value } of headers) {
+        const key = name.toLowerCase();
+        if (
+            [
+                "content-encoding",
+                "content-length",
+                "transfer-encoding",
+            ].includes(key)
+        ) {
+            continue;
+        }
+        joined[key] =
+            key in joined
+                ? `${joined[key]}${key === "set-cookie" ? "\n" : ", "}${value}`
+                : value;
+    }
+    return joined;
+}
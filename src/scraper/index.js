@@ -1,127 +1,463 @@
-import { createBrowser, loginToAsana } from "./browser.js";
-import { captureNetworkTraffic } from "./network-capture.js";
+import { createBrowser } from "./browser.js";
+import { openAuthenticatedContext } from "./session.js";
+import {
+    captureNetworkTraffic,
+    trackApiCalls,
+    trackRealtimeConnections,
+} from "./network-capture.js";
+import {
+    beginAction,
+    recordCapture,
+    restoreTimeline,
+    saveTimeline,
+} from "./timeline.js";
 import {
     analyzeDOMStructure,
     extractInteractiveElements,
 } from "./dom-analyzer.js";
-import { takeScreenshot, takeElementScreenshots } from "./screenshot.js";
 import {
-    scrapeHomePage,
-    navigateToCreateProject,
-    scrapeCreateProjectPage,
-    selectBlankProject,
-    createNewProject,
-    scrapeProjectPage,
-    navigateToMyTasks,
-    scrapeMyTasksPage,
-} from "./workflow.js";
+    freezeClock,
+    takeScreenshot,
+    takeElementScreenshots,
+} from "./screenshot.js";
+import { captureInteractionStates } from "./interaction-states.js";
+import { loadWorkflow, runWorkflow } from "./workflow.js";
+import { createCheckpoint, loadCheckpoint } from "./checkpoint.js";
+import { loadLocatorCache } from "./locator.js";
+import { crawl } from "./crawl.js";
+import { waitForSettle } from "./settle.js";
+import {
+    HAR_FILENAME,
+    harRecordingOptions,
+    mergeHarFiles,
+    openReplayContext,
+    redactHarFile,
+} from "./har.js";
+import { createRedactor, loadRedactionRules } from "./redact.js";
+import { createRunRecorder, videoRecordingOptions } from "./recorder.js";
+import { saveDesignTokens } from "./design-tokens.js";
+import { saveRouteMap } from "./routes.js";
+import { createAssetCollector } from "./assets.js";
+import { captureAccessibility } from "./accessibility.js";
+import { extractForms, linkFormSubmissions } from "./forms.js";
+import { exploreOverlays } from "./overlays.js";
+import {
+    parseBreakpoints,
+    captureBreakpoints,
+    diffBreakpointLayouts,
+} from "./breakpoints.js";
+import {
+    parseMediaVariants,
+    captureMediaVariants,
+    mergeThemeTokens,
+} from "./media-variants.js";
 import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
 
-export async function scrapeAsana({
-    targetUrl,
+/**
+ * Run a workflow against the target and capture each of its capture points.
+ * Progress is checkpointed after every step; with `resume`, an interrupted
+ * scrape in `outputDir` continues where it stopped (see createCheckpoint),
+ * keeping the pages, timeline, assets, HAR and redaction counts it already
+ * recorded. `skipInterrupted` resumes past a side effect step that was
+ * interrupted.
+ */
+export async function scrapeSite({
+    adapter,
     email,
     password,
     pages,
     outputDir,
+    workflowFile = "workflows/asana.json",
+    resume = false,
+    skipInterrupted = false,
 }) {
-    if (!email || !password) {
+    if (adapter.requiresLogin && (!email || !password)) {
         throw new Error(
-            "ASANA_EMAIL and ASANA_PASSWORD must be set in .env file"
+            "TARGET_EMAIL and TARGET_PASSWORD must be set in .env file"
         );
     }
 
-    const { browser, context } = await createBrowser();
-    const page = await context.newPage();
+    const workflow = await loadWorkflow(workflowFile);
+    const previous = resume ? await loadCheckpoint(outputDir, workflow) : null;
+    if (resume && !previous) {
+        throw new Error(`No checkpoint to resume in ${outputDir}`);
+    }
+    const checkpoint = createCheckpoint(outputDir, workflow, previous, {
+        skipInterrupted,
+    });
+    // Refuse an unsafe resume before logging in
+    checkpoint.resumePlan();
+
+    const redactor = createRedactor(await loadRedactionRules());
+    const assets = createAssetCollector(outputDir, { redactor });
+    const recorder = createRunRecorder(outputDir, { redactor });
+
+    // This attempt's HAR is written to session.har; the earlier one is
+    // merged back in once it is closed
+    const harFile = path.join(outputDir, HAR_FILENAME);
+    const earlierHarFile = path.join(outputDir, `earlier-${HAR_FILENAME}`);
+    if (previous) {
+        await redactor.restoreReport(outputDir);
+        await assets.restore();
+        if (await fs.pathExists(harFile)) {
+            await fs.move(harFile, earlierHarFile, { overwrite: true });
+        }
+    }
+
+    const { browser } = await createBrowser();
+    let page = null;
 
     try {
-        // Login
-        await loginToAsana(page, email, password);
+        // Login, or reuse the saved session for this target and account
+        ({ page } = await openAuthenticatedContext(browser, {
+            adapter,
+            email,
+            password,
+            contextOptions: recordingOptions(outputDir),
+            onPage: recorder.attach,
+        }));
+        await recorder.startTracing();
+        trackApiCalls(page, { isApiCall: adapter.isApiCall, redactor });
+        if (previous) await restoreTimeline(page, outputDir);
 
-        const scrapedData = {
+        const scrapedData = previous?.scrapedData || {
             timestamp: new Date().toISOString(),
-            targetUrl,
+            targetUrl: adapter.baseUrl,
+            adapter: adapter.name,
+            workflow: workflow.name,
             pages: [],
         };
 
-        let totalApiCalls = 0;
-        let totalScreenshots = 0;
-
-        // Step 1: Scrape Home Page (already on it after login)
-        console.log(chalk.blue.bold("\n=== Step 1: Home Page ==="));
-        await scrapeHomePage(page, outputDir);
-        await capturePageData(page, "home", outputDir, scrapedData);
+        // Run the workflow, capturing page data at each named capture point
+        await runWorkflow(page, workflow, {
+            adapter,
+            locatorCache: await loadLocatorCache(),
+            checkpoint,
+            onCapture: async (name, step) => {
+                await capturePageData(page, name, outputDir, scrapedData, {
+                    adapter,
+                    redactor,
+                    assets,
+                    exploreOverlays: step.exploreOverlays === true,
+                });
+                await checkpoint.savePages(scrapedData);
+            },
+        });
 
-        // Step 2: Navigate to Create Project
-        console.log(chalk.blue.bold("\n=== Step 2: Create Project Flow ==="));
-        await navigateToCreateProject(page);
-        await scrapeCreateProjectPage(page, outputDir);
-        await capturePageData(
-            page,
-            "create-project-menu",
+        const actions = await saveTimeline(page, outputDir, { redactor });
+        await linkFormSubmissions(scrapedData, actions, {
             outputDir,
-            scrapedData
-        );
+            apiCalls: trackApiCalls(page).apiCalls,
+        });
+        await assets.save();
+        const result = await saveScrapedData(scrapedData, outputDir);
+        await checkpoint.clear();
+        return result;
+    } catch (error) {
+        await recorder.captureFailure(error);
+        // Kept for --resume along with the checkpoint
+        if (page) await saveTimeline(page, outputDir, { redactor });
+        await assets.save();
+        throw error;
+    } finally {
+        await closeRecording(recorder, outputDir, redactor);
+        await mergeHarFiles(harFile, earlierHarFile);
+        await browser.close();
+    }
+}
 
-        // Step 3: Select Blank Project
-        await selectBlankProject(page);
-        await capturePageData(
-            page,
-            "blank-project-form",
-            outputDir,
-            scrapedData
+/**
+ * Explore the target breadth-first from its landing page instead of
+ * following a scripted workflow
+ */
+export async function crawlSite({
+    adapter,
+    email,
+    password,
+    outputDir,
+    maxPages,
+    maxDepth,
+    include,
+    exclude,
+}) {
+    if (adapter.requiresLogin && (!email || !password)) {
+        throw new Error(
+            "TARGET_EMAIL and TARGET_PASSWORD must be set in .env file"
         );
+    }
 
-        // Step 4: Create the project
-        await createNewProject(page, "Test Project");
-        await scrapeProjectPage(page, outputDir);
-        await capturePageData(page, "project-view", outputDir, scrapedData);
-
-        // Step 5: Navigate to My Tasks
-        console.log(chalk.blue.bold("\n=== Step 3: My Tasks Page ==="));
-        await navigateToMyTasks(page);
-        await scrapeMyTasksPage(page, outputDir);
-        await capturePageData(page, "my-tasks", outputDir, scrapedData);
-
-        // Calculate totals
-        scrapedData.pages.forEach((p) => {
-            totalApiCalls += p.apiCalls;
-            totalScreenshots += 1 + (p.screenshots.elements?.length || 0);
+    const redactor = createRedactor(await loadRedactionRules());
+    const assets = createAssetCollector(outputDir, { redactor });
+    const recorder = createRunRecorder(outputDir, { redactor });
+
+    const { browser } = await createBrowser();
+
+    try {
+        const { page } = await openAuthenticatedContext(browser, {
+            adapter,
+            email,
+            password,
+            contextOptions: recordingOptions(outputDir),
+            onPage: recorder.attach,
         });
+        await recorder.startTracing();
+        trackApiCalls(page, { isApiCall: adapter.isApiCall, redactor });
 
-        // Save complete scraped data
-        const scrapedDataPath = path.join(outputDir, "scraped-data.json");
-        await fs.writeJson(scrapedDataPath, scrapedData, { spaces: 2 });
+        const scrapedData = {
+            timestamp: new Date().toISOString(),
+            targetUrl: adapter.baseUrl,
+            adapter: adapter.name,
+            workflow: "crawl",
+            pages: [],
+        };
+
+        await crawl(page, {
+            adapter,
+            maxPages,
+            maxDepth,
+            include,
+            exclude,
+            // Each page is loaded by URL, so none depends on another's state
+            onCapture: (name) =>
+                capturePageData(page, name, outputDir, scrapedData, {
+                    adapter,
+                    redactor,
+                    assets,
+                    exploreOverlays: true,
+                }),
+            onFailure: (error, { pattern }) =>
+                recorder.captureFailure(error, { name: pattern }),
+        });
 
-        console.log(chalk.green(`\n✓ All data saved to ${outputDir}`));
+        await saveTimeline(page, outputDir, { redactor });
+        await assets.save();
+        return await saveScrapedData(scrapedData, outputDir);
+    } catch (error) {
+        await recorder.captureFailure(error);
+        throw error;
+    } finally {
+        await closeRecording(recorder, outputDir, redactor);
+        await browser.close();
+    }
+}
 
-        return {
-            pages: scrapedData.pages,
-            apiCalls: totalApiCalls,
-            screenshots: totalScreenshots,
+/**
+ * Re-capture the pages of a recorded run (`sourceDir`) offline into a new
+ * run (`outputDir`): the browser is served from the recorded run's HAR and
+ * visits each page URL from its scraped-data.json. No login or live traffic
+ * is involved, so DOM analysis and the generators can be iterated on
+ * deterministically. The HAR is copied along so the new run can be replayed
+ * in turn.
+ */
+export async function replaySite({ adapter, sourceDir, outputDir, harFile }) {
+    const scrapedDataPath = path.join(sourceDir, "scraped-data.json");
+    if (!(await fs.pathExists(scrapedDataPath))) {
+        throw new Error(
+            `No scraped data found in ${sourceDir} to replay. Run "npm run scrape" first.`
+        );
+    }
+    const recorded = await fs.readJson(scrapedDataPath);
+    const recording = harFile || path.join(sourceDir, HAR_FILENAME);
+    const redactor = createRedactor(await loadRedactionRules());
+    // Assets are fetched through the page so they come from the HAR
+    const assets = createAssetCollector(outputDir, {
+        redactor,
+        throughPage: true,
+    });
+
+    const recorder = createRunRecorder(outputDir, { redactor });
+
+    const { browser } = await createBrowser();
+
+    try {
+        const context = await openReplayContext(browser, recording);
+        const page = await context.newPage();
+        await recorder.attach(context, page);
+        await recorder.startTracing();
+        await trackRealtimeConnections(page).installed;
+        trackApiCalls(page, { isApiCall: adapter.isApiCall, redactor });
+
+        const scrapedData = {
+            timestamp: new Date().toISOString(),
+            targetUrl: recorded.targetUrl,
+            adapter: recorded.adapter,
+            workflow: recorded.workflow,
+            replayOf: {
+                run: path.basename(sourceDir),
+                timestamp: recorded.timestamp,
+            },
+            pages: [],
         };
+
+        for (const recordedPage of recorded.pages) {
+            console.log(
+                chalk.blue.bold(`\n=== Replay: ${recordedPage.name} ===`)
+            );
+
+            try {
+                beginAction(page, {
+                    type: "navigate",
+                    description: `Navigate to ${recordedPage.name}`,
+                    target: { url: recordedPage.url },
+                });
+                await page.goto(recordedPage.url, {
+                    waitUntil: "load",
+                    timeout: 30000,
+                });
+                await capturePageData(
+                    page,
+                    recordedPage.name,
+                    outputDir,
+                    scrapedData,
+                    {
+                        adapter,
+                        redactor,
+                        assets,
+                        exploreOverlays: recordedPage.overlays?.length > 0,
+                    }
+                );
+            } catch (error) {
+                console.error(
+                    chalk.red(`  ✗ Could not replay ${recordedPage.name}:`),
+                    error.message
+                );
+                await recorder.captureFailure(error, {
+                    name: recordedPage.name,
+                });
+            }
+        }
+
+        await saveTimeline(page, outputDir, { redactor });
+        await assets.save();
+        await fs.copy(recording, path.join(outputDir, HAR_FILENAME));
+        const result = await saveScrapedData(scrapedData, outputDir);
+        await redactor.saveReport(outputDir);
+        return result;
     } finally {
+        await recorder.close();
         await browser.close();
     }
 }
 
+function recordingOptions(outputDir) {
+    return {
+        ...harRecordingOptions(outputDir),
+        ...videoRecordingOptions(outputDir),
+    };
+}
+
+/**
+ * Close a scrape's context, which writes its HAR recording, trace and
+ * videos, then redact the HAR and write the redaction report for the run
+ */
+async function closeRecording(recorder, outputDir, redactor) {
+    await recorder.close();
+    await redactHarFile(outputDir, redactor);
+    await redactor.saveReport(outputDir);
+}
+
+async function saveScrapedData(scrapedData, outputDir) {
+    let totalApiCalls = 0;
+    let totalScreenshots = 0;
+
+    // Calculate totals
+    scrapedData.pages.forEach((p) => {
+        totalApiCalls += p.apiCalls;
+        totalScreenshots += 1 + (p.screenshots.elements?.length || 0);
+    });
+
+    // Theme tokens per media variant, across all pages
+    const variantTokens = {};
+    for (const p of scrapedData.pages) {
+        for (const [name, variant] of Object.entries(p.mediaVariants || {})) {
+            variantTokens[name] = [
+                ...(variantTokens[name] || []),
+                ...variant.tokens,
+            ];
+        }
+    }
+    scrapedData.themeTokens = Object.fromEntries(
+        Object.entries(variantTokens).map(([name, tokens]) => [
+            name,
+            mergeThemeTokens(tokens),
+        ])
+    );
+
+    await saveDesignTokens(scrapedData, outputDir);
+    await saveRouteMap(scrapedData, outputDir);
+
+    // Save complete scraped data
+    const scrapedDataPath = path.join(outputDir, "scraped-data.json");
+    await fs.writeJson(scrapedDataPath, scrapedData, { spaces: 2 });
+
+    console.log(chalk.green(`\n✓ All data saved to ${outputDir}`));
+
+    return {
+        pages: scrapedData.pages,
+        apiCalls: totalApiCalls,
+        screenshots: totalScreenshots,
+    };
+}
+
 /**
  * Helper function to capture page data
  */
-async function capturePageData(page, pageName, outputDir, scrapedData) {
+async function capturePageData(
+    page,
+    pageName,
+    outputDir,
+    scrapedData,
+    options
+) {
     console.log(chalk.cyan(`\n📸 Capturing ${pageName} data...`));
+    recordCapture(page, pageName);
 
+    // Dates are fixed while the page is captured, not in the steps after it
+    const unfreezeClock = await freezeClock(page);
     // Setup network capture
-    const networkCapture = await captureNetworkTraffic(page, outputDir);
+    const networkCapture = await captureNetworkTraffic(page, outputDir, {
+        isApiCall: options.adapter.isApiCall,
+        redactor: options.redactor,
+        source: pageName,
+    });
+    try {
+        return await capturePage(
+            page,
+            pageName,
+            outputDir,
+            scrapedData,
+            networkCapture,
+            options
+        );
+    } finally {
+        // Realtime messages after a failed capture belong to no page
+        networkCapture.stop();
+        await unfreezeClock();
+    }
+}
 
-    // Wait for page to load and capture network traffic
-    await page.waitForTimeout(3000);
+async function capturePage(
+    page,
+    pageName,
+    outputDir,
+    scrapedData,
+    networkCapture,
+    { redactor, assets, exploreOverlays: explore = false }
+) {
+    // Wait for the page to settle while network traffic is captured
+    await waitForSettle(page);
+    // Read before anything on the page is clicked
+    const url = page.url();
 
     // Analyze DOM
     console.log(chalk.gray("  → Analyzing DOM structure..."));
     const domStructure = await analyzeDOMStructure(page);
     const interactiveElements = await extractInteractiveElements(page);
+    await captureInteractionStates(page, interactiveElements);
+    const accessibility = await captureAccessibility(page);
+    const forms = await extractForms(page, { redactor, pageName });
 
     // Take screenshots
     console.log(chalk.gray("  → Capturing screenshots..."));
@@ -136,21 +472,59 @@ async function capturePageData(page, pageName, outputDir, scrapedData) {
         pageName
     );
 
-    // Save API calls
+    // Open menus, dialogs and tooltips and capture them, where the page's
+    // state does not matter to the steps that follow
+    const overlays = explore
+        ? await exploreOverlays(page, pageName, outputDir, interactiveElements)
+        : [];
+
+    // Record the layout at each configured breakpoint
+    const breakpoints = await captureBreakpoints(
+        page,
+        pageName,
+        outputDir,
+        parseBreakpoints(),
+        { domStructure, screenshot: mainScreenshot }
+    );
+
+    // Record color scheme / motion variants as theme tokens
+    const mediaVariants = await captureMediaVariants(
+        page,
+        pageName,
+        outputDir,
+        parseMediaVariants(),
+        domStructure
+    );
+
+    // Save icons, images and fonts used on the page
+    const pageAssets = await assets.collect(page, pageName);
+
+    // Save API calls and realtime (WebSocket / EventSource) traffic
     const apiCalls = await networkCapture.saveToFile(
         `${pageName}-api-calls.json`
     );
+    const realtimeConnections = await networkCapture.saveRealtimeToFile(
+        `${pageName}-realtime.json`
+    );
 
     const pageData = {
         name: pageName,
-        url: page.url(),
+        url: redactor.redactUrl(url, "page.url", pageName),
         domStructure,
         interactiveElements,
+        forms,
+        accessibility,
+        overlays,
         apiCalls: apiCalls.length,
+        realtimeConnections: realtimeConnections.length,
         screenshots: {
             main: mainScreenshot,
             elements: elementScreenshots,
         },
+        breakpoints,
+        layoutDifferences: diffBreakpointLayouts(breakpoints),
+        mediaVariants,
+        assets: pageAssets,
     };
 
     scrapedData.pages.push(pageData);
@@ -0,0 +1,190 @@
+import chalk from "chalk";
+
+// Forced pseudo-classes per recorded state
+const STATES = {
+    hover: ["hover"],
+    focus: ["focus", "focus-visible", "focus-within"],
+    active: ["hover", "active"],
+};
+
+// Properties that interaction states typically change
+const STATE_PROPERTIES = [
+    "color",
+    "backgroundColor",
+    "borderColor",
+    "boxShadow",
+    "outlineColor",
+    "outlineStyle",
+    "outlineWidth",
+    "outlineOffset",
+    "textDecorationLine",
+    "opacity",
+    "transform",
+    "filter",
+];
+
+const MAX_STATE_ELEMENTS = parseInt(process.env.MAX_STATE_ELEMENTS || "60", 10);
+
+const TARGET_ATTRIBUTE = "data-clooney-state-target";
+
+/**
+ * Force :hover, :focus and :active on the interactive elements found by
+ * extractInteractiveElements (through the DevTools protocol, so nothing is
+ * clicked) and record the computed style changes against the default state.
+ * Each element gets `states: { hover: { color: { from, to } }, ... }` when a
+ * state changes how it looks. Transitions are disabled while measuring.
+ */
+export async function captureInteractionStates(
+    page,
+    interactiveElements,
+    { limit = MAX_STATE_ELEMENTS } = {}
+) {
+    if (limit <= 0 || interactiveElements.length === 0) {
+        return interactiveElements;
+    }
+
+    console.log(chalk.gray("  → Capturing hover/focus/active states..."));
+
+    let session;
+    try {
+        // Re-find the elements by their recorded position
+        const tagged = await page.evaluate(tagElements, {
+            elements: interactiveElements.slice(0, limit).map((element) => ({
+                type: element.type,
+                position: element.position,
+            })),
+            attribute: TARGET_ATTRIBUTE,
+        });
+
+        session = await page.context().newCDPSession(page);
+        await session.send("DOM.enable");
+        await session.send("CSS.enable");
+        const { root } = await session.send("DOM.getDocument", { depth: 0 });
+        const { nodeIds } = await session.send("DOM.querySelectorAll", {
+            nodeId: root.nodeId,
+            selector: `[${TARGET_ATTRIBUTE}]`,
+        });
+
+        let changed = 0;
+        for (const nodeId of nodeIds) {
+            const { attributes } = await session.send("DOM.getAttributes", {
+                nodeId,
+            });
+            const index = Number(
+                attributes[attributes.indexOf(TARGET_ATTRIBUTE) + 1]
+            );
+            const selector = `[${TARGET_ATTRIBUTE}="${index}"]`;
+
+            const base = await readStyles(page, selector);
+            const states = {};
+
+            for (const [state, pseudoClasses] of Object.entries(STATES)) {
+                await session.send("CSS.forcePseudoState", {
+                    nodeId,
+                    forcedPseudoClasses: pseudoClasses,
+                });
+                const forced = await readStyles(page, selector);
+                const delta = diffStyles(base, forced);
+                if (delta) states[state] = delta;
+            }
+
+            await session.send("CSS.forcePseudoState", {
+                nodeId,
+                forcedPseudoClasses: [],
+            });
+
+            if (Object.keys(states).length > 0) {
+                interactiveElements[index].states = states;
+                changed++;
+            }
+        }
+
+        console.log(
+            chalk.green(
+                `  ✓ ${changed} of ${tagged} elements change on hover/focus/active`
+            )
+        );
+    } catch (error) {
+        console.log(
+            chalk.yellow(
+                `  ⚠ Could not capture interaction states: ${error.message}`
+            )
+        );
+    } finally {
+        await session?.detach().catch(() => {});
+        await page.evaluate(untagElements, TARGET_ATTRIBUTE).catch(() => {});
+    }
+
+    return interactiveElements;
+}
+
+async function readStyles(page, selector) {
+    return page.evaluate(
+        ({ selector, properties }) => {
+            const element = document.querySelector(selector);
+            if (!element) return null;
+            const style = window.getComputedStyle(element);
+            return Object.fromEntries(
+                properties.map((property) => [property, style[property]])
+            );
+        },
+        { selector, properties: STATE_PROPERTIES }
+    );
+}
+
+function diffStyles(base, forced) {
+    if (!base || !forced) return null;
+
+    const delta = {};
+    for (const property of STATE_PROPERTIES) {
+        if (base[property] !== forced[property]) {
+            delta[property] = { from: base[property], to: forced[property] };
+        }
+    }
+    return Object.keys(delta).length > 0 ? delta : null;
+}
+
+// Runs in the browser: mark each recorded element and freeze transitions
+function tagElements({ elements, attribute }) {
+    const selectors = {
+        button: 'button, [role="button"]',
+        input: "input, textarea",
+        link: "a",
+    };
+    const matches = (rect, position) =>
+        Math.abs(rect.x - position.x) < 1 &&
+        Math.abs(rect.y - position.y) < 1 &&
+        Math.abs(rect.width - position.width) < 1 &&
+        Math.abs(rect.height - position.height) < 1;
+
+    const style = document.createElement("style");
+    style.id = `${attribute}-style`;
+    style.textContent =
+        "*, *::before, *::after { transition: none !important; animation-play-state: paused !important; }";
+    document.head.appendChild(style);
+
+    let tagged = 0;
+    elements.forEach((element, index) => {
+        const candidates = document.querySelectorAll(
+            selectors[element.type] || "*"
+        );
+        const match = Array.from(candidates).find(
+            (candidate) =>
+                !candidate.hasAttribute(attribute) &&
+                matches(candidate.getBoundingClientRect(), element.position)
+        );
+        if (match) {
+            match.setAttribute(attribute, String(index));
+            tagged++;
+        }
+    });
+    return tagged;
+}
+
+// Runs in the browser
+function untagElements(attribute) {
+    document
+        .querySelectorAll(`[${attribute}]`)
+        .forEach((element) => element.removeAttribute(attribute));
+    document.getElementById(`${attribute}-style`)?.remove();
+}
@@ -0,0 +1,321 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+
+const LOCATOR_CACHE_FILE =
+    process.env.LOCATOR_CACHE_FILE || "./.locator-cache.json";
+
+// Default strategy order; a cached winner is always tried first
+const STRATEGY_ORDER = [
+    "testId",
+    "role",
+    "label",
+    "placeholder",
+    "text",
+    "css",
+];
+
+const MAX_CANDIDATES_PER_ATTEMPT = 5;
+
+/**
+ * Load the cache of winning strategies. Entries are keyed by target and
+ * remember which strategy matched and where the element was on screen.
+ */
+export async function loadLocatorCache(filePath = LOCATOR_CACHE_FILE) {
+    const entries = (await fs.pathExists(filePath))
+        ? await fs.readJson(filePath)
+        : {};
+
+    return {
+        get: (key) => entries[key],
+        set: async (key, entry) => {
+            entries[key] = { ...entry, updatedAt: new Date().toISOString() };
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeJson(filePath, entries, { spaces: 2 });
+        },
+    };
+}
+
+/**
+ * Resolve a target description to a single Playwright locator.
+ *
+ * A target can combine several ways of finding the same element:
+ *   { testId, role, name, label, placeholder, text, css: [...], near: {x, y} }
+ * Every field except `name` and `near` may be a string or an array. All
+ * strategies are tried, and visible candidates are ranked by distance to the
+ * expected position (`near` or the position cached from the last run), then
+ * by strategy order.
+ *
+ * When nothing visible matches, throws an error listing the closest elements
+ * on the page. The error carries `attempts` and `candidates` for reporting.
+ */
+export async function resolveLocator(
+    page,
+    target,
+    { key, cache, timeout = 5000 } = {}
+) {
+    const cacheKey = key || JSON.stringify(target);
+    const cached = cache?.get(cacheKey);
+    const expected = target.near || cached?.position || null;
+    const attempts = orderAttempts(buildAttempts(page, target), cached);
+
+    const deadline = Date.now() + timeout;
+    let candidates = [];
+
+    do {
+        candidates = await collectCandidates(attempts, expected);
+        const visible = candidates.filter((candidate) => candidate.visible);
+
+        if (visible.length > 0) {
+            const [best] = visible;
+            console.log(
+                chalk.gray(
+                    `    ✓ Matched ${best.strategy}: ${best.description}${
+                        cached && cached.description !== best.description
+                            ? " (healed)"
+                            : ""
+                    }`
+                )
+            );
+
+            if (cache) {
+                await cache.set(cacheKey, {
+                    strategy: best.strategy,
+                    description: best.description,
+                    position: best.center,
+                });
+            }
+
+            return best.locator;
+        }
+
+        await page.waitForTimeout(250);
+    } while (Date.now() < deadline);
+
+    const closest = await findClosestElements(page, target);
+    const error = new Error(
+        [
+            `No match for ${describeTarget(target)} after ${
+                attempts.length
+            } attempts (${attempts.map((a) => a.description).join(", ")})`,
+            closest.length > 0
+                ? `Closest candidates:\n${closest
+                      .map(
+                          (c) =>
+                              `      - ${c.tag}${
+                                  c.role ? ` [${c.role}]` : ""
+                              } "${c.text}" (${c.score.toFixed(2)})`
+                      )
+                      .join("\n")}`
+                : "No similar elements found on the page",
+        ].join("\n    ")
+    );
+    error.attempts = attempts.map(({ strategy, description }) => ({
+        strategy,
+        description,
+        found: candidates.filter((c) => c.description === description).length,
+    }));
+    error.candidates = closest;
+    throw error;
+}
+
+function buildAttempts(page, target) {
+    const toList = (value) =>
+        value === undefined || value === null
+            ? []
+            : Array.isArray(value)
+            ? value
+            : [value];
+
+    const builders = {
+        testId: () =>
+            toList(target.testId).map((testId) => ({
+                description: `testId=${testId}`,
+                locator: page.getByTestId(testId),
+            })),
+        role: () =>
+            toList(target.role).map((role) => ({
+                description: target.name
+                    ? `role=${role}[name="${target.name}"]`
+                    : `role=${role}`,
+                locator: page.getByRole(
+                    role,
+                    target.name ? { name: target.name } : {}
+                ),
+            })),
+        label: () =>
+            toList(target.label).map((label) => ({
+                description: `label="${label}"`,
+                locator: page.getByLabel(label),
+            })),
+        placeholder: () =>
+            toList(target.placeholder).map((placeholder) => ({
+                description: `placeholder="${placeholder}"`,
+                locator: page.getByPlaceholder(placeholder),
+            })),
+        text: () =>
+            toList(target.text).map((text) => ({
+                description: `text="${text}"`,
+                locator: page.getByText(text),
+            })),
+        css: () =>
+            toList(target.css).map((selector) => ({
+                description: selector,
+                locator: page.locator(selector),
+            })),
+    };
+
+    return STRATEGY_ORDER.flatMap((strategy) =>
+        builders[strategy]().map((attempt) => ({ strategy, ...attempt }))
+    );
+}
+
+function orderAttempts(attempts, cached) {
+    if (!cached) return attempts;
+
+    const rank = (attempt) =>
+        attempt.description === cached.description
+            ? 0
+            : attempt.strategy === cached.strategy
+            ? 1
+            : 2;
+
+    // Array.prototype.sort is stable, so strategy order is kept within a rank
+    return [...attempts].sort((a, b) => rank(a) - rank(b));
+}
+
+async function collectCandidates(attempts, expected) {
+    const candidates = [];
+
+    for (const [order, attempt] of attempts.entries()) {
+        let elements = [];
+        try {
+            elements = (await attempt.locator.all()).slice(
+                0,
+                MAX_CANDIDATES_PER_ATTEMPT
+            );
+        } catch (e) {
+            continue; // Invalid selector for this page, try the next one
+        }
+
+        for (const locator of elements) {
+            const box = await locator
+                .boundingBox({ timeout: 1000 })
+                .catch(() => null);
+            const visible =
+                Boolean(box) && (await locator.isVisible().catch(() => false));
+            const center = box
+                ? { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+                : null;
+
+            candidates.push({
+                strategy: attempt.strategy,
+                description: attempt.description,
+                locator,
+                visible,
+                center,
+                order,
+                distance:
+                    expected && center
+                        ? Math.hypot(
+                              center.x - expected.x,
+                              center.y - expected.y
+                          )
+                        : 0,
+            });
+        }
+    }
+
+    return candidates.sort(
+        (a, b) =>
+            Number(b.visible) - Number(a.visible) ||
+            a.distance - b.distance ||
+            a.order - b.order
+    );
+}
+
+/**
+ * Visible elements whose text is most similar to what the target asked for
+ */
+async function findClosestElements(page, target, limit = 5) {
+    const wanted = targetTexts(target).map((value) => value.toLowerCase());
+
+    if (wanted.length === 0) return [];
+
+    const elements = await page
+        .evaluate(() =>
+            Array.from(
+                document.querySelectorAll(
+                    "a, button, input, textarea, select, label, [role], [data-testid]"
+                )
+            )
+                .filter((el) => el.offsetParent !== null)
+                .slice(0, 500)
+                .map((el) => ({
+                    tag: el.tagName.toLowerCase(),
+                    role: el.getAttribute("role"),
+                    text: (
+                        el.getAttribute("aria-label") ||
+                        el.getAttribute("placeholder") ||
+                        el.textContent ||
+                        ""
+                    )
+                        .trim()
+                        .substring(0, 60),
+                }))
+        )
+        .catch(() => []);
+
+    return elements
+        .filter((element) => element.text)
+        .map((element) => ({
+            ...element,
+            score: Math.max(
+                ...wanted.map((value) =>
+                    similarity(value, element.text.toLowerCase())
+                )
+            ),
+        }))
+        .filter((element) => element.score > 0.2)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Dice coefficient over character bigrams
+function similarity(a, b) {
+    const bigrams = (value) => {
+        const grams = [];
+        for (let i = 0; i < value.length - 1; i++) {
+            grams.push(value.substring(i, i + 2));
+        }
+        return grams;
+    };
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    if (gramsA.length === 0 || gramsB.length === 0) return 0;
+
+    const remaining = [...gramsB];
+    let overlap = 0;
+    for (const gram of gramsA) {
+        const index = remaining.indexOf(gram);
+        if (index !== -1) {
+            overlap++;
+            remaining.splice(index, 1);
+        }
+    }
+
+    return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+function describeTarget(target) {
+    const [text] = targetTexts(target);
+    return text ? `"${text}"` : JSON.stringify(target);
+}
+
+// Every text the target names; label, placeholder and text may be arrays
+function targetTexts(target) {
+    return [target.name, target.label, target.placeholder, target.text]
+        .flat()
+        .filter(Boolean);
+}
@@ -0,0 +1,201 @@
+import chalk from "chalk";
+import { analyzeDOMStructure, flattenStructure } from "./dom-analyzer.js";
+import { takeScreenshot } from "./screenshot.js";
+import { waitForSettle } from "./settle.js";
+
+// Named media features that can be combined with "+", e.g. dark+reduced-motion
+const MEDIA_PRESETS = {
+    light: { colorScheme: "light" },
+    dark: { colorScheme: "dark" },
+    "reduced-motion": { reducedMotion: "reduce" },
+    "forced-colors": { forcedColors: "active" },
+};
+
+const RESET_MEDIA = {
+    colorScheme: null,
+    reducedMotion: null,
+    forcedColors: null,
+};
+
+// Style properties that carry theme colors
+const THEME_PROPERTIES = {
+    backgroundColor: "bg",
+    color: "text",
+    border: "border",
+    boxShadow: "shadow",
+};
+
+/**
+ * Parse MEDIA_VARIANTS ("dark,reduced-motion,dark+reduced-motion") into
+ * named emulation settings for page.emulateMedia
+ */
+export function parseMediaVariants(
+    spec = process.env.MEDIA_VARIANTS ?? "dark"
+) {
+    return spec
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((name) => ({
+            name,
+            media: Object.assign(
+                {},
+                ...name.split("+").map((feature) => {
+                    if (!MEDIA_PRESETS[feature]) {
+                        throw new Error(
+                            `Unknown media variant "${feature}". Known: ${Object.keys(
+                                MEDIA_PRESETS
+                            ).join(", ")}`
+                        );
+                    }
+                    return MEDIA_PRESETS[feature];
+                })
+            ),
+        }));
+}
+
+/**
+ * Re-capture the page under each media variant and record how its computed
+ * colors differ from the default capture as theme tokens
+ */
+export async function captureMediaVariants(
+    page,
+    pageName,
+    outputDir,
+    variants,
+    baseDomStructure
+) {
+    const captures = {};
+    const baseNodes = flattenStructure(baseDomStructure?.structure);
+
+    for (const variant of variants) {
+        console.log(chalk.gray(`  → Capturing ${variant.name} variant...`));
+
+        try {
+            await page.emulateMedia(variant.media);
+            await waitForSettle(page);
+
+            const domStructure = await analyzeDOMStructure(page);
+            const tokens = extractThemeTokens(
+                baseNodes,
+                flattenStructure(domStructure.structure)
+            );
+
+            captures[variant.name] = {
+                media: variant.media,
+                screenshot: await takeScreenshot(
+                    page,
+                    `${pageName}-${variant.name}-full.png`,
+                    outputDir
+                ),
+                tokens,
+            };
+
+            console.log(
+                chalk.gray(
+                    `    • ${tokens.length} style values change under ${variant.name}`
+                )
+            );
+        } catch (error) {
+            console.log(
+                chalk.yellow(
+                    `  ⚠ Could not capture ${variant.name}: ${error.message}`
+                )
+            );
+        }
+    }
+
+    if (variants.length > 0) {
+        await page.emulateMedia(RESET_MEDIA);
+        await waitForSettle(page);
+    }
+
+    return captures;
+}
+
+/**
+ * Pair each default style value with the value it changes to under a
+ * variant, counting how many elements use that pair
+ */
+function extractThemeTokens(baseNodes, variantNodes) {
+    const pairs = new Map();
+
+    for (const [key, node] of variantNodes) {
+        const baseNode = baseNodes.get(key);
+        if (!baseNode) continue;
+
+        for (const property of Object.keys(THEME_PROPERTIES)) {
+            const base = baseNode.styles?.[property];
+            const value = node.styles?.[property];
+            if (!base || !value || base === value) continue;
+
+            const pairKey = `${property}|${base}|${value}`;
+            const pair = pairs.get(pairKey) || {
+                property,
+                base,
+                value,
+                count: 0,
+            };
+            pair.count++;
+            pairs.set(pairKey, pair);
+        }
+    }
+
+    return mergeThemeTokens([...pairs.values()]);
+}
+
+/**
+ * Merge token pairs (e.g. from several pages), rank them by use and name
+ * them per property: bg-1, bg-2, text-1...
+ */
+export function mergeThemeTokens(tokens) {
+    const merged = new Map();
+    for (const token of tokens) {
+        const key = `${token.property}|${token.base}|${token.value}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.count += token.count;
+        } else {
+            merged.set(key, { ...token });
+        }
+    }
+
+    const counters = {};
+    return [...merged.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(({ property, base, value, count }) => {
+            const prefix = THEME_PROPERTIES[property] || property;
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            return {
+                name: `${prefix}-${counters[prefix]}`,
+                property,
+                base: toHex(base),
+                value: toHex(value),
+                count,
+            };
+        });
+}
+
+/**
+ * rgb()/rgba() → #rrggbb(aa); other values (shorthands, shadows) have each
+ * color inside them converted
+ */
+export function toHex(value) {
+    return value.replace(
+        /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/g,
+        (_, r, g, b, a) => {
+            const hex = [r, g, b]
+                .map((channel) =>
+                    parseInt(channel, 10).toString(16).padStart(2, "0")
+                )
+                .join("");
+            const alpha =
+                a !== undefined && parseFloat(a) < 1
+                    ? Math.round(parseFloat(a) * 255)
+                          .toString(16)
+                          .padStart(2, "0")
+                    : "";
+            return `#${hex}${alpha}`;
+        }
+    );
+}
@@ -1,45 +1,158 @@
 import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
+import { createRedactor } from "./redact.js";
+import { currentAction, attributeRequest } from "./timeline.js";
 
-export async function captureNetworkTraffic(page, outputDir) {
-    const apiCalls = [];
-    const requestMap = new Map();
+export const DEFAULT_API_PATTERNS = ["/api/", "/graphql", "/rest/"];
 
-    console.log(chalk.gray("  → Setting up network capture..."));
+// Large frames (binary sync payloads, snapshots) are cut to keep files small
+const MAX_MESSAGE_LENGTH = 20000;
+
+const realtimeTrackers = new WeakMap();
+
+/**
+ * Start observing WebSocket and EventSource connections on a page. Called
+ * when a page is opened so connections made before the first capture are
+ * seen; `captureNetworkTraffic` installs it lazily otherwise. Returns a
+ * tracker whose `subscribe(listener)` receives every realtime event.
+ */
+export function trackRealtimeConnections(page) {
+    if (realtimeTrackers.has(page)) return realtimeTrackers.get(page);
+
+    const listeners = new Set();
+    const emit = (event) => {
+        for (const listener of listeners) listener(event);
+    };
+
+    page.on("websocket", (webSocket) => {
+        const connection = {
+            connection: generateId("ws"),
+            kind: "websocket",
+            url: webSocket.url(),
+        };
+        emit({ ...connection, type: "open", timestamp: Date.now() });
+
+        const onFrame =
+            (direction) =>
+            ({ payload }) =>
+                emit({
+                    ...connection,
+                    type: "message",
+                    direction,
+                    timestamp: Date.now(),
+                    ...decodePayload(payload),
+                });
+
+        webSocket.on("framesent", onFrame("sent"));
+        webSocket.on("framereceived", onFrame("received"));
+        webSocket.on("socketerror", (error) =>
+            emit({
+                ...connection,
+                type: "error",
+                error: String(error),
+                timestamp: Date.now(),
+            })
+        );
+        webSocket.on("close", () =>
+            emit({ ...connection, type: "close", timestamp: Date.now() })
+        );
+    });
+
+    // EventSource streams never finish, so they are recorded from inside the
+    // page by wrapping window.EventSource
+    const installed = Promise.all([
+        page.exposeBinding(
+            "__clooneyEventSource",
+            (source, { data, ...event }) =>
+                emit({
+                    ...event,
+                    kind: "eventsource",
+                    direction: "received",
+                    ...(event.type === "message" ? decodePayload(data) : {}),
+                })
+        ),
+        page.addInitScript(hookEventSource),
+    ]).catch((error) =>
+        console.log(
+            chalk.yellow(
+                `  ⚠ Could not hook EventSource streams: ${error.message}`
+            )
+        )
+    );
+
+    const tracker = {
+        installed,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+
+    realtimeTrackers.set(page, tracker);
+    return tracker;
+}
+
+const apiRecorders = new WeakMap();
+
+/**
+ * Record API calls on a page for its whole lifetime. Listeners are attached
+ * once per page; each call is redacted and attributed to the user action in
+ * progress when its request was sent (see timeline.js). Called when the run
+ * starts so calls triggered before the first capture are kept;
+ * `captureNetworkTraffic` installs it lazily otherwise.
+ */
+export function trackApiCalls(
+    page,
+    { isApiCall: shouldCapture = isApiCall, redactor = createRedactor() } = {}
+) {
+    if (apiRecorders.has(page)) return apiRecorders.get(page);
+
+    const recorder = { apiCalls: [], saved: 0 };
+    const requestMap = new Map();
 
     // Capture requests
     page.on("request", (request) => {
         const url = request.url();
-        const method = request.method();
 
         // Only capture API calls (filter out static assets)
-        if (isApiCall(url)) {
-            const requestData = {
-                id: generateId(),
-                url,
-                method,
-                headers: request.headers(),
-                postData: request.postData(),
-                timestamp: Date.now(),
-            };
-
-            requestMap.set(request, requestData);
+        if (shouldCapture(url)) {
+            requestMap.set(request, {
+                action: currentAction(page),
+                requestData: {
+                    id: generateId(),
+                    url,
+                    method: request.method(),
+                    headers: request.headers(),
+                    postData: request.postData(),
+                    timestamp: Date.now(),
+                },
+            });
         }
     });
 
     // Capture responses
     page.on("response", async (response) => {
         const request = response.request();
-        const requestData = requestMap.get(request);
+        const pending = requestMap.get(request);
+        if (!pending) return;
+        requestMap.delete(request);
+
+        const { action, requestData } = pending;
 
-        if (requestData && isApiCall(response.url())) {
-            try {
-                const responseBody = await response.text().catch(() => null);
-                const contentType = response.headers()["content-type"] || "";
+        try {
+            const responseBody = await response.text().catch(() => null);
+            const contentType = response.headers()["content-type"] || "";
 
-                const apiCall = {
+            // Secrets are redacted before they reach disk or LLM prompts
+            const apiCall = redactor.redactApiCall(
+                {
                     ...requestData,
+                    action: action && {
+                        id: action.id,
+                        type: action.type,
+                        description: action.description,
+                    },
                     response: {
                         status: response.status(),
                         headers: response.headers(),
@@ -50,33 +163,84 @@ export async function captureNetworkTraffic(page, outputDir) {
                                 : responseBody,
                         contentType,
                     },
-                };
+                },
+                action?.id || "page-load"
+            );
 
-                apiCalls.push(apiCall);
+            recorder.apiCalls.push(apiCall);
+            attributeRequest(action, apiCall);
 
-                // Log captured API call
-                console.log(
-                    chalk.gray(
-                        `    • ${apiCall.method} ${getPathFromUrl(
-                            apiCall.url
-                        )} [${apiCall.response.status}]`
-                    )
-                );
-            } catch (error) {
-                console.error(
-                    chalk.red(
-                        `    ✗ Error capturing response: ${error.message}`
-                    )
-                );
-            }
+            // Log captured API call
+            console.log(
+                chalk.gray(
+                    `    • ${apiCall.method} ${getPathFromUrl(apiCall.url)} [${
+                        apiCall.response.status
+                    }]${action ? ` ← ${action.description}` : ""}`
+                )
+            );
+        } catch (error) {
+            console.error(
+                chalk.red(`    ✗ Error capturing response: ${error.message}`)
+            );
+        }
+    });
+
+    apiRecorders.set(page, recorder);
+    return recorder;
+}
+
+/**
+ * Network capture for one capture point. API calls come from the page's
+ * recorder: everything since the previous capture point was saved, so calls
+ * triggered by the actions that led here are included. Realtime traffic is
+ * collected until it is saved.
+ */
+export async function captureNetworkTraffic(
+    page,
+    outputDir,
+    {
+        isApiCall: shouldCapture = isApiCall,
+        redactor = createRedactor(),
+        source,
+    } = {}
+) {
+    const recorder = trackApiCalls(page, {
+        isApiCall: shouldCapture,
+        redactor,
+    });
+    const connections = new Map();
+
+    console.log(chalk.gray("  → Setting up network capture..."));
+
+    // Group realtime messages by connection
+    const realtime = trackRealtimeConnections(page);
+    await realtime.installed;
+    const unsubscribe = realtime.subscribe((event) => {
+        const {
+            connection: id,
+            kind,
+            url,
+            type,
+            ...details
+        } = redactor.redactRealtimeEvent(event, source);
 
-            requestMap.delete(request);
+        if (!connections.has(id)) {
+            connections.set(id, { id, kind, url, messages: [] });
         }
+        const connection = connections.get(id);
+
+        if (type === "open") connection.openedAt = details.timestamp;
+        else if (type === "close") connection.closedAt = details.timestamp;
+        else if (type === "error") connection.error = details.error;
+        else connection.messages.push(details);
     });
 
     return {
-        getApiCalls: () => apiCalls,
+        getApiCalls: () => recorder.apiCalls.slice(recorder.saved),
         saveToFile: async (filename) => {
+            const apiCalls = recorder.apiCalls.slice(recorder.saved);
+            recorder.saved = recorder.apiCalls.length;
+
             const filepath = path.join(outputDir, filename);
             await fs.ensureDir(outputDir);
             await fs.writeJson(filepath, apiCalls, { spaces: 2 });
@@ -87,13 +251,37 @@ export async function captureNetworkTraffic(page, outputDir) {
             );
             return apiCalls;
         },
+        getRealtimeConnections: () => [...connections.values()],
+        // Stops collecting realtime messages; also called when a capture
+        // fails before they are saved
+        stop: unsubscribe,
+        saveRealtimeToFile: async (filename) => {
+            unsubscribe();
+
+            const realtimeConnections = [...connections.values()];
+            const messageCount = realtimeConnections.reduce(
+                (sum, connection) => sum + connection.messages.length,
+                0
+            );
+
+            await fs.ensureDir(outputDir);
+            await fs.writeJson(
+                path.join(outputDir, filename),
+                realtimeConnections,
+                { spaces: 2 }
+            );
+            console.log(
+                chalk.green(
+                    `  ✓ Saved ${realtimeConnections.length} realtime connections (${messageCount} messages) to ${filename}`
+                )
+            );
+            return realtimeConnections;
+        },
     };
 }
 
-function isApiCall(url) {
+export function isApiCall(url, apiPatterns = DEFAULT_API_PATTERNS) {
     // Filter for actual API calls
-    const apiPatterns = ["/api/", "/graphql", "/rest/", "app.asana.com/api"];
-
     const excludePatterns = [
         ".js",
         ".css",
@@ -134,6 +322,96 @@ function getPathFromUrl(url) {
     }
 }
 
-function generateId() {
-    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function generateId(prefix = "req") {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// WebSocket payloads are strings or Buffers; JSON is parsed like API bodies
+function decodePayload(payload) {
+    if (Buffer.isBuffer(payload)) {
+        return {
+            binary: true,
+            size: payload.length,
+            payload: payload
+                .toString("base64")
+                .substring(0, MAX_MESSAGE_LENGTH),
+        };
+    }
+
+    const text = String(payload ?? "");
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return {
+            size: text.length,
+            truncated: true,
+            payload: text.substring(0, MAX_MESSAGE_LENGTH),
+        };
+    }
+
+    try {
+        return { size: text.length, payload: JSON.parse(text) };
+    } catch {
+        return { size: text.length, payload: text };
+    }
+}
+
+// Runs in the browser before any page script
+function hookEventSource() {
+    const NativeEventSource = window.EventSource;
+    if (!NativeEventSource || NativeEventSource.__clooneyHooked) return;
+
+    let nextId = 0;
+    const report = (event) => {
+        try {
+            window.__clooneyEventSource?.({ ...event, timestamp: Date.now() });
+        } catch (e) {
+            // Recording must never break the page
+        }
+    };
+
+    class RecordedEventSource extends NativeEventSource {
+        constructor(url, init) {
+            super(url, init);
+
+            const connection = `sse_${Date.now()}_${nextId++}`;
+            const recordedTypes = new Set();
+            const record = (type) => {
+                if (recordedTypes.has(type)) return;
+                recordedTypes.add(type);
+                super.addEventListener(type, (event) =>
+                    report({
+                        connection,
+                        url: this.url,
+                        type: "message",
+                        event: type,
+                        lastEventId: event.lastEventId,
+                        data: event.data,
+                    })
+                );
+            };
+
+            report({ connection, url: this.url, type: "open" });
+            super.addEventListener("error", () => {
+                if (this.readyState === NativeEventSource.CLOSED) {
+                    report({ connection, url: this.url, type: "close" });
+                }
+            });
+            record("message");
+
+            // Named events ("event: task-updated") only reach listeners
+            // registered for that type, so record each type the app listens to
+            this.addEventListener = (type, ...args) => {
+                if (!["open", "error"].includes(type)) record(type);
+                return super.addEventListener(type, ...args);
+            };
+
+            const close = this.close.bind(this);
+            this.close = () => {
+                report({ connection, url: this.url, type: "close" });
+                return close();
+            };
+        }
+    }
+    RecordedEventSource.__clooneyHooked = true;
+
+    window.EventSource = RecordedEventSource;
 }
@@ -0,0 +1,383 @@
+import path from "path";
+import fs from "fs-extra";
+import chalk from "chalk";
+import { analyzeDOMStructure } from "./dom-analyzer.js";
+import { waitForSettle } from "./settle.js";
+import { beginAction, currentAction, resumeAction } from "./timeline.js";
+import { stableScreenshotOptions } from "./screenshot.js";
+
+const MAX_OVERLAY_TRIGGERS = parseInt(
+    process.env.MAX_OVERLAY_TRIGGERS || "15",
+    10
+);
+
+const OVERLAY_SETTLE_TIMEOUT = 3000;
+const OVERLAY_MAX_DEPTH = 10;
+const TRIGGER_ATTRIBUTE = "data-clooney-overlay-trigger";
+const OVERLAY_ATTRIBUTE = "data-clooney-overlay";
+const BASELINE_ATTRIBUTE = "data-clooney-overlay-baseline";
+
+// Popup roles; fixed/absolute children of <body> (portals) count as well
+const OVERLAY_SELECTOR =
+    '[role="menu"], [role="listbox"], [role="dialog"], [role="alertdialog"], [role="tooltip"], [aria-modal="true"], dialog[open], [popover]';
+
+/**
+ * Open each popup control found by extractInteractiveElements and capture
+ * what appears: menus, listboxes and dialogs are opened by clicking buttons
+ * that declare aria-haspopup, tooltips by hovering elements with
+ * aria-describedby. Each overlay's DOM is analyzed and screenshotted, then
+ * the overlay is closed again (Escape or the trigger after a click, moving
+ * the mouse away after a hover). Triggers get an `overlay` id pointing at
+ * the returned entry.
+ *
+ * The page is never reloaded: document navigations started by a trigger
+ * are aborted. If a trigger changes the URL client-side, exploration stops
+ * and the page goes back in history; throws if that does not restore the
+ * original URL, so the rest of the capture never records another route.
+ * Only call this where the page's state does not matter to what follows
+ * (capture steps with `exploreOverlays: true`).
+ */
+export async function exploreOverlays(
+    page,
+    pageName,
+    outputDir,
+    interactiveElements,
+    { limit = MAX_OVERLAY_TRIGGERS } = {}
+) {
+    const triggers = interactiveElements
+        .map((element, index) => ({
+            element,
+            index,
+            open: openMethod(element),
+        }))
+        .filter((trigger) => trigger.open)
+        .slice(0, Math.max(0, limit));
+    if (triggers.length === 0) return [];
+
+    console.log(
+        chalk.gray(
+            `  → Exploring ${triggers.length} menus, dialogs and tooltips...`
+        )
+    );
+
+    const pageUrl = page.url();
+    const previousAction = currentAction(page);
+    const overlays = [];
+    let routedBy = null;
+
+    // A trigger that loads another document is a link in disguise
+    const blockNavigation = (route) =>
+        route.request().isNavigationRequest() &&
+        route.request().frame() === page.mainFrame()
+            ? route.abort()
+            : route.fallback();
+    await page.route("**/*", blockNavigation);
+
+    for (const { element, index, open } of triggers) {
+        const label = (element.ariaLabel || element.text || element.type)
+            .replace(/\s+/g, " ")
+            .substring(0, 60);
+        const id = `overlay-${overlays.length + 1}`;
+
+        try {
+            const tagged = await page.evaluate(tagTrigger, {
+                position: element.position,
+                attribute: TRIGGER_ATTRIBUTE,
+            });
+            if (!tagged) continue;
+
+            await page.evaluate(markBaseline, {
+                selector: OVERLAY_SELECTOR,
+                attribute: BASELINE_ATTRIBUTE,
+            });
+            const trigger = page.locator(`[${TRIGGER_ATTRIBUTE}]`);
+
+            if (open === "click") {
+                beginAction(page, {
+                    type: "click",
+                    description: `Open "${label}"`,
+                    target: { overlay: id },
+                });
+                await trigger.click({ timeout: 5000 });
+            } else {
+                await trigger.hover({ timeout: 5000 });
+            }
+            await waitForSettle(page, { timeout: OVERLAY_SETTLE_TIMEOUT });
+
+            // Client-side routing: the app's state is no longer the one
+            // being explored, and reloading would lose workflow state
+            if (page.url() !== pageUrl) {
+                console.log(
+                    chalk.yellow(
+                        `    ⚠ "${label}" changed the URL; stopping overlay exploration`
+                    )
+                );
+                routedBy = label;
+                break;
+            }
+
+            const found = await page.evaluate(findOverlays, {
+                selector: OVERLAY_SELECTOR,
+                baseline: BASELINE_ATTRIBUTE,
+                attribute: OVERLAY_ATTRIBUTE,
+                controls: element.ariaControls,
+                describedBy: element.ariaDescribedBy,
+            });
+
+            if (found.length > 0) {
+                const captured = [];
+                for (const [i, overlay] of found.entries()) {
+                    const selector = `[${OVERLAY_ATTRIBUTE}="${i}"]`;
+                    const domStructure = await analyzeDOMStructure(page, {
+                        root: selector,
+                        maxDepth: OVERLAY_MAX_DEPTH,
+                    });
+
+                    const filename = `${pageName}-${id}${
+                        found.length > 1 ? `-${i + 1}` : ""
+                    }.png`;
+                    const screenshot = path.join(
+                        outputDir,
+                        "screenshots",
+                        filename
+                    );
+                    await fs.ensureDir(path.dirname(screenshot));
+                    await page
+                        .locator(selector)
+                        .screenshot({
+                            path: screenshot,
+                            timeout: 5000,
+                            ...stableScreenshotOptions(page),
+                        })
+                        .catch(() => null);
+
+                    captured.push({ ...overlay, domStructure, screenshot });
+                }
+
+                const closedBy = await closeOverlay(page, trigger, open);
+                overlays.push({
+                    id,
+                    trigger: {
+                        index,
+                        type: element.type,
+                        label,
+                        hasPopup: element.ariaHasPopup,
+                        position: element.position,
+                    },
+                    open,
+                    closedBy,
+                    overlays: captured,
+                });
+                interactiveElements[index].overlay = id;
+
+                console.log(
+                    chalk.gray(
+                        `    • ${id}: ${captured
+                            .map((overlay) => overlay.role)
+                            .join(", ")} from "${label}" (closed by ${
+                            closedBy || "nothing"
+                        })`
+                    )
+                );
+
+                // Later triggers may be covered by an overlay left open
+                if (!closedBy) {
+                    console.log(
+                        chalk.yellow(
+                            `    ⚠ Could not close ${id}; stopping overlay exploration`
+                        )
+                    );
+                    break;
+                }
+            } else if (
+                open === "click" &&
+                (await trigger.getAttribute("aria-expanded")) === "true"
+            ) {
+                // Toggles without an overlay (expand a section) are undone
+                await trigger.click({ timeout: 5000 });
+                await waitForSettle(page, { timeout: OVERLAY_SETTLE_TIMEOUT });
+            }
+        } catch (error) {
+            console.log(
+                chalk.yellow(
+                    `    ⚠ Could not explore "${label}": ${error.message}`
+                )
+            );
+        } finally {
+            await page
+                .evaluate(cleanUp, [
+                    TRIGGER_ATTRIBUTE,
+                    OVERLAY_ATTRIBUTE,
+                    BASELINE_ATTRIBUTE,
+                ])
+                .catch(() => {});
+        }
+    }
+
+    try {
+        if (routedBy) await restoreRoute(page, pageUrl, routedBy);
+    } finally {
+        await page.unroute("**/*", blockNavigation);
+    }
+    if (previousAction) resumeAction(page, previousAction);
+
+    console.log(chalk.green(`  ✓ Captured ${overlays.length} overlay states`));
+    return overlays;
+}
+
+// Go back to the explored route; navigations are still blocked, so this
+// can only be a client-side history change
+async function restoreRoute(page, pageUrl, label) {
+    await page.evaluate(() => history.back()).catch(() => {});
+    const restored = await page
+        .waitForURL(pageUrl, { timeout: 5000 })
+        .then(() => true)
+        .catch(() => false);
+    if (!restored) {
+        throw new Error(
+            `"${label}" moved the page to ${page.url()} and going back did not return to ${pageUrl}`
+        );
+    }
+    await waitForSettle(page, { timeout: OVERLAY_SETTLE_TIMEOUT });
+    console.log(chalk.gray(`    • Went back to ${pageUrl}`));
+}
+
+function openMethod(element) {
+    if (element.type !== "button") return null;
+    if (element.ariaHasPopup && element.ariaHasPopup !== "false") {
+        return "click";
+    }
+    if (element.ariaDescribedBy) return "hover";
+    return null;
+}
+
+// Returns how the overlay was closed, or null if it is still open
+async function closeOverlay(page, trigger, open) {
+    const attempts =
+        open === "hover"
+            ? [["mouse-out", () => page.mouse.move(0, 0)]]
+            : [
+                  ["escape", () => page.keyboard.press("Escape")],
+                  ["trigger", () => trigger.click({ timeout: 5000 })],
+              ];
+
+    for (const [method, attempt] of attempts) {
+        await attempt().catch(() => {});
+        await waitForSettle(page, { timeout: OVERLAY_SETTLE_TIMEOUT });
+        const stillOpen = await page
+            .evaluate(
+                (attribute) =>
+                    Array.from(
+                        document.querySelectorAll(`[${attribute}]`)
+                    ).some((element) => {
+                        const rect = element.getBoundingClientRect();
+                        return (
+                            element.isConnected &&
+                            rect.width > 0 &&
+                            rect.height > 0
+                        );
+                    }),
+                OVERLAY_ATTRIBUTE
+            )
+            .catch(() => false);
+        if (!stillOpen) return method;
+    }
+    return null;
+}
+
+// Runs in the browser
+function tagTrigger({ position, attribute }) {
+    const match = Array.from(
+        document.querySelectorAll('button, [role="button"]')
+    ).find((candidate) => {
+        const rect = candidate.getBoundingClientRect();
+        return (
+            Math.abs(rect.x - position.x) < 1 &&
+            Math.abs(rect.y - position.y) < 1 &&
+            Math.abs(rect.width - position.width) < 1 &&
+            Math.abs(rect.height - position.height) < 1
+        );
+    });
+    match?.setAttribute(attribute, "");
+    return Boolean(match);
+}
+
+// Runs in the browser: mark the overlays already open before the trigger
+function markBaseline({ selector, attribute }) {
+    const layers = Array.from(document.body.children).filter((element) =>
+        ["fixed", "absolute"].includes(getComputedStyle(element).position)
+    );
+    for (const element of [...document.querySelectorAll(selector), ...layers]) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+            element.setAttribute(attribute, "");
+        }
+    }
+}
+
+// Runs in the browser: visible overlay roots that were not there before
+function findOverlays({
+    selector,
+    baseline,
+    attribute,
+    controls,
+    describedBy,
+}) {
+    const layers = Array.from(document.body.children).filter((element) =>
+        ["fixed", "absolute"].includes(getComputedStyle(element).position)
+    );
+    const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+    };
+
+    const candidates = [...document.querySelectorAll(selector), ...layers];
+    // Elements the trigger points at are overlays even without a popup role
+    for (const id of `${controls || ""} ${describedBy || ""}`
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)) {
+        const target = document.getElementById(id);
+        if (target) candidates.push(target);
+    }
+
+    const fresh = candidates.filter(
+        (element) => !element.hasAttribute(baseline) && isVisible(element)
+    );
+    // Outermost only: a dialog's inner menu belongs to the dialog
+    const roots = [...new Set(fresh)].filter(
+        (element) =>
+            !fresh.some((other) => other !== element && other.contains(element))
+    );
+
+    return roots.map((element, index) => {
+        element.setAttribute(attribute, String(index));
+        const rect = element.getBoundingClientRect();
+        return {
+            role:
+                element.getAttribute("role") ||
+                (element.tagName === "DIALOG" ? "dialog" : "layer"),
+            label:
+                element.getAttribute("aria-label") ||
+                element.textContent.trim().substring(0, 80),
+            modal:
+                element.getAttribute("aria-modal") === "true" ||
+                element.matches("dialog:modal"),
+            position: {
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height,
+            },
+        };
+    });
+}
+
+// Runs in the browser
+function cleanUp(attributes) {
+    for (const attribute of attributes) {
+        document
+            .querySelectorAll(`[${attribute}]`)
+            .forEach((element) => element.removeAttribute(attribute));
+    }
+}
@@ -0,0 +1,298 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { privateRunDir } from "../runs/index.js";
+
+export const TRACE_FILENAME = "trace.zip";
+export const FAILURES_DIRNAME = "failures";
+
+const RECORD_TRACE = process.env.RECORD_TRACE !== "false";
+// "run": traces in the run and its failure bundles, from login on;
+// "private": beside the run (see privateRunDir), including the login
+const TRACE_LOCATION = process.env.TRACE_LOCATION || "run";
+const RECORD_VIDEO = process.env.RECORD_VIDEO === "true";
+
+// Console and network entries kept for a failure bundle
+const MAX_LOG_ENTRIES = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Context options that record a video of every page into <run>/videos
+ * (RECORD_VIDEO=true), or {} when disabled
+ */
+export function videoRecordingOptions(outputDir) {
+    if (!RECORD_VIDEO) return {};
+    return {
+        recordVideo: {
+            dir: path.join(outputDir, "videos"),
+            size: { width: 1920, height: 1080 },
+        },
+    };
+}
+
+/**
+ * Record a run for debugging: a Playwright trace of the browser context
+ * (RECORD_TRACE) plus a rolling console and network log of the page.
+ *
+ * `captureFailure(error)` writes a bundle to <run>/failures/<time>-<name>/
+ * with a screenshot and the redacted DOM at the moment of failure, the
+ * console and network logs, and the failing step and locator attempts when
+ * the error carries them (see runWorkflow and resolveLocator).
+ * `close()` closes the context and adds the page video to each bundle.
+ *
+ * The trace up to each failure is written to the bundle as trace.zip and
+ * the rest of the run's trace to <run>/trace.zip. Traces hold request
+ * headers, cookies and bodies that cannot be redacted, and they start with
+ * `startTracing()`, once the context is logged in, so typed credentials are
+ * never traced. With TRACE_LOCATION=private they are written to the same
+ * paths beside the run instead (see privateRunDir) and cover the login too,
+ * so failed logins are traced as well.
+ */
+export function createRunRecorder(outputDir, { redactor } = {}) {
+    if (!["run", "private"].includes(TRACE_LOCATION)) {
+        throw new Error(
+            `TRACE_LOCATION must be "run" or "private", not "${TRACE_LOCATION}"`
+        );
+    }
+    const tracePrivate = TRACE_LOCATION === "private";
+    const traceDir = tracePrivate ? privateRunDir(outputDir) : outputDir;
+    let context = null;
+    let page = null;
+    let tracing = false;
+    const consoleLog = [];
+    const networkLog = [];
+    const bundles = [];
+
+    const push = (log, entry) => {
+        log.push({ timestamp: new Date().toISOString(), ...entry });
+        if (log.length > MAX_LOG_ENTRIES) log.shift();
+    };
+    const redactUrl = (url) =>
+        redactor ? redactor.redactUrl(url, "network-log.url", "recorder") : url;
+    const redactText = (text) =>
+        redactor ? redactor.redactBody(text, "console.text", "recorder") : text;
+
+    const startTracing = async () => {
+        if (!RECORD_TRACE || !context || tracing) return;
+        await context.tracing.start({ screenshots: true, snapshots: true });
+        await context.tracing.startChunk();
+        tracing = true;
+    };
+
+    return {
+        /**
+         * Start logging a context and its page, and tracing it with
+         * TRACE_LOCATION=private; called again when the session is
+         * re-opened with a fresh context
+         */
+        attach: async (newContext, newPage) => {
+            context = newContext;
+            page = newPage;
+            tracing = false;
+            if (tracePrivate) await startTracing();
+
+            newPage.on("console", (message) =>
+                push(consoleLog, {
+                    type: message.type(),
+                    text: redactText(
+                        message.text().substring(0, MAX_MESSAGE_LENGTH)
+                    ),
+                    location: message.location()?.url
+                        ? redactUrl(message.location().url)
+                        : undefined,
+                })
+            );
+            newPage.on("pageerror", (error) =>
+                push(consoleLog, {
+                    type: "pageerror",
+                    text: redactText(
+                        (error.stack || error.message).substring(
+                            0,
+                            MAX_MESSAGE_LENGTH
+                        )
+                    ),
+                })
+            );
+            newPage.on("response", (response) =>
+                push(networkLog, {
+                    method: response.request().method(),
+                    url: redactUrl(response.url()),
+                    resourceType: response.request().resourceType(),
+                    status: response.status(),
+                })
+            );
+            newPage.on("requestfailed", (request) =>
+                push(networkLog, {
+                    method: request.method(),
+                    url: redactUrl(request.url()),
+                    resourceType: request.resourceType(),
+                    failure: request.failure()?.errorText,
+                })
+            );
+        },
+
+        /**
+         * Trace the attached context from now on (RECORD_TRACE); called
+         * once it is logged in
+         */
+        startTracing,
+
+        captureFailure: async (error, { name } = {}) => {
+            if (!page) return null;
+
+            const label = name || error.step?.label || "run";
+            const bundle = `${new Date()
+                .toISOString()
+                .replace(/[:.]/g, "-")}-${slug(label)}`;
+            const dir = path.join(outputDir, FAILURES_DIRNAME, bundle);
+            await fs.ensureDir(dir);
+
+            const files = [];
+            const attempt = async (file, write) => {
+                try {
+                    await write(path.join(dir, file));
+                    files.push(file);
+                } catch (e) {
+                    // The page may be gone; keep what could be written
+                }
+            };
+
+            await attempt("screenshot.png", (file) =>
+                page.screenshot({ path: file, fullPage: true, timeout: 10000 })
+            );
+            await attempt("dom.html", async (file) =>
+                fs.writeFile(
+                    file,
+                    await redactedContent(page, redactor?.rules.queryParams)
+                )
+            );
+            let trace = null;
+            if (tracing) {
+                const file = path.join(
+                    traceDir,
+                    FAILURES_DIRNAME,
+                    bundle,
+                    TRACE_FILENAME
+                );
+                try {
+                    await fs.ensureDir(path.dirname(file));
+                    await context.tracing.stopChunk({ path: file });
+                    await context.tracing.startChunk();
+                    trace = file;
+                    if (!tracePrivate) files.push(TRACE_FILENAME);
+                } catch (e) {
+                    // The context may be gone
+                }
+            }
+            await attempt("console.json", (file) =>
+                fs.writeJson(file, consoleLog, { spaces: 2 })
+            );
+            await attempt("network.json", (file) =>
+                fs.writeJson(file, networkLog, { spaces: 2 })
+            );
+
+            await fs.writeJson(
+                path.join(dir, "failure.json"),
+                {
+                    timestamp: new Date().toISOString(),
+                    name: label,
+                    url: redactUrl(page.url()),
+                    error: { message: error.message, stack: error.stack },
+                    step: error.step || null,
+                    locatorAttempts: error.attempts || null,
+                    closestCandidates: error.candidates || null,
+                    files,
+                    trace,
+                },
+                { spaces: 2 }
+            );
+            bundles.push(dir);
+
+            console.log(chalk.yellow(`  ℹ Failure bundle written to: ${dir}`));
+            if (trace && tracePrivate) {
+                console.log(chalk.yellow(`  ℹ Trace written to: ${trace}`));
+            }
+            return dir;
+        },
+
+        close: async () => {
+            if (!context) return;
+
+            if (tracing) {
+                await fs.ensureDir(traceDir);
+                await context.tracing
+                    .stopChunk({ path: path.join(traceDir, TRACE_FILENAME) })
+                    .then(() => context.tracing.stop())
+                    .catch(() => {});
+            }
+            await context.close();
+
+            // Videos are only complete once the context is closed
+            const video = page?.video();
+            if (video) {
+                for (const dir of bundles) {
+                    await video
+                        .saveAs(path.join(dir, "video.webm"))
+                        .catch(() => {});
+                }
+            }
+        },
+    };
+}
+
+/**
+ * The page's HTML without what it may hold of the session: inline script
+ * bodies, password and hidden input values, token meta tags and redacted
+ * query parameters (`queryParams` names) in URL attributes
+ */
+async function redactedContent(page, queryParams = []) {
+    return page.evaluate((queryParams) => {
+        const names = new Set(queryParams.map((name) => name.toLowerCase()));
+        const root = document.documentElement.cloneNode(true);
+
+        for (const script of root.querySelectorAll("script:not([src])")) {
+            script.textContent = "";
+        }
+        for (const input of root.querySelectorAll(
+            "input[type='password'], input[type='hidden']"
+        )) {
+            input.removeAttribute("value");
+        }
+        for (const meta of root.querySelectorAll("meta[name]")) {
+            if (/csrf|xsrf|token|secret/i.test(meta.getAttribute("name"))) {
+                meta.setAttribute("content", "[REDACTED]");
+            }
+        }
+        for (const element of root.querySelectorAll(
+            "[href], [src], [action]"
+        )) {
+            for (const attribute of ["href", "src", "action"]) {
+                const value = element.getAttribute(attribute);
+                if (!value || !value.includes("?")) continue;
+                try {
+                    const url = new URL(value, document.baseURI);
+                    for (const key of [...url.searchParams.keys()]) {
+                        if (names.has(key.toLowerCase())) {
+                            url.searchParams.set(key, "[REDACTED]");
+                        }
+                    }
+                    element.setAttribute(attribute, url.toString());
+                } catch (e) {
+                    // Not a URL
+                }
+            }
+        }
+
+        return `<!DOCTYPE html>\n${root.outerHTML}`;
+    }, queryParams);
+}
+
+function slug(value) {
+    return (
+        value
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-|-$/g, "")
+            .substring(0, 40) || "run"
+    );
+}
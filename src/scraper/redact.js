@@ -0,0 +1,447 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+
+export const REDACTED = "[REDACTED]";
+
+// Headers whose value is a URL that may carry token query parameters
+const URL_HEADERS = new Set(["location", "referer", "content-location"]);
+
+// HAR bodies redacted as JSON or form data; others (HTML, scripts, images)
+// are left as recorded
+const STRUCTURED_BODY = /json|x-www-form-urlencoded|text\/plain/i;
+
+/**
+ * Redaction rules applied to captured traffic. Names are case-insensitive.
+ * `cookies` are cookie names ("*" for every cookie); `jsonPaths` are dotted
+ * paths into JSON bodies and payloads where `*` matches one key and `**`
+ * any number of keys.
+ */
+export const DEFAULT_REDACTION_RULES = {
+    headers: [
+        "authorization",
+        "proxy-authorization",
+        "x-csrf-token",
+        "x-xsrf-token",
+        "x-api-key",
+        "x-auth-token",
+        "x-amz-security-token",
+    ],
+    cookies: ["*"],
+    queryParams: [
+        "token",
+        "access_token",
+        "refresh_token",
+        "id_token",
+        "api_key",
+        "apikey",
+        "key",
+        "code",
+        "state",
+        "signature",
+        "sig",
+        "session",
+        "password",
+    ],
+    jsonPaths: [
+        "**.password",
+        "**.passwd",
+        "**.secret",
+        "**.client_secret",
+        "**.token",
+        "**.access_token",
+        "**.refresh_token",
+        "**.id_token",
+        "**.api_key",
+        "**.csrf_token",
+        "**.session_token",
+    ],
+};
+
+/**
+ * Load rules from REDACTION_RULES (a JSON file with any of the rule lists).
+ * Its lists are added to the defaults unless it sets `"extendDefaults": false`.
+ */
+export async function loadRedactionRules(
+    filePath = process.env.REDACTION_RULES
+) {
+    if (!filePath) return DEFAULT_REDACTION_RULES;
+
+    if (!(await fs.pathExists(filePath))) {
+        throw new Error(`Redaction rules file not found: ${filePath}`);
+    }
+
+    const { extendDefaults = true, ...custom } = await fs.readJson(filePath);
+    const rules = {};
+    for (const kind of Object.keys(DEFAULT_REDACTION_RULES)) {
+        rules[kind] = [
+            ...(extendDefaults ? DEFAULT_REDACTION_RULES[kind] : []),
+            ...(custom[kind] || []),
+        ];
+    }
+    return rules;
+}
+
+/**
+ * Create a redactor for one run. Every redaction is counted by rule, where it
+ * was found and which output it belongs to, for the redaction report.
+ */
+export function createRedactor(rules = DEFAULT_REDACTION_RULES) {
+    const lower = (list = []) => list.map((item) => item.toLowerCase());
+    const headerRules = new Set(lower(rules.headers));
+    const cookieRules = new Set(lower(rules.cookies));
+    const queryParamRules = new Set(lower(rules.queryParams));
+    const jsonPathRules = lower(rules.jsonPaths).map((rule) =>
+        rule.replace(/^\$\.?/, "").split(".")
+    );
+
+    const redactions = new Map();
+    const record = (kind, name, location, source) => {
+        const key = `${kind}|${name}|${location}`;
+        const entry = redactions.get(key) || {
+            kind,
+            name,
+            location,
+            count: 0,
+            sources: [],
+        };
+        entry.count++;
+        if (source && !entry.sources.includes(source)) {
+            entry.sources.push(source);
+        }
+        redactions.set(key, entry);
+    };
+
+    const isCookieRedacted = (name) =>
+        cookieRules.has("*") || cookieRules.has(name.toLowerCase());
+
+    // "a=1; b=2" request cookies, or one "name=value; Path=/" line per cookie
+    function redactCookieHeader(value, headerName, location, source) {
+        if (headerName === "set-cookie") {
+            return value
+                .split("\n")
+                .map((line) =>
+                    line.replace(/^\s*([^=;]+)=([^;]*)/, (match, name) => {
+                        if (!isCookieRedacted(name.trim())) return match;
+                        record("cookie", name.trim(), location, source);
+                        return `${name}=${REDACTED}`;
+                    })
+                )
+                .join("\n");
+        }
+
+        return value
+            .split(";")
+            .map((pair) => {
+                const index = pair.indexOf("=");
+                const name = pair.substring(0, index).trim();
+                if (index === -1 || !isCookieRedacted(name)) return pair;
+                record("cookie", name, location, source);
+                return `${pair.substring(0, index)}=${REDACTED}`;
+            })
+            .join(";");
+    }
+
+    function redactHeader(name, value, location, source) {
+        const headerName = name.toLowerCase();
+        if (headerName === "cookie" || headerName === "set-cookie") {
+            return redactCookieHeader(value, headerName, location, source);
+        }
+        if (headerRules.has(headerName)) {
+            record("header", headerName, location, source);
+            return REDACTED;
+        }
+        if (URL_HEADERS.has(headerName)) {
+            return redactUrl(value, location, source);
+        }
+        return value;
+    }
+
+    function redactHeaders(headers, location, source) {
+        if (!headers) return headers;
+
+        const redacted = {};
+        for (const [name, value] of Object.entries(headers)) {
+            redacted[name] = redactHeader(name, value, location, source);
+        }
+        return redacted;
+    }
+
+    function redactSearchParams(params, location, source) {
+        let changed = false;
+        for (const name of [...new Set(params.keys())]) {
+            if (
+                queryParamRules.has(name.toLowerCase()) &&
+                params.get(name) !== REDACTED
+            ) {
+                record("queryParam", name, location, source);
+                params.set(name, REDACTED);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    function redactUrl(url, location, source) {
+        try {
+            const parsed = new URL(url);
+            return redactSearchParams(parsed.searchParams, location, source)
+                ? parsed.toString()
+                : url;
+        } catch {
+            return url;
+        }
+    }
+
+    function matchesPath(rule, keys) {
+        if (rule.length === 0) return keys.length === 0;
+        const [head, ...rest] = rule;
+        if (head === "**") {
+            return keys.some((_, index) =>
+                matchesPath(rest, keys.slice(index))
+            );
+        }
+        return (
+            keys.length > 0 &&
+            (head === "*" || head === keys[0].toLowerCase()) &&
+            matchesPath(rest, keys.slice(1))
+        );
+    }
+
+    function redactJson(value, location, source, keys = []) {
+        if (!value || typeof value !== "object") return value;
+
+        const entries = Object.entries(value).map(([key, child]) => {
+            const childKeys = [...keys, key];
+            if (jsonPathRules.some((rule) => matchesPath(rule, childKeys))) {
+                // Array indexes are collapsed so the report groups by shape
+                const name = childKeys
+                    .map((k) => (/^\d+$/.test(k) ? "[]" : k))
+                    .join(".");
+                record("jsonPath", name, location, source);
+                return [key, REDACTED];
+            }
+            return [key, redactJson(child, location, source, childKeys)];
+        });
+
+        return Array.isArray(value)
+            ? entries.map(([, child]) => child)
+            : Object.fromEntries(entries);
+    }
+
+    // Bodies are parsed JSON, JSON strings, form-encoded strings or opaque text
+    function redactBody(body, location, source) {
+        if (body && typeof body === "object") {
+            return redactJson(body, location, source);
+        }
+        if (typeof body !== "string" || body === "") return body;
+
+        try {
+            const parsed = JSON.parse(body);
+            if (parsed && typeof parsed === "object") {
+                return JSON.stringify(redactJson(parsed, location, source));
+            }
+        } catch {
+            // Not JSON
+        }
+
+        if (/^[^\s=&]+=[^\s]*$/.test(body)) {
+            const params = new URLSearchParams(body);
+            const leaves = Object.fromEntries(params.entries());
+            const redactedLeaves = redactJson(leaves, location, source);
+            for (const [name, value] of Object.entries(redactedLeaves)) {
+                params.set(name, value);
+            }
+            redactSearchParams(params, location, source);
+            return params.toString();
+        }
+
+        return body;
+    }
+
+    // Form and JSON bodies are redacted as text (form params are rebuilt
+    // from it); multipart fields by name, in the params and in the text
+    function redactHarPostData(postData, source) {
+        if (!postData) return;
+        const mimeType = postData.mimeType || "";
+
+        if (/multipart\//i.test(mimeType)) {
+            for (const param of postData.params || []) {
+                if (!param.value || !isSecretField(param.name)) continue;
+                record("jsonPath", param.name, "request.body", source);
+                if (postData.text) {
+                    postData.text = postData.text
+                        .split(param.value)
+                        .join(REDACTED);
+                }
+                param.value = REDACTED;
+            }
+            return;
+        }
+
+        if (postData.text && (!mimeType || STRUCTURED_BODY.test(mimeType))) {
+            postData.text = redactBody(postData.text, "request.body", source);
+            if (/x-www-form-urlencoded/i.test(mimeType) && postData.params) {
+                postData.params = [...new URLSearchParams(postData.text)].map(
+                    ([name, value]) => ({ name, value })
+                );
+            }
+        }
+    }
+
+    // Response bodies embedded as text or base64
+    function redactHarContent(content, source) {
+        if (!content?.text || !STRUCTURED_BODY.test(content.mimeType || "")) {
+            return;
+        }
+        const text =
+            content.encoding === "base64"
+                ? Buffer.from(content.text, "base64").toString("utf8")
+                : content.text;
+        const redacted = redactBody(text, "response.body", source);
+        if (redacted === text) return;
+
+        content.text = redacted;
+        content.size = Buffer.byteLength(redacted);
+        delete content.encoding;
+    }
+
+    const isSecretField = (name) =>
+        queryParamRules.has(name.toLowerCase()) ||
+        jsonPathRules.some((rule) => matchesPath(rule, [name]));
+
+    function getReport() {
+        const entries = [...redactions.values()].sort(
+            (a, b) => b.count - a.count
+        );
+        return {
+            rules,
+            total: entries.reduce((sum, entry) => sum + entry.count, 0),
+            redactions: entries,
+        };
+    }
+
+    // Counts from an earlier report of the same run (see --resume)
+    async function restoreReport(
+        outputDir,
+        filename = "redaction-report.json"
+    ) {
+        const file = path.join(outputDir, filename);
+        if (!(await fs.pathExists(file))) return;
+
+        for (const entry of (await fs.readJson(file)).redactions) {
+            redactions.set(`${entry.kind}|${entry.name}|${entry.location}`, {
+                ...entry,
+            });
+        }
+    }
+
+    async function saveReport(outputDir, filename = "redaction-report.json") {
+        const report = getReport();
+        await fs.ensureDir(outputDir);
+        await fs.writeJson(path.join(outputDir, filename), report, {
+            spaces: 2,
+        });
+        console.log(
+            chalk.green(
+                `  ✓ Redacted ${report.total} secrets (see ${filename})`
+            )
+        );
+        return report;
+    }
+
+    return {
+        rules,
+        redactHeaders,
+        redactUrl,
+        redactBody,
+
+        redactApiCall: (apiCall, source) => ({
+            ...apiCall,
+            url: redactUrl(apiCall.url, "request.url", source),
+            headers: redactHeaders(apiCall.headers, "request.headers", source),
+            postData: redactBody(apiCall.postData, "request.body", source),
+            response: apiCall.response && {
+                ...apiCall.response,
+                headers: redactHeaders(
+                    apiCall.response.headers,
+                    "response.headers",
+                    source
+                ),
+                body: redactBody(
+                    apiCall.response.body,
+                    "response.body",
+                    source
+                ),
+            },
+        }),
+
+        redactRealtimeEvent: (event, source) => ({
+            ...event,
+            url: redactUrl(event.url, "realtime.url", source),
+            payload: redactBody(event.payload, "realtime.payload", source),
+        }),
+
+        /**
+         * Redact a HAR entry in place with the same rules: URL and query
+         * string, headers, cookies, and JSON or form bodies of the request
+         * and response. Replay redacts live requests the same way before
+         * matching them (see openReplayContext).
+         */
+        redactHarEntry: (entry, source) => {
+            const { request, response } = entry;
+
+            if (request) {
+                request.url = redactUrl(request.url, "request.url", source);
+                // Mirrors the URL, counted there
+                for (const param of request.queryString || []) {
+                    if (queryParamRules.has(param.name.toLowerCase())) {
+                        param.value = REDACTED;
+                    }
+                }
+                redactHarPostData(request.postData, source);
+            }
+
+            if (response) {
+                if (response.redirectURL) {
+                    response.redirectURL = redactUrl(
+                        response.redirectURL,
+                        "response.headers",
+                        source
+                    );
+                }
+                redactHarContent(response.content, source);
+            }
+
+            for (const part of ["request", "response"]) {
+                const message = entry[part];
+                if (!message) continue;
+
+                for (const header of message.headers || []) {
+                    header.value = redactHeader(
+                        header.name,
+                        header.value,
+                        `${part}.headers`,
+                        source
+                    );
+                }
+                for (const cookie of message.cookies || []) {
+                    if (isCookieRedacted(cookie.name)) {
+                        record(
+                            "cookie",
+                            cookie.name,
+                            `${part}.cookies`,
+                            source
+                        );
+                        cookie.value = REDACTED;
+                    }
+                }
+            }
+            return entry;
+        },
+
+        getReport,
+        restoreReport,
+        saveReport,
+    };
+}
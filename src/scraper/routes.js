@@ -0,0 +1,391 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { isIdSegment } from "./crawl.js";
+import { TIMELINE_FILENAME } from "./timeline.js";
+
+export const ROUTE_MAP_FILENAME = "routes.json";
+
+// Distinct values a non-ID segment needs before it counts as a parameter
+const MIN_PARAM_VALUES = 3;
+const MAX_EXAMPLES = 3;
+const MAX_LINK_LABEL = 40;
+
+// Several hyphenated words or letters mixed with digits: data, not a section
+const SLUG_SEGMENT =
+    /^(?:[a-z0-9]+(?:-[a-z0-9]+){2,}|(?=.*\d)(?=.*[a-z])[a-z0-9]+(?:-[a-z0-9]+)+)$/i;
+
+/**
+ * Infer the app's routes from every URL of a run: captured pages, the URLs
+ * workflow actions started on or navigated to, and the links on each page.
+ * Segments that are IDs (see isIdSegment) become parameters; so does a
+ * position where, with the rest of the path equal, at least
+ * MIN_PARAM_VALUES different slugs were seen. Parameters are named after
+ * the segment before them (/project/123 → /project/:projectId), or else
+ * after the API resource the same value was requested under
+ * (/api/workspaces/123 → :workspaceId). Each captured page is mapped to its
+ * route and the values of its parameters; a second page on the same route
+ * with other values is a variant served by that route, a page on the very
+ * same URL (an open menu) is a state of the first. `navigation` is the
+ * graph of links and actions between routes.
+ */
+export function inferRouteMap(scrapedData, actions = []) {
+    const origin = mainOrigin(scrapedData);
+    const pathnameOf = (url) => {
+        try {
+            const parsed = new URL(url, origin);
+            return parsed.origin === origin ? parsed.pathname : null;
+        } catch {
+            return null; // javascript:, mailto: and malformed hrefs
+        }
+    };
+
+    // Every same-origin path, and whether a browser actually loaded it
+    const seen = new Map();
+    const see = (url, visited) => {
+        const pathname = pathnameOf(url);
+        if (pathname === null) return null;
+        seen.set(pathname, seen.get(pathname) || visited);
+        return pathname;
+    };
+    for (const page of scrapedData.pages) {
+        see(page.url, true);
+        for (const element of page.interactiveElements || []) {
+            if (element.type === "link" && element.href) {
+                see(element.href, false);
+            }
+        }
+    }
+    for (const action of actions) {
+        if (action.url) see(action.url, true);
+        if (action.type === "navigate" && action.target?.url) {
+            see(action.target.url, true);
+        }
+    }
+
+    const routes = buildRoutes([...seen.keys()], resourceNames(actions));
+    for (const [pathname, visited] of seen) {
+        const route = matchRoute(routes, pathname)?.route;
+        if (!route) continue;
+        route.visited = route.visited || visited;
+        if (route.examples.length < MAX_EXAMPLES) route.examples.push(pathname);
+    }
+
+    const pages = mapPages(scrapedData.pages, routes, pathnameOf);
+    const navigation = buildNavigation(
+        scrapedData.pages,
+        actions,
+        routes,
+        pathnameOf
+    );
+
+    return {
+        origin,
+        routes: routes.map(({ segments, ...route }) => route),
+        pages,
+        navigation,
+    };
+}
+
+/**
+ * Infer the route map of a run and write it to routes.json, reading the
+ * run's timeline for the navigation graph
+ */
+export async function saveRouteMap(scrapedData, outputDir) {
+    const timelineFile = path.join(outputDir, TIMELINE_FILENAME);
+    const actions = (await fs.pathExists(timelineFile))
+        ? await fs.readJson(timelineFile)
+        : [];
+    const routeMap = inferRouteMap(scrapedData, actions);
+
+    await fs.writeJson(path.join(outputDir, ROUTE_MAP_FILENAME), routeMap, {
+        spaces: 2,
+    });
+    const parameterised = routeMap.routes.filter(
+        (route) => route.params.length > 0
+    ).length;
+    console.log(
+        chalk.green(
+            `  ✓ Inferred ${routeMap.routes.length} routes (${parameterised} with parameters) to ${ROUTE_MAP_FILENAME}`
+        )
+    );
+
+    return routeMap;
+}
+
+/**
+ * The route a path belongs to and its parameter values, or null
+ */
+export function matchRoute(routes, pathname) {
+    const segments = pathname.split("/").filter(Boolean);
+    for (const route of routes) {
+        const routeSegments =
+            route.segments || route.path.split("/").filter(Boolean);
+        if (routeSegments.length !== segments.length) continue;
+
+        const params = {};
+        const matches = routeSegments.every((segment, index) => {
+            if (!segment.startsWith(":")) return segment === segments[index];
+            params[segment.substring(1)] = segments[index];
+            return true;
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+// The origin most captured pages are on
+function mainOrigin(scrapedData) {
+    const counts = new Map();
+    for (const page of scrapedData.pages) {
+        try {
+            const { origin } = new URL(page.url);
+            counts.set(origin, (counts.get(origin) || 0) + 1);
+        } catch {
+            // Unparseable URL
+        }
+    }
+    const [top] = [...counts].sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : new URL(scrapedData.targetUrl).origin;
+}
+
+// ID → the resource it was requested under in the run's API calls:
+// /api/1.0/workspaces/123/projects → 123 → "workspaces"
+function resourceNames(actions) {
+    const names = new Map();
+    for (const action of actions) {
+        for (const request of action.requests || []) {
+            let segments;
+            try {
+                segments = new URL(request.url).pathname
+                    .split("/")
+                    .filter(Boolean);
+            } catch {
+                continue;
+            }
+            segments.forEach((segment, index) => {
+                const previous = segments[index - 1];
+                if (
+                    previous &&
+                    isWord(previous) &&
+                    isIdSegment(segment) &&
+                    !names.has(segment)
+                ) {
+                    names.set(segment, previous);
+                }
+            });
+        }
+    }
+    return names;
+}
+
+function buildRoutes(pathnames, resources = new Map()) {
+    // ID segments first, as wildcards
+    const shapes = pathnames.map((pathname) =>
+        pathname
+            .split("/")
+            .filter(Boolean)
+            .map((segment) => ({
+                value: segment,
+                param: isIdSegment(segment) ? "id" : null,
+            }))
+    );
+
+    // Then positions where slugs vary while the rest of the path is equal
+    const maxLength = Math.max(0, ...shapes.map((shape) => shape.length));
+    for (let position = 0; position < maxLength; position++) {
+        const groups = new Map();
+        for (const shape of shapes) {
+            if (shape.length <= position || shape[position].param) continue;
+            const key = shape
+                .map((segment, index) =>
+                    index === position
+                        ? "*"
+                        : segment.param
+                        ? ":"
+                        : segment.value
+                )
+                .join("/");
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(shape);
+        }
+        for (const group of groups.values()) {
+            const values = new Set(group.map((shape) => shape[position].value));
+            if (
+                values.size >= MIN_PARAM_VALUES &&
+                [...values].some((value) => SLUG_SEGMENT.test(value))
+            ) {
+                for (const shape of group) shape[position].param = "slug";
+            }
+        }
+    }
+
+    // Paths with the same literal segments and parameter positions are one
+    // route, named once from all of them
+    const patterns = new Map();
+    for (const shape of shapes) {
+        const key = shape
+            .map((segment) =>
+                segment.param ? `:${segment.param}` : segment.value
+            )
+            .join("/");
+        if (!patterns.has(key)) patterns.set(key, []);
+        patterns.get(key).push(shape);
+    }
+
+    const routes = [...patterns.values()].map((group) => {
+        const segments = nameParams(group, resources);
+        return {
+            path: `/${segments.join("/")}`,
+            params: segments
+                .filter((segment) => segment.startsWith(":"))
+                .map((segment) => segment.substring(1)),
+            segments,
+            visited: false,
+            examples: [],
+        };
+    });
+
+    // Fewer parameters first, so matchRoute prefers literal segments
+    return routes.sort(
+        (a, b) =>
+            a.segments.length - b.segments.length ||
+            a.params.length - b.params.length ||
+            a.path.localeCompare(b.path)
+    );
+}
+
+// Parameters are named after the literal segment before them
+// (/project/123 → :projectId, /blog/my-first-post → :blogSlug), or after the
+// API resource one of their values was requested under (/1/123 with
+// /api/workspaces/123 → :workspaceId); "id" or "slug" when neither is known
+function nameParams(group, resources) {
+    const [shape] = group;
+    const used = new Set();
+    return shape.map((segment, index) => {
+        if (!segment.param) return segment.value;
+
+        const previous = shape[index - 1];
+        const word =
+            previous && !previous.param && isWord(previous.value)
+                ? previous.value
+                : group
+                      .map((other) => resources.get(other[index].value))
+                      .find(Boolean);
+        const base = word
+            ? `${camelCase(singular(word))}${
+                  segment.param === "id" ? "Id" : "Slug"
+              }`
+            : segment.param;
+        let name = base;
+        for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+        used.add(name);
+        return `:${name}`;
+    });
+}
+
+function isWord(segment) {
+    return /^[a-z][\w-]*$/i.test(segment);
+}
+
+function singular(word) {
+    if (/ies$/i.test(word)) return word.replace(/ies$/i, "y");
+    if (/[^s]s$/i.test(word) && word.length > 3) return word.slice(0, -1);
+    return word;
+}
+
+function camelCase(text) {
+    return text
+        .split(/[-_]+/)
+        .filter(Boolean)
+        .map((word, index) =>
+            index === 0
+                ? word.toLowerCase()
+                : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+        )
+        .join("");
+}
+
+function mapPages(scrapedPages, routes, pathnameOf) {
+    const pages = {};
+    const primary = new Map(); // route path → first page on it
+
+    for (const page of scrapedPages) {
+        const pathname = pathnameOf(page.url);
+        const match = pathname !== null && matchRoute(routes, pathname);
+        if (!match) continue;
+
+        const { route, params } = match;
+        const entry = { route: route.path, path: pathname, params };
+
+        if (!primary.has(route.path)) {
+            primary.set(route.path, entry);
+            route.page = page.name;
+            entry.routerPath = route.path;
+        } else if (primary.get(route.path).path === pathname) {
+            // Same URL: another state of the first page (an open menu)
+            entry.routerPath = null;
+            entry.stateOf = route.page;
+            route.states = [...(route.states || []), page.name];
+        } else {
+            // Same route, other values (My tasks is also a project list):
+            // served by the first page's route, not one pinned to IDs that
+            // only exist in the captured account
+            entry.routerPath = null;
+            entry.variantOf = route.page;
+            route.variants = [...(route.variants || []), page.name];
+        }
+
+        pages[page.name] = entry;
+    }
+
+    return pages;
+}
+
+// Edges between routes: links on captured pages, and actions that changed
+// the URL (the next action starts on the new one)
+function buildNavigation(scrapedPages, actions, routes, pathnameOf) {
+    const edges = new Map();
+    const routeOf = (url) => {
+        const pathname = url && pathnameOf(url);
+        return pathname === null || pathname === undefined
+            ? null
+            : matchRoute(routes, pathname)?.route.path || null;
+    };
+    const addEdge = (from, to, via, label) => {
+        if (!from || !to || from === to) return;
+        const key = `${from} ${to} ${via}`;
+        if (!edges.has(key)) {
+            edges.set(key, { from, to, via, labels: [], count: 0 });
+        }
+        const edge = edges.get(key);
+        edge.count++;
+        if (label && !edge.labels.includes(label) && edge.labels.length < 3) {
+            edge.labels.push(label);
+        }
+    };
+
+    for (const page of scrapedPages) {
+        const from = routeOf(page.url);
+        for (const element of page.interactiveElements || []) {
+            if (element.type !== "link" || !element.href) continue;
+            addEdge(
+                from,
+                routeOf(element.href),
+                "link",
+                element.text?.substring(0, MAX_LINK_LABEL) || null
+            );
+        }
+    }
+
+    actions.forEach((action, index) => {
+        const next = actions[index + 1];
+        const to =
+            action.type === "navigate" && action.target?.url
+                ? routeOf(action.target.url)
+                : next && routeOf(next.url);
+        addEdge(routeOf(action.url), to, "action", action.description);
+    });
+
+    return [...edges.values()];
+}
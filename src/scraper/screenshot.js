@@ -2,6 +2,58 @@ import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
 
+const STABLE_SCREENSHOTS = process.env.STABLE_SCREENSHOTS !== "false";
+const SCREENSHOT_CLOCK = process.env.SCREENSHOT_CLOCK ?? "2025-01-01T09:00:00Z";
+
+// Regions that differ between runs: timestamps and avatars
+const DEFAULT_MASK_SELECTORS =
+    'time, [class*="avatar" i], img[alt*="avatar" i]';
+const DEFAULT_MASK_TEXT =
+    "\\b\\d+ (second|minute|min|hour|hr|day|week|month|year)s? ago\\b|\\b(just now|yesterday|today|tomorrow)\\b|\\b\\d{1,2}:\\d{2}\\s?([ap]m)?\\b";
+
+/**
+ * Fix Date.now() and new Date() to SCREENSHOT_CLOCK so dates rendered while
+ * a page is captured are the same in every run. Timers keep running.
+ * Returns a function that puts the page back on the current time, so the
+ * rest of the workflow runs with a real clock.
+ */
+export async function freezeClock(page) {
+    if (!STABLE_SCREENSHOTS || !SCREENSHOT_CLOCK) return async () => {};
+
+    await page.clock.setFixedTime(new Date(SCREENSHOT_CLOCK));
+    return () => page.clock.setSystemTime(new Date()).catch(() => {});
+}
+
+/**
+ * Screenshot options that make captures comparable between runs:
+ * animations and transitions stopped, caret hidden, and regions matching
+ * SCREENSHOT_MASK_SELECTORS or the SCREENSHOT_MASK_TEXT regex painted over.
+ * Empty when STABLE_SCREENSHOTS=false.
+ */
+export function stableScreenshotOptions(page) {
+    if (!STABLE_SCREENSHOTS) return {};
+
+    const selectors =
+        process.env.SCREENSHOT_MASK_SELECTORS ?? DEFAULT_MASK_SELECTORS;
+    const text = process.env.SCREENSHOT_MASK_TEXT ?? DEFAULT_MASK_TEXT;
+
+    const mask = [];
+    if (selectors.trim()) mask.push(page.locator(selectors));
+    if (text.trim()) mask.push(page.getByText(maskTextPattern(text)));
+
+    return { animations: "disabled", caret: "hide", mask };
+}
+
+function maskTextPattern(text) {
+    try {
+        return new RegExp(text, "i");
+    } catch (error) {
+        throw new Error(
+            `SCREENSHOT_MASK_TEXT is not a valid regular expression (${error.message}). Fix it in .env, or set it empty to mask no text.`
+        );
+    }
+}
+
 export async function takeScreenshot(page, filename, outputDir) {
     const filepath = path.join(outputDir, "screenshots", filename);
     await fs.ensureDir(path.dirname(filepath));
@@ -9,6 +61,7 @@ export async function takeScreenshot(page, filename, outputDir) {
     await page.screenshot({
         path: filepath,
         fullPage: true,
+        ...stableScreenshotOptions(page),
     });
 
     console.log(chalk.gray(`  • Screenshot saved: ${filename}`));
@@ -38,7 +91,10 @@ export async function takeElementScreenshots(page, outputDir, pageName) {
                     `${pageName}-${name}.png`
                 );
                 await fs.ensureDir(path.dirname(filepath));
-                await element.screenshot({ path: filepath });
+                await element.screenshot({
+                    path: filepath,
+                    ...stableScreenshotOptions(page),
+                });
 
                 screenshots.push({
                     name,
@@ -0,0 +1,96 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { createContext } from "./browser.js";
+import { trackInflightRequests } from "./settle.js";
+import { trackRealtimeConnections } from "./network-capture.js";
+
+const SESSION_DIR = process.env.SESSION_DIR || "./.sessions";
+
+/**
+ * Storage state file (cookies + localStorage) for one target and account
+ */
+export function getSessionFile(adapter, email, sessionDir = SESSION_DIR) {
+    const account = (email || "anonymous").replace(/[^a-z0-9]+/gi, "_");
+    return path.join(sessionDir, `${adapter.name}-${account}.json`);
+}
+
+export async function saveSession(context, sessionFile) {
+    await fs.ensureDir(path.dirname(sessionFile));
+    await context.storageState({ path: sessionFile });
+    console.log(chalk.gray(`  • Session saved: ${sessionFile}`));
+}
+
+/**
+ * Open a browser context that is logged into the target. A saved session is
+ * reused while the adapter still sees it as logged in; otherwise this falls
+ * back to a fresh login and saves the new session.
+ *
+ * Returns { context, page, sessionFile, reused } with `page` on the landing page.
+ * `onPage(context, page)` is called for every context opened on the way,
+ * before it is used, so console and network logs cover the login as well.
+ */
+export async function openAuthenticatedContext(
+    browser,
+    {
+        adapter,
+        email,
+        password,
+        sessionDir = SESSION_DIR,
+        reuseSession = process.env.REUSE_SESSION !== "false",
+        contextOptions = {},
+        onPage,
+    }
+) {
+    const sessionFile = getSessionFile(adapter, email, sessionDir);
+
+    if (
+        adapter.requiresLogin &&
+        reuseSession &&
+        (await fs.pathExists(sessionFile))
+    ) {
+        console.log(chalk.gray(`  → Reusing saved session: ${sessionFile}`));
+
+        const context = await createContext(browser, {
+            ...contextOptions,
+            storageState: sessionFile,
+        });
+        const page = await context.newPage();
+        await onPage?.(context, page);
+        trackInflightRequests(page);
+        await trackRealtimeConnections(page).installed;
+
+        try {
+            if (await adapter.isLoggedIn(page)) {
+                await adapter.dismissInterstitials(page);
+                console.log(chalk.green("  ✓ Session is still valid"));
+                return { context, page, sessionFile, reused: true };
+            }
+            console.log(
+                chalk.yellow("  ⚠ Saved session expired, logging in again...")
+            );
+        } catch (error) {
+            console.log(
+                chalk.yellow(
+                    `  ⚠ Could not validate saved session: ${error.message}`
+                )
+            );
+        }
+
+        await context.close();
+    }
+
+    const context = await createContext(browser, contextOptions);
+    const page = await context.newPage();
+    await onPage?.(context, page);
+    trackInflightRequests(page);
+    await trackRealtimeConnections(page).installed;
+
+    await adapter.login(page, { email, password });
+
+    if (adapter.requiresLogin) {
+        await saveSession(context, sessionFile);
+    }
+
+    return { context, page, sessionFile, reused: false };
+}
@@ -0,0 +1,146 @@
+import chalk from "chalk";
+
+const SETTLE_TIMEOUT = parseInt(process.env.SETTLE_TIMEOUT || "10000", 10);
+const SETTLE_QUIET_MS = parseInt(process.env.SETTLE_QUIET_MS || "500", 10);
+
+// Requests open longer than this are treated as long-polling and ignored
+const LONG_POLL_MS = 5000;
+
+const TRACKED_RESOURCE_TYPES = ["document", "xhr", "fetch"];
+
+const trackers = new WeakMap();
+
+/**
+ * Start counting in-flight document/XHR/fetch requests for a page. Called
+ * when a page is opened so requests started before the first settle count;
+ * `waitForSettle` installs it lazily otherwise.
+ */
+export function trackInflightRequests(page) {
+    if (trackers.has(page)) return trackers.get(page);
+
+    const inflight = new Map();
+    const onStart = (request) => {
+        if (TRACKED_RESOURCE_TYPES.includes(request.resourceType())) {
+            inflight.set(request, Date.now());
+        }
+    };
+    const onEnd = (request) => inflight.delete(request);
+
+    page.on("request", onStart);
+    page.on("requestfinished", onEnd);
+    page.on("requestfailed", onEnd);
+
+    const tracker = {
+        active: () => {
+            const now = Date.now();
+            let count = 0;
+            for (const startedAt of inflight.values()) {
+                if (now - startedAt < LONG_POLL_MS) count++;
+            }
+            return count;
+        },
+    };
+
+    trackers.set(page, tracker);
+    return tracker;
+}
+
+/**
+ * Wait until the page has settled: API requests drained, no DOM mutations
+ * for a quiet window, web fonts loaded and finite animations finished.
+ * Never waits longer than `timeout`; returns whether the page settled.
+ */
+export async function waitForSettle(
+    page,
+    { timeout = SETTLE_TIMEOUT, quietWindow = SETTLE_QUIET_MS } = {}
+) {
+    const startedAt = Date.now();
+    const deadline = startedAt + timeout;
+    const tracker = trackInflightRequests(page);
+
+    await page
+        .waitForLoadState("domcontentloaded", { timeout })
+        .catch(() => {});
+
+    while (Date.now() < deadline) {
+        // 1. Network: wait for in-flight API requests to drain
+        while (tracker.active() > 0 && Date.now() < deadline) {
+            await page.waitForTimeout(100);
+        }
+
+        // 2. Fonts, animations and a quiet DOM window, inside the page
+        const pageQuiet = await page
+            .evaluate(waitForQuietPage, {
+                quietWindow,
+                timeout: Math.max(0, deadline - Date.now()),
+            })
+            .catch(() => false); // Navigated mid-check, go round again
+
+        if (pageQuiet && tracker.active() === 0) {
+            const duration = Date.now() - startedAt;
+            console.log(chalk.gray(`    • Page settled in ${duration}ms`));
+            return { settled: true, duration };
+        }
+
+        await page.waitForTimeout(100);
+    }
+
+    const duration = Date.now() - startedAt;
+    console.log(
+        chalk.yellow(
+            `    ⚠ Page did not settle within ${timeout}ms (${tracker.active()} requests in flight)`
+        )
+    );
+    return { settled: false, duration };
+}
+
+// Runs in the browser
+async function waitForQuietPage({ quietWindow, timeout }) {
+    const deadline = Date.now() + timeout;
+    const untilDeadline = (promise) =>
+        Promise.race([
+            promise,
+            new Promise((resolve) =>
+                setTimeout(resolve, Math.max(0, deadline - Date.now()))
+            ),
+        ]);
+
+    if (document.fonts) {
+        await untilDeadline(document.fonts.ready);
+    }
+
+    // Infinite animations (spinners, pulsing skeletons) never finish
+    const animations = (document.getAnimations?.() || []).filter(
+        (animation) =>
+            animation.playState === "running" &&
+            animation.effect?.getComputedTiming().iterations !== Infinity
+    );
+    await untilDeadline(
+        Promise.all(animations.map((a) => a.finished.catch(() => {})))
+    );
+
+    await new Promise((resolve) => {
+        let quietTimer = setTimeout(done, quietWindow);
+        const hardTimer = setTimeout(done, Math.max(0, deadline - Date.now()));
+        const observer = new MutationObserver(() => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(done, quietWindow);
+        });
+
+        function done() {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(hardTimer);
+            resolve();
+        }
+
+        observer.observe(document, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            characterData: true,
+        });
+    });
+
+    return Date.now() < deadline;
+}
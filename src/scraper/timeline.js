@@ -0,0 +1,132 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+
+// Steps that cause requests; waits and captures keep the previous action
+export const TRIGGER_ACTIONS = [
+    "navigate",
+    "click",
+    "fill",
+    "press",
+    "dismissDialogs",
+];
+
+export const TIMELINE_FILENAME = "timeline.json";
+
+const timelines = new WeakMap();
+
+function getTimeline(page) {
+    if (!timelines.has(page)) {
+        timelines.set(page, { actions: [], current: null });
+    }
+    return timelines.get(page);
+}
+
+/**
+ * Start a user action on a page. Requests sent from now until the next
+ * action begins are attributed to it (see attributeRequest).
+ */
+export function beginAction(page, { type, description, target, step }) {
+    const timeline = getTimeline(page);
+    const action = {
+        id: `action-${timeline.actions.length + 1}`,
+        type,
+        description,
+        target,
+        step,
+        url: page.url(),
+        startedAt: Date.now(),
+        requests: [],
+        captures: [],
+    };
+
+    timeline.actions.push(action);
+    timeline.current = action;
+    return action;
+}
+
+export function currentAction(page) {
+    return timelines.get(page)?.current || null;
+}
+
+/**
+ * Make an earlier action current again, e.g. after exploring a page's menus
+ * so later requests are not attributed to the last menu click
+ */
+export function resumeAction(page, action) {
+    getTimeline(page).current = action;
+}
+
+/**
+ * Add a captured API call to the action that was in progress when its
+ * request was sent
+ */
+export function attributeRequest(action, apiCall) {
+    action?.requests.push({
+        id: apiCall.id,
+        method: apiCall.method,
+        url: apiCall.url,
+        status: apiCall.response?.status,
+        timestamp: apiCall.timestamp,
+    });
+}
+
+/**
+ * Note that a capture point was recorded after the current action
+ */
+export function recordCapture(page, pageName) {
+    currentAction(page)?.captures.push(pageName);
+}
+
+/**
+ * Continue the timeline an interrupted run saved, so a resumed run keeps its
+ * earlier actions and numbers new ones after them
+ */
+export async function restoreTimeline(
+    page,
+    outputDir,
+    { filename = TIMELINE_FILENAME } = {}
+) {
+    const file = path.join(outputDir, filename);
+    if (!(await fs.pathExists(file))) return;
+
+    const timeline = getTimeline(page);
+    timeline.actions = [...(await fs.readJson(file)), ...timeline.actions];
+}
+
+/**
+ * Write every action of the run with the requests it triggered
+ */
+export async function saveTimeline(
+    page,
+    outputDir,
+    { redactor, filename = TIMELINE_FILENAME } = {}
+) {
+    const redactUrl = (url) =>
+        redactor && url
+            ? redactor.redactUrl(url, "timeline.url", filename)
+            : url;
+    const actions = (timelines.get(page)?.actions || []).map((action) => ({
+        ...action,
+        url: redactUrl(action.url),
+        target: action.target?.url
+            ? { ...action.target, url: redactUrl(action.target.url) }
+            : action.target,
+    }));
+    const attributed = actions.reduce(
+        (sum, action) => sum + action.requests.length,
+        0
+    );
+
+    await fs.ensureDir(outputDir);
+    await fs.writeJson(path.join(outputDir, filename), actions, {
+        spaces: 2,
+    });
+    console.log(
+        chalk.green(
+            `  ✓ Saved timeline of ${actions.length} actions (${attributed} API calls) to ${filename}`
+        )
+    );
+
+    return actions;
+}
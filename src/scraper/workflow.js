@@ -1,546 +1,323 @@
+import fs from "fs-extra";
+import path from "path";
 import chalk from "chalk";
+import { dismissDialogs } from "./browser.js";
+import { resolveLocator } from "./locator.js";
+import { waitForSettle } from "./settle.js";
+import { TRIGGER_ACTIONS, beginAction } from "./timeline.js";
+
+const STEP_ACTIONS = [
+    "section",
+    "navigate",
+    "click",
+    "fill",
+    "press",
+    "waitFor",
+    "wait",
+    "settle",
+    "dismissDialogs",
+    "capture",
+];
 
 /**
- * Helper function to dismiss any dialogs/modals
+ * Load and validate a workflow definition (JSON) from disk
  */
-async function dismissDialogs(page) {
-    try {
-        const closeSelectors = [
-            'button[aria-label="Close"]',
-            'button[aria-label="Dismiss"]',
-            '[role="dialog"] button:has-text("×")',
-            'button:has-text("Maybe later")',
-            'button:has-text("Skip")',
-        ];
-
-        for (const selector of closeSelectors) {
-            try {
-                const button = await page.$(selector);
-                if (button && (await button.isVisible())) {
-                    await button.click();
-                    await page.waitForTimeout(1000);
-                }
-            } catch (e) {
-                // Continue
-            }
-        }
-
-        await page.keyboard.press("Escape");
-        await page.waitForTimeout(500);
-    } catch (error) {
-        // Ignore
+export async function loadWorkflow(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+        throw new Error(`Workflow file not found: ${filePath}`);
     }
-}
-
-/**
- * Navigate to home page and scrape it
- */
-export async function scrapeHomePage(page, outputDir) {
-    console.log(chalk.cyan("\n📄 Scraping Home page..."));
-
-    // Already on home page after login, just wait for it to load
-    await page.waitForTimeout(3000);
-    await dismissDialogs(page);
-
-    const url = page.url();
-    console.log(chalk.gray(`  → Current URL: ${url}`));
-
-    return {
-        name: "home",
-        url: url,
-        timestamp: new Date().toISOString(),
-    };
-}
-
-/**
- * Click on Projects in sidebar and open the create project flow
- */
-export async function navigateToCreateProject(page) {
-    console.log(chalk.cyan("\n📄 Navigating to Create Project..."));
-
-    try {
-        // Click on Projects in sidebar to open menu
-        console.log(chalk.gray("  → Clicking Projects in sidebar..."));
-
-        // Try multiple selectors for Projects
-        const projectsSelectors = [
-            'text="Projects"',
-            '[aria-label*="Projects"]',
-            'a:has-text("Projects")',
-            'button:has-text("Projects")',
-        ];
-
-        let clicked = false;
-        for (const selector of projectsSelectors) {
-            try {
-                await page.click(selector, { timeout: 3000 });
-                clicked = true;
-                console.log(
-                    chalk.gray(`    ✓ Clicked Projects using: ${selector}`)
-                );
-                break;
-            } catch (e) {
-                // Try next selector
-            }
-        }
 
-        if (!clicked) {
-            throw new Error("Could not find Projects button");
-        }
+    const workflow = await fs.readJson(resolvedPath);
 
-        await page.waitForTimeout(2000);
-
-        // Look for "New project" or "Create project" button
-        console.log(chalk.gray("  → Looking for Create/New Project button..."));
-
-        const createProjectSelectors = [
-            'button:has-text("New project")',
-            'div[role="button"]:has-text("New project")',
-            '[role="button"]:has-text("New project")',
-            'text="New project"',
-            '[aria-label*="New project"]',
-            'button:has-text("Create project")',
-            'div[role="button"]:has-text("Create project")',
-            // Look for + button that might create project
-            "button:has(.PlusIcon)",
-            '[aria-label*="Create"]',
-        ];
-
-        clicked = false;
-        for (const selector of createProjectSelectors) {
-            try {
-                const element = await page.locator(selector).first();
-                if (await element.isVisible()) {
-                    await element.click();
-                    console.log(
-                        chalk.gray(
-                            `    ✓ Clicked create button using: ${selector}`
-                        )
-                    );
-                    clicked = true;
-                    break;
-                }
-            } catch (e) {
-                // Try next selector
-                continue;
-            }
-        }
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+        throw new Error(`Workflow ${filePath} has no steps`);
+    }
 
-        if (!clicked) {
-            // Try JavaScript approach as last resort
-            console.log(
-                chalk.yellow("  → Trying JavaScript click for New Project...")
+    workflow.steps.forEach((step, index) => {
+        if (!STEP_ACTIONS.includes(step.action)) {
+            throw new Error(
+                `Workflow ${filePath}: step ${index + 1} has unknown action "${
+                    step.action
+                }"`
             );
-            clicked = await page.evaluate(() => {
-                const elements = Array.from(
-                    document.querySelectorAll(
-                        'button, div[role="button"], [role="button"]'
-                    )
-                );
-                const newProjectButton = elements.find(
-                    (el) =>
-                        el.textContent?.toLowerCase().includes("new project") ||
-                        el.textContent?.toLowerCase().includes("create project")
-                );
-                if (newProjectButton) {
-                    newProjectButton.click();
-                    return true;
-                }
-                return false;
-            });
-
-            if (clicked) {
-                console.log(chalk.gray("    ✓ Clicked using JavaScript"));
-            }
         }
-
-        if (!clicked) {
-            // Save debug screenshot
-            await page.screenshot({
-                path: "./debug-create-project-button.png",
-                fullPage: true,
-            });
-            console.log(
-                chalk.yellow(
-                    "  ℹ Screenshot saved to: debug-create-project-button.png"
-                )
-            );
+        if (step.action === "capture" && !step.name) {
             throw new Error(
-                "Could not find or click New/Create Project button"
+                `Workflow ${filePath}: capture step ${index + 1} needs a name`
             );
         }
-
-        await page.waitForTimeout(3000);
-        console.log(chalk.gray(`  → Current URL: ${page.url()}`));
-
-        return page.url();
-    } catch (error) {
-        console.error(
-            chalk.red("  ✗ Error navigating to create project:"),
-            error.message
-        );
-        throw error;
-    }
-}
-
-/**
- * Scrape the create project page
- */
-export async function scrapeCreateProjectPage(page, outputDir) {
-    console.log(chalk.cyan("\n📄 Scraping Create Project page..."));
-
-    // await dismissDialogs(page);
-    const url = page.url();
-    console.log(chalk.gray(`  → Current URL: ${url}`));
+    });
 
     return {
-        name: "create-project",
-        url: url,
-        timestamp: new Date().toISOString(),
+        name: workflow.name || path.basename(filePath, ".json"),
+        variables: workflow.variables || {},
+        steps: workflow.steps,
     };
 }
 
 /**
- * Click on "Blank project" option
+ * Execute a workflow step by step. Capture steps are handed to `onCapture`
+ * so the caller decides what gets recorded for each named capture point.
+ * The target adapter resolves named routes and dismisses interstitials;
+ * the locator cache remembers which strategy found each click/fill target.
+ * Each navigate/click/fill/press/dismissDialogs step starts a timeline
+ * action that the requests it triggers are attributed to.
+ *
+ * With a `checkpoint` (see createCheckpoint) every step is recorded as it
+ * completes; a checkpoint loaded from an interrupted run resumes it from
+ * its last anchor, skipping captures already taken and `sideEffect` steps.
  */
-export async function selectBlankProject(page) {
-    console.log(chalk.cyan("\n📄 Selecting Blank Project..."));
-
-    try {
-        // Click on "Blank project" button
-        console.log(chalk.gray("  → Looking for Blank project option..."));
+export async function runWorkflow(
+    page,
+    workflow,
+    { onCapture, adapter, locatorCache, variables = {}, checkpoint } = {}
+) {
+    const vars = { ...workflow.variables, ...variables };
 
-        // Wait for the modal/dialog to appear first
-        await page.waitForTimeout(3000);
+    console.log(chalk.cyan(`\n📋 Running workflow: ${workflow.name}`));
 
-        // Take a screenshot to debug
-        await page.screenshot({
-            path: "./debug-before-blank-click.png",
-            fullPage: true,
-        });
+    const resume = checkpoint?.resumePlan();
+    if (resume) {
         console.log(
-            chalk.gray(
-                "  → Debug screenshot saved: debug-before-blank-click.png"
+            chalk.cyan(
+                `  → Resuming at step ${resume.fromStep + 1} of ${
+                    workflow.steps.length
+                }`
             )
         );
+        if (resume.url && resume.url !== page.url()) {
+            await page.goto(resume.url, { waitUntil: "load", timeout: 90000 });
+            await waitForSettle(page);
+        }
+    }
 
-        // DIAGNOSTIC: Log all visible button-like elements
-        const availableButtons = await page.evaluate(() => {
-            const buttons = Array.from(
-                document.querySelectorAll(
-                    'button, div[role="button"], [role="button"]'
-                )
-            );
-            return buttons
-                .filter((el) => el.offsetParent !== null) // visible elements only
-                .map((el) => ({
-                    text: el.textContent?.trim().substring(0, 50),
-                    tag: el.tagName,
-                    role: el.getAttribute("role"),
-                    classes: el.className,
-                }))
-                .slice(0, 20); // First 20 buttons
-        });
-        console.log(chalk.gray("  → Available buttons on page:"));
-        availableButtons.forEach((btn) => {
-            console.log(
-                chalk.gray(`     - ${btn.tag} [${btn.role}]: "${btn.text}"`)
-            );
-        });
-
-        // Try a simple text-based approach first
-        let clicked = false;
+    for (const [index, rawStep] of workflow.steps.entries()) {
+        const step = interpolateStep(rawStep, vars);
+        const label = step.description || describeStep(step);
 
-        // Strategy 1: Wait for any element containing "Blank project" to be visible
-        try {
+        if (resume && index < resume.fromStep) continue;
+        if (resume?.skip.includes(index)) {
             console.log(
                 chalk.gray(
-                    "  → Waiting for Blank project button to be visible..."
+                    `  → [${index + 1}] Skipped, already done: ${
+                        step.action === "capture" ? step.name : label
+                    }`
                 )
             );
-            await page.waitForSelector(':text("Blank project")', {
-                timeout: 5000,
-                state: "visible",
-            });
-            await page.click(':text("Blank project")');
-            clicked = true;
-            console.log(
-                chalk.green("  ✓ Clicked Blank project using text selector")
-            );
-        } catch (e) {
-            console.log(
-                chalk.yellow("  → Text selector failed, trying alternatives...")
-            );
+            // Counted as done, so a later resume does not come back to it
+            await checkpoint.stepCompleted(index, step, page);
+            continue;
         }
 
-        // Strategy 2: Try specific class-based selectors
-        if (!clicked) {
-            const blankProjectSelectors = [
-                'div[role="button"]:has-text("Blank project")',
-                'button:has-text("Blank project")',
-                '.ButtonPrimaryPresentation:has-text("Blank")',
-                '[role="button"].ButtonThemeablePresentation:has-text("Blank")',
-            ];
-
-            for (const selector of blankProjectSelectors) {
-                try {
-                    const element = page.locator(selector).first();
-                    if (await element.isVisible({ timeout: 2000 })) {
-                        await element.click();
-                        clicked = true;
-                        console.log(
-                            chalk.green(`  ✓ Clicked using: ${selector}`)
-                        );
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+        if (step.action !== "section" && step.action !== "capture") {
+            console.log(chalk.gray(`  → [${index + 1}] ${label}`));
         }
 
-        // Strategy 3: JavaScript click
-        if (!clicked) {
-            console.log(chalk.yellow("  → Trying JavaScript click..."));
-            clicked = await page.evaluate(() => {
-                // Find all clickable elements
-                const allElements = Array.from(document.querySelectorAll("*"));
-                const blankButton = allElements.find((el) => {
-                    const text = el.textContent || "";
-                    const isVisible = el.offsetParent !== null;
-                    const isClickable =
-                        el.tagName === "BUTTON" ||
-                        (el.tagName === "DIV" &&
-                            el.getAttribute("role") === "button") ||
-                        el.onclick !== null;
-
-                    return (
-                        isVisible &&
-                        isClickable &&
-                        text.includes("Blank project")
-                    );
-                });
-
-                if (blankButton) {
-                    blankButton.click();
-                    return true;
-                }
-                return false;
-            });
-
-            if (clicked) {
-                console.log(chalk.green("  ✓ Clicked using JavaScript"));
-            }
-        }
+        const action = TRIGGER_ACTIONS.includes(step.action)
+            ? beginAction(page, {
+                  type: step.action,
+                  description: label,
+                  target: describeActionTarget(step),
+                  step: index + 1,
+              })
+            : null;
 
-        if (!clicked) {
-            await page.screenshot({
-                path: "./debug-blank-project-not-found.png",
-                fullPage: true,
+        try {
+            await checkpoint?.stepStarted(index, step, page);
+            await runStep(page, step, {
+                onCapture,
+                adapter,
+                locatorCache,
+                locatorKey: `${workflow.name}/${label}`,
             });
-            throw new Error("Could not find or click Blank project button");
-        }
-
-        // Wait for form to load
-        console.log(chalk.gray("  → Waiting for project creation form..."));
-        await page.waitForTimeout(3000);
+            await checkpoint?.stepCompleted(index, step, page);
+        } catch (error) {
+            if (action) action.error = error.message;
+            // For the failure bundle (see createRunRecorder)
+            error.step = {
+                index: index + 1,
+                action: step.action,
+                label,
+                target: describeActionTarget(step),
+            };
+
+            if (step.optional) {
+                console.log(
+                    chalk.yellow(
+                        `  ⚠ Optional step skipped (${label}): ${error.message}`
+                    )
+                );
+                await checkpoint?.stepCompleted(index, step, page);
+                continue;
+            }
 
-        // Verify we're on the form
-        try {
-            await page.waitForSelector(
-                'input[placeholder*="Project name"], input[placeholder*="Name"], input[name*="name"]',
-                { timeout: 5000 }
+            console.error(
+                chalk.red(`  ✗ Step ${index + 1} failed (${label}):`),
+                error.message
             );
-            console.log(chalk.green("  ✓ Project creation form loaded"));
-        } catch (e) {
-            console.log(
-                chalk.yellow(
-                    "  ⚠ Form input not detected, proceeding anyway..."
-                )
-            );
-        }
 
-        await page.waitForTimeout(1000);
-        console.log(chalk.gray(`  → Current URL: ${page.url()}`));
-
-        return page.url();
-    } catch (error) {
-        console.error(
-            chalk.red("  ✗ Error selecting blank project:"),
-            error.message
-        );
-
-        // Take screenshot for debugging
-        try {
-            await page.screenshot({
-                path: "./debug-blank-project.png",
-                fullPage: true,
-            });
-            console.log(
-                chalk.yellow("  ℹ Screenshot saved to: debug-blank-project.png")
-            );
-        } catch (e) {
-            // Ignore
+            throw error;
         }
-
-        throw error;
     }
 }
 
-/**
- * Fill in project name and continue
- */
-export async function createNewProject(page, projectName = "New Project") {
-    console.log(chalk.cyan("\n📄 Creating New Project..."));
-
-    try {
-        // Find project name input and fill it
-        console.log(chalk.gray(`  → Entering project name: ${projectName}...`));
-
-        const nameInputSelectors = [
-            'input[placeholder*="Project name"]',
-            'input[placeholder*="Name"]',
-            'input[name*="name"]',
-            'input[type="text"]',
-        ];
-
-        for (const selector of nameInputSelectors) {
-            try {
-                const input = await page.$(selector);
-                if (input && (await input.isVisible())) {
-                    await input.fill(projectName);
-                    break;
-                }
-            } catch (e) {
-                // Try next selector
+async function runStep(
+    page,
+    step,
+    { onCapture, adapter, locatorCache, locatorKey }
+) {
+    switch (step.action) {
+        case "section":
+            console.log(chalk.blue.bold(`\n=== ${step.title} ===`));
+            break;
+
+        case "navigate": {
+            const targetUrl = step.route
+                ? adapter?.resolveRoute(step.route, page.url())
+                : new URL(step.url, page.url()).toString();
+            if (!targetUrl) {
+                throw new Error(`Unknown route: ${step.route}`);
             }
+            await page.goto(targetUrl, {
+                waitUntil: "load",
+                timeout: step.timeout || 90000,
+            });
+            break;
         }
 
-        await page.waitForTimeout(1000);
-
-        // Click Continue button
-        console.log(chalk.gray("  → Clicking Continue..."));
+        case "click": {
+            const locator = await resolveLocator(page, getTarget(step), {
+                key: locatorKey,
+                cache: locatorCache,
+                timeout: step.timeout,
+            });
+            await locator.click();
+            break;
+        }
 
-        const continueSelectors = [
-            'button:has-text("Continue")',
-            'button[type="submit"]',
-            'button:has-text("Next")',
-        ];
+        case "fill": {
+            const locator = await resolveLocator(page, getTarget(step), {
+                key: locatorKey,
+                cache: locatorCache,
+                timeout: step.timeout,
+            });
+            await locator.fill(step.value);
+            break;
+        }
 
-        for (const selector of continueSelectors) {
-            try {
-                await page.click(selector, { timeout: 3000 });
-                break;
-            } catch (e) {
-                // Try next selector
+        case "press":
+            if (step.selector) {
+                await page.press(step.selector, step.key);
+            } else {
+                await page.keyboard.press(step.key);
             }
-        }
+            break;
 
-        await page.waitForTimeout(3000);
+        case "waitFor":
+            await page.waitForSelector(step.selector, {
+                state: step.state || "visible",
+                timeout: step.timeout || 10000,
+            });
+            break;
 
-        // On the views selection page, click "Create Project" with default options
-        console.log(
-            chalk.gray("  → Clicking Create Project with default views...")
-        );
+        case "wait":
+            await page.waitForTimeout(step.ms);
+            break;
 
-        const createSelectors = [
-            'button:has-text("Create project")',
-            'button:has-text("Create Project")',
-            'button[type="submit"]',
-        ];
-
-        for (const selector of createSelectors) {
-            try {
-                await page.click(selector, { timeout: 3000 });
-                break;
-            } catch (e) {
-                // Try next selector
-            }
-        }
+        case "settle":
+            await waitForSettle(page, {
+                timeout: step.timeout,
+                quietWindow: step.quietWindow,
+            });
+            break;
 
-        await page.waitForTimeout(5000);
-        await dismissDialogs(page);
+        case "dismissDialogs":
+            if (adapter) {
+                await adapter.dismissInterstitials(page);
+            } else {
+                await dismissDialogs(page);
+            }
+            break;
 
-        console.log(chalk.gray(`  → Project created! URL: ${page.url()}`));
+        case "capture":
+            if (onCapture) {
+                await onCapture(step.name, step);
+            }
+            break;
+    }
 
-        return page.url();
-    } catch (error) {
-        console.error(chalk.red("  ✗ Error creating project:"), error.message);
-        throw error;
+    if (step.action === "navigate" || step.action === "click") {
+        console.log(chalk.gray(`    Current URL: ${page.url()}`));
     }
 }
 
 /**
- * Scrape the project page
+ * Click/fill steps describe their element with `target`; the older
+ * `selectors` + `text` form is treated as CSS and text strategies.
  */
-export async function scrapeProjectPage(page, outputDir) {
-    console.log(chalk.cyan("\n📄 Scraping Project page..."));
-
-    await dismissDialogs(page);
-    const url = page.url();
-    console.log(chalk.gray(`  → Current URL: ${url}`));
+function getTarget(step) {
+    return step.target || { css: step.selectors, text: step.text };
+}
 
-    return {
-        name: "project",
-        url: url,
-        timestamp: new Date().toISOString(),
-    };
+// Fill values are left out: they may be credentials
+function describeActionTarget(step) {
+    switch (step.action) {
+        case "navigate":
+            return step.route ? { route: step.route } : { url: step.url };
+        case "click":
+        case "fill":
+            return getTarget(step);
+        case "press":
+            return { key: step.key, selector: step.selector };
+        default:
+            return undefined;
+    }
 }
 
-/**
- * Navigate to My Tasks from sidebar
- */
-export async function navigateToMyTasks(page) {
-    console.log(chalk.cyan("\n📄 Navigating to My Tasks..."));
-
-    try {
-        // Click on "My tasks" in sidebar
-        console.log(chalk.gray("  → Clicking My tasks in sidebar..."));
-
-        const myTasksSelectors = [
-            'text="My tasks"',
-            'a:has-text("My tasks")',
-            '[aria-label*="My tasks"]',
-            'button:has-text("My tasks")',
-        ];
-
-        for (const selector of myTasksSelectors) {
-            try {
-                await page.click(selector, { timeout: 3000 });
-                break;
-            } catch (e) {
-                // Try next selector
-            }
+function interpolateStep(step, vars) {
+    const interpolate = (value) => {
+        if (typeof value === "string") {
+            return value.replace(/\{\{(\w+)\}\}/g, (_, key) => vars[key] ?? "");
         }
+        if (Array.isArray(value)) {
+            return value.map(interpolate);
+        }
+        if (value && typeof value === "object") {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, v]) => [key, interpolate(v)])
+            );
+        }
+        return value;
+    };
 
-        await page.waitForTimeout(5000);
-        await dismissDialogs(page);
-
-        console.log(chalk.gray(`  → Current URL: ${page.url()}`));
+    return interpolate(step);
+}
 
-        return page.url();
-    } catch (error) {
-        console.error(
-            chalk.red("  ✗ Error navigating to My Tasks:"),
-            error.message
-        );
-        throw error;
+function describeStep(step) {
+    switch (step.action) {
+        case "navigate":
+            return `Navigate to ${step.route || step.url}`;
+        case "click":
+            return `Click ${describeTarget(getTarget(step))}`;
+        case "fill":
+            return `Fill ${describeTarget(getTarget(step))}`;
+        case "press":
+            return `Press ${step.key}`;
+        case "waitFor":
+            return `Wait for ${step.selector}`;
+        case "wait":
+            return `Wait ${step.ms}ms`;
+        case "settle":
+            return "Wait for page to settle";
+        default:
+            return step.action;
     }
 }
 
-/**
- * Scrape My Tasks page
- */
-export async function scrapeMyTasksPage(page, outputDir) {
-    console.log(chalk.cyan("\n📄 Scraping My Tasks page..."));
-
-    await dismissDialogs(page);
-    const url = page.url();
-    console.log(chalk.gray(`  → Current URL: ${url}`));
-
-    return {
-        name: "my-tasks",
-        url: url,
-        timestamp: new Date().toISOString(),
-    };
+function describeTarget(target) {
+    const [first] = [target.name, target.label, target.placeholder]
+        .concat(target.text ?? [], target.css ?? [])
+        .filter(Boolean);
+    return first || "element";
 }
@@ -1,10 +1,35 @@
 import { chromium } from "playwright";
 import { test, expect } from "@playwright/test";
+import { openAuthenticatedContext } from "../scraper/session.js";
+import { freezeClock, stableScreenshotOptions } from "../scraper/screenshot.js";
 import fs from "fs-extra";
 import path from "path";
 import chalk from "chalk";
 
-export async function runVisualTests({ originalUrl, generatedUrl, pages }) {
+/**
+ * Compare the original and generated app page by page. `pages` are scraped
+ * page names; without them every page the route map gives a URL in the
+ * generated app is compared (open-menu states are left out).
+ */
+export async function runVisualTests({
+    adapter,
+    email,
+    password,
+    generatedUrl,
+    pages = null,
+    routeMap = null,
+}) {
+    const pageNames =
+        pages ||
+        Object.entries(routeMap?.pages || {})
+            .filter(([, entry]) => !entry.stateOf)
+            .map(([name]) => name);
+    if (pageNames.length === 0) {
+        throw new Error(
+            "No pages to test: the run has no route map (routes.json). Name the pages with PAGES_TO_CLONE."
+        );
+    }
+
     console.log(chalk.cyan("Setting up visual comparison..."));
 
     const results = {
@@ -15,19 +40,29 @@ export async function runVisualTests({ originalUrl, generatedUrl, pages }) {
     };
 
     const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 },
-    });
 
     try {
-        for (const pageName of pages) {
+        // The original site needs the same logged-in session as the scraper
+        const { context, page: landingPage } = await openAuthenticatedContext(
+            browser,
+            {
+                adapter,
+                email,
+                password,
+                contextOptions: { viewport: { width: 1920, height: 1080 } },
+            }
+        );
+        await landingPage.close();
+
+        for (const pageName of pageNames) {
             console.log(chalk.yellow(`\n  Testing ${pageName} page...`));
 
             const pageTest = await comparePages(
                 context,
-                originalUrl,
+                adapter,
                 generatedUrl,
-                pageName
+                pageName,
+                routeMap
             );
 
             results.tests.push(pageTest);
@@ -62,15 +97,23 @@ export async function runVisualTests({ originalUrl, generatedUrl, pages }) {
     }
 }
 
-async function comparePages(context, originalUrl, generatedUrl, pageName) {
+async function comparePages(
+    context,
+    adapter,
+    generatedUrl,
+    pageName,
+    routeMap
+) {
     const originalPage = await context.newPage();
     const generatedPage = await context.newPage();
 
-    const pageUrls = {
-        home: "/home",
-        projects: "/projects",
-        tasks: "/tasks",
-    };
+    // Both apps are opened at the path the page was captured at, which the
+    // generated app routes; pages the map does not know use their name
+    const entry = routeMap?.pages[pageName];
+    const originalUrl = entry
+        ? `${routeMap.origin}${entry.path}`
+        : adapter.resolveRoute(pageName);
+    const generatedPath = entry?.path || `/${pageName}`;
 
     const result = {
         page: pageName,
@@ -81,13 +124,17 @@ async function comparePages(context, originalUrl, generatedUrl, pageName) {
     };
 
     try {
+        // Same fixed clock on both sides, so dates render identically
+        await freezeClock(originalPage);
+        await freezeClock(generatedPage);
+
         // Navigate to both pages
-        await originalPage.goto(`${originalUrl}${pageUrls[pageName]}`, {
+        await originalPage.goto(originalUrl, {
             waitUntil: "networkidle",
             timeout: 30000,
         });
 
-        await generatedPage.goto(`${generatedUrl}${pageUrls[pageName]}`, {
+        await generatedPage.goto(`${generatedUrl}${generatedPath}`, {
             waitUntil: "networkidle",
             timeout: 30000,
         });
@@ -108,10 +155,12 @@ async function comparePages(context, originalUrl, generatedUrl, pageName) {
         await originalPage.screenshot({
             path: originalScreenshot,
             fullPage: true,
+            ...stableScreenshotOptions(originalPage),
         });
         await generatedPage.screenshot({
             path: generatedScreenshot,
             fullPage: true,
+            ...stableScreenshotOptions(generatedPage),
         });
 
         console.log(chalk.gray(`    • Screenshots captured`));
@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { svgToJsx } from "../src/generators/assets.js";
+
+describe("svgToJsx", () => {
+    it("spreads caller props after the SVG's own attributes", () => {
+        assert.equal(
+            svgToJsx(
+                '<svg class="icon" width="16" height="16" viewBox="0 0 16 16"><path d="M0 0h16"/></svg>'
+            ),
+            '<svg className="icon" width="16" height="16" viewBox="0 0 16 16" {...props}><path d="M0 0h16" /></svg>'
+        );
+    });
+
+    it("maps namespaced attributes and drops inline styles and scripts", () => {
+        assert.equal(
+            svgToJsx(
+                '<?xml version="1.0"?><svg xmlns:xlink="http://www.w3.org/1999/xlink" style="fill:red"><script>alert(1)</script><use xlink:href="#a" stroke-width="2"/></svg>'
+            ),
+            '<svg xmlnsXlink="http://www.w3.org/1999/xlink" {...props}><use xlinkHref="#a" strokeWidth="2" /></svg>'
+        );
+    });
+
+    it("keeps style content and braces in text as template literals", () => {
+        assert.equal(
+            svgToJsx("<svg><style>.a{fill:`x`}</style><text>{n}</text></svg>"),
+            "<svg {...props}><style>{`.a{fill:\\`x\\`}`}</style><text>{`{n}`}</text></svg>"
+        );
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { createCheckpoint, loadCheckpoint } from "../src/scraper/checkpoint.js";
+
+const workflow = {
+    name: "create-project",
+    steps: [
+        { action: "section", title: "Home" },
+        { action: "capture", name: "home" },
+        { action: "section", title: "Create" },
+        { action: "click", description: "New project" },
+        { action: "click", description: "Create project", sideEffect: true },
+        { action: "capture", name: "project-view" },
+        { action: "click", description: "My tasks" },
+        { action: "capture", name: "my-tasks" },
+    ],
+};
+
+const page = (url) => ({ url: () => url });
+
+// Run steps [0, count) of the workflow, optionally starting one more that
+// never completes
+async function runSteps(checkpoint, count, { interrupt = null } = {}) {
+    for (let index = 0; index < count; index++) {
+        const step = workflow.steps[index];
+        const current = page(`https://app.test/step-${index}`);
+        await checkpoint.stepStarted(index, step, current);
+        await checkpoint.stepCompleted(index, step, current);
+    }
+    if (interrupt !== null) {
+        await checkpoint.stepStarted(
+            interrupt,
+            workflow.steps[interrupt],
+            page(`https://app.test/step-${interrupt}`)
+        );
+    }
+}
+
+describe("checkpoint", () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "clooney-checkpoint-"));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it("has no resume plan for a fresh run", () => {
+        assert.equal(createCheckpoint(dir, workflow).resumePlan(), null);
+    });
+
+    it("resumes from the last anchor, skipping captures and side effects", async () => {
+        await runSteps(createCheckpoint(dir, workflow), 7);
+
+        const previous = await loadCheckpoint(dir, workflow);
+        assert.deepEqual(
+            createCheckpoint(dir, workflow, previous).resumePlan(),
+            {
+                fromStep: 5,
+                url: "https://app.test/step-4",
+                skip: [5],
+            }
+        );
+    });
+
+    it("goes back to the section start before the failed step", async () => {
+        await runSteps(createCheckpoint(dir, workflow), 4);
+
+        const previous = await loadCheckpoint(dir, workflow);
+        assert.deepEqual(
+            createCheckpoint(dir, workflow, previous).resumePlan(),
+            {
+                fromStep: 2,
+                url: "https://app.test/step-2",
+                skip: [],
+            }
+        );
+    });
+
+    it("refuses to resume past an interrupted side effect step", async () => {
+        await runSteps(createCheckpoint(dir, workflow), 4, { interrupt: 4 });
+
+        const previous = await loadCheckpoint(dir, workflow);
+        assert.throws(
+            () => createCheckpoint(dir, workflow, previous).resumePlan(),
+            /Side effect step 5 \(Create project\) was interrupted.*--skip-interrupted/
+        );
+    });
+
+    it("skips an interrupted side effect step when told to", async () => {
+        await runSteps(createCheckpoint(dir, workflow), 4, { interrupt: 4 });
+
+        const previous = await loadCheckpoint(dir, workflow);
+        assert.deepEqual(
+            createCheckpoint(dir, workflow, previous, {
+                skipInterrupted: true,
+            }).resumePlan(),
+            { fromStep: 2, url: "https://app.test/step-2", skip: [4] }
+        );
+    });
+
+    it("keeps only the pages whose capture completed", async () => {
+        const checkpoint = createCheckpoint(dir, workflow);
+        await runSteps(checkpoint, 2);
+        await checkpoint.savePages({
+            pages: [{ name: "home" }, { name: "project-view" }],
+        });
+
+        const { scrapedData } = await loadCheckpoint(dir, workflow);
+        assert.deepEqual(scrapedData.pages, [{ name: "home" }]);
+    });
+
+    it("rejects a checkpoint from another workflow", async () => {
+        await runSteps(createCheckpoint(dir, workflow), 1);
+
+        await assert.rejects(
+            loadCheckpoint(dir, { name: "other", steps: workflow.steps }),
+            /is for workflow "create-project"/
+        );
+    });
+
+    it("is removed once the run completes", async () => {
+        const checkpoint = createCheckpoint(dir, workflow);
+        await runSteps(checkpoint, workflow.steps.length);
+        await checkpoint.clear();
+
+        assert.equal(await loadCheckpoint(dir, workflow), null);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    compressApiCalls,
+    compressDOM,
+    endpointPattern,
+} from "../src/llm/compress.js";
+
+const row = (text) => ({
+    tag: "li",
+    classes: ["task-row"],
+    styles: { display: "list-item", color: "rgb(0, 0, 0)", padding: "8px" },
+    textContent: text,
+});
+
+const list = (count) => ({
+    structure: {
+        tag: "ul",
+        styles: { display: "block", color: "rgb(0, 0, 0)", margin: "0px" },
+        attributes: { role: "list", "data-track": "x" },
+        children: Array.from({ length: count }, (_, i) => row(`Task ${i}`)),
+    },
+});
+
+describe("compressDOM", () => {
+    it("drops default and inherited styles and unused attributes", () => {
+        const { dom, report } = compressDOM(list(1));
+
+        assert.deepEqual(dom.tree.style, { color: "rgb(0, 0, 0)" });
+        assert.deepEqual(dom.tree.attrs, { role: "list" });
+        assert.deepEqual(dom.tree.children[0].style, { padding: "8px" });
+        assert.equal(report.droppedAttributes, 1);
+    });
+
+    it("collapses identical siblings into a template with sample texts", () => {
+        const { dom, report } = compressDOM(list(10));
+
+        assert.equal(dom.tree.children.length, 1);
+        assert.equal(dom.tree.children[0].repeat, 10);
+        assert.deepEqual(dom.tree.children[0].texts, [
+            "Task 0",
+            "Task 1",
+            "Task 2",
+            "Task 3",
+            "Task 4",
+        ]);
+        assert.equal(report.collapsedNodes, 9);
+    });
+
+    it("prunes the deepest levels to fit the token budget", () => {
+        const deep = {
+            tag: "div",
+            children: [
+                {
+                    tag: "section",
+                    children: [
+                        { tag: "p", textContent: "x".repeat(400) },
+                        { tag: "span", textContent: "y".repeat(400) },
+                    ],
+                },
+            ],
+        };
+        const { dom, report } = compressDOM(deep, { tokenBudget: 60 });
+
+        assert.ok(report.fits);
+        assert.equal(dom.tree.children[0].children, undefined);
+        assert.ok(report.omittedSubtrees.length > 0);
+    });
+
+    it("returns no DOM for an empty capture", () => {
+        assert.equal(compressDOM(null).dom, null);
+    });
+});
+
+describe("compressApiCalls", () => {
+    it("merges calls per endpoint and prefers a successful example", () => {
+        const { calls, report } = compressApiCalls([
+            {
+                method: "GET",
+                url: "https://app.test/api/projects/1",
+                response: { status: 500, body: { error: "x" } },
+            },
+            {
+                method: "GET",
+                url: "https://app.test/api/projects/2",
+                response: { status: 200, body: { id: 2 } },
+            },
+        ]);
+
+        assert.equal(report.endpoints, 1);
+        assert.deepEqual(calls[0], {
+            endpoint: "GET /api/projects/:id",
+            calls: 2,
+            requestBody: null,
+            status: 200,
+            responseBody: { id: 2 },
+        });
+    });
+});
+
+describe("endpointPattern", () => {
+    it("replaces numeric, hex and long opaque IDs", () => {
+        assert.equal(
+            endpointPattern(
+                "https://app.test/api/1.0/workspaces/1207/tasks/3f2504e04f8911d3?opt=1"
+            ),
+            "/api/1.0/workspaces/:id/tasks/:id"
+        );
+        assert.equal(endpointPattern("/api/users/me"), "/api/users/me");
+    });
+});
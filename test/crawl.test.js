@@ -0,0 +1,22 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inferRoutePattern, isIdSegment } from "../src/scraper/crawl.js";
+
+const origin = "https://app.asana.com";
+
+describe("inferRoutePattern", () => {
+    it("replaces ID segments with <id>", () => {
+        assert.equal(
+            inferRoutePattern(`${origin}/1/1207/project/1208?x=1`),
+            `${origin}/1/<id>/project/<id>`
+        );
+    });
+
+    it("recognises numbers, UUIDs and opaque tokens as IDs", () => {
+        assert.ok(isIdSegment("123"));
+        assert.ok(isIdSegment("3f2504e0-4f89-11d3-9a0c-0305e82c3301"));
+        assert.ok(isIdSegment("a1b2c3d4e5f6g7h8"));
+        assert.ok(!isIdSegment("1"));
+        assert.ok(!isIdSegment("project"));
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveLocator } from "../src/scraper/locator.js";
+
+// A page where no locator matches, with the given elements on screen
+const emptyPage = (elements) => {
+    const none = { all: async () => [] };
+    return {
+        getByTestId: () => none,
+        getByRole: () => none,
+        getByLabel: () => none,
+        getByPlaceholder: () => none,
+        getByText: () => none,
+        locator: () => none,
+        waitForTimeout: async () => {},
+        evaluate: async () => elements,
+    };
+};
+
+describe("resolveLocator", () => {
+    it("lists the closest candidates when array targets match nothing", async () => {
+        const page = emptyPage([
+            { tag: "input", role: null, text: "Project title" },
+            { tag: "button", role: "button", text: "Cancel" },
+        ]);
+
+        await assert.rejects(
+            resolveLocator(
+                page,
+                {
+                    label: ["Project name", "Name"],
+                    placeholder: ["Project name", "Name"],
+                    css: ["input[name='name']"],
+                },
+                { timeout: 0 }
+            ),
+            (error) => {
+                assert.match(error.message, /^No match for "Project name"/);
+                assert.match(error.message, /Closest candidates:/);
+                assert.deepEqual(
+                    error.candidates.map((c) => c.text),
+                    ["Project title"]
+                );
+                assert.equal(error.attempts.length, 5);
+                assert.ok(error.attempts.every((a) => a.found === 0));
+                return true;
+            }
+        );
+    });
+});
@@ -0,0 +1,207 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { REDACTED, createRedactor } from "../src/scraper/redact.js";
+
+const locations = (redactor) =>
+    redactor
+        .getReport()
+        .redactions.map(({ kind, name, location }) =>
+            [kind, name, location].join(" ")
+        )
+        .sort();
+
+describe("createRedactor", () => {
+    it("redacts auth headers and every cookie value", () => {
+        const redactor = createRedactor();
+        const headers = redactor.redactHeaders(
+            {
+                Authorization: "Bearer abc",
+                Cookie: "sid=1; theme=dark",
+                Accept: "application/json",
+            },
+            "request.headers",
+            "home"
+        );
+
+        assert.equal(headers.Authorization, REDACTED);
+        assert.equal(headers.Cookie, `sid=${REDACTED}; theme=${REDACTED}`);
+        assert.equal(headers.Accept, "application/json");
+        assert.equal(redactor.getReport().total, 3);
+    });
+
+    it("redacts token query parameters in URLs and URL headers", () => {
+        const redactor = createRedactor();
+
+        assert.equal(
+            redactor.redactUrl("https://app.test/cb?code=xyz&page=2"),
+            "https://app.test/cb?code=%5BREDACTED%5D&page=2"
+        );
+        assert.equal(
+            redactor.redactUrl("https://app.test/tasks?page=2"),
+            "https://app.test/tasks?page=2"
+        );
+        assert.equal(
+            redactor.redactHeaders({
+                Location: "https://app.test/home?access_token=t",
+            }).Location,
+            "https://app.test/home?access_token=%5BREDACTED%5D"
+        );
+    });
+
+    it("redacts JSON paths in parsed, JSON and form bodies", () => {
+        const redactor = createRedactor();
+
+        assert.deepEqual(
+            redactor.redactBody({ user: { password: "p", name: "n" } }),
+            { user: { password: REDACTED, name: "n" } }
+        );
+        assert.equal(
+            redactor.redactBody('{"data":[{"token":"t"}]}'),
+            `{"data":[{"token":"${REDACTED}"}]}`
+        );
+        assert.equal(
+            redactor.redactBody("email=a%40b.c&password=hunter2"),
+            "email=a%40b.c&password=%5BREDACTED%5D"
+        );
+        assert.equal(redactor.redactBody("plain text"), "plain text");
+    });
+
+    it("applies custom rules", () => {
+        const redactor = createRedactor({
+            headers: ["x-workspace-token"],
+            cookies: ["sid"],
+            queryParams: [],
+            jsonPaths: ["data.*.secret_key"],
+        });
+
+        assert.equal(
+            redactor.redactHeaders({ "X-Workspace-Token": "w" })[
+                "X-Workspace-Token"
+            ],
+            REDACTED
+        );
+        assert.equal(
+            redactor.redactHeaders({ cookie: "sid=1; theme=dark" }).cookie,
+            `sid=${REDACTED}; theme=dark`
+        );
+        assert.deepEqual(
+            redactor.redactBody({
+                data: { a: { secret_key: "s" } },
+                secret_key: "top",
+            }),
+            { data: { a: { secret_key: REDACTED } }, secret_key: "top" }
+        );
+    });
+});
+
+describe("redactHarEntry", () => {
+    const harEntry = () => ({
+        request: {
+            method: "POST",
+            url: "https://app.test/login?token=abc&x=1",
+            queryString: [
+                { name: "token", value: "abc" },
+                { name: "x", value: "1" },
+            ],
+            headers: [
+                { name: "Authorization", value: "Bearer abc" },
+                { name: "Referer", value: "https://app.test/?code=c" },
+            ],
+            cookies: [{ name: "sid", value: "s" }],
+            postData: {
+                mimeType: "application/x-www-form-urlencoded",
+                text: "email=a%40b.c&password=hunter2",
+                params: [
+                    { name: "email", value: "a@b.c" },
+                    { name: "password", value: "hunter2" },
+                ],
+            },
+        },
+        response: {
+            status: 200,
+            headers: [{ name: "Set-Cookie", value: "sid=2; Path=/" }],
+            cookies: [{ name: "sid", value: "2" }],
+            content: {
+                mimeType: "application/json",
+                encoding: "base64",
+                text: Buffer.from('{"access_token":"t","ok":true}').toString(
+                    "base64"
+                ),
+            },
+        },
+    });
+
+    it("redacts URLs, query strings, bodies, headers and cookies", () => {
+        const redactor = createRedactor();
+        const { request, response } = redactor.redactHarEntry(
+            harEntry(),
+            "session.har"
+        );
+
+        assert.equal(
+            request.url,
+            "https://app.test/login?token=%5BREDACTED%5D&x=1"
+        );
+        assert.deepEqual(
+            request.queryString.map((param) => param.value),
+            [REDACTED, "1"]
+        );
+        assert.equal(request.headers[0].value, REDACTED);
+        assert.equal(
+            request.headers[1].value,
+            "https://app.test/?code=%5BREDACTED%5D"
+        );
+        assert.equal(request.cookies[0].value, REDACTED);
+        assert.equal(
+            request.postData.text,
+            "email=a%40b.c&password=%5BREDACTED%5D"
+        );
+        assert.deepEqual(request.postData.params[1], {
+            name: "password",
+            value: REDACTED,
+        });
+
+        assert.equal(response.headers[0].value, `sid=${REDACTED}; Path=/`);
+        assert.equal(response.cookies[0].value, REDACTED);
+        assert.equal(response.content.encoding, undefined);
+        assert.deepEqual(JSON.parse(response.content.text), {
+            access_token: REDACTED,
+            ok: true,
+        });
+    });
+
+    it("reports cookie array redactions", () => {
+        const redactor = createRedactor();
+        redactor.redactHarEntry(harEntry(), "session.har");
+
+        assert.ok(
+            locations(redactor).includes("cookie sid request.cookies") &&
+                locations(redactor).includes("cookie sid response.cookies")
+        );
+    });
+
+    it("redacts a live request like its recording, for replay", () => {
+        const recorded = createRedactor().redactHarEntry(harEntry());
+        const { request } = createRedactor().redactHarEntry({
+            request: {
+                url: "https://app.test/login?token=other&x=1",
+                postData: {
+                    mimeType: "application/x-www-form-urlencoded",
+                    text: "email=a%40b.c&password=other",
+                },
+            },
+        });
+
+        assert.equal(request.url, recorded.request.url);
+        assert.equal(request.postData.text, recorded.request.postData.text);
+    });
+
+    it("leaves markup and binary responses as recorded", () => {
+        const html = '<a href="?token=1">token=1</a>';
+        const { response } = createRedactor().redactHarEntry({
+            response: { content: { mimeType: "text/html", text: html } },
+        });
+
+        assert.equal(response.content.text, html);
+    });
+});
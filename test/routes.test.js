@@ -0,0 +1,162 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inferRouteMap, matchRoute } from "../src/scraper/routes.js";
+
+const origin = "https://app.asana.com";
+
+const scrapedData = (pages) => ({
+    targetUrl: origin,
+    pages: pages.map(([name, path, links = []]) => ({
+        name,
+        url: `${origin}${path}`,
+        interactiveElements: links.map(([text, href]) => ({
+            type: "link",
+            text,
+            href,
+        })),
+    })),
+});
+
+describe("inferRouteMap", () => {
+    it("names ID parameters after the segment before them", () => {
+        const { routes } = inferRouteMap(
+            scrapedData([["project", "/0/project/123456/list"]])
+        );
+
+        assert.deepEqual(
+            routes.map((route) => route.path),
+            ["/0/project/:projectId/list"]
+        );
+        assert.deepEqual(routes[0].params, ["projectId"]);
+    });
+
+    it("names parameters without a word before them after their API resource", () => {
+        const { routes } = inferRouteMap(
+            scrapedData([
+                ["home", "/1/1111111/home"],
+                ["project", "/1/1111111/project/5681/list/9996"],
+            ]),
+            [
+                {
+                    url: `${origin}/1/1111111/home`,
+                    requests: [
+                        { url: `${origin}/api/1.0/workspaces/1111111/tasks` },
+                    ],
+                },
+            ]
+        );
+
+        assert.deepEqual(
+            routes.map((route) => route.path),
+            [
+                "/1/:workspaceId/home",
+                "/1/:workspaceId/project/:projectId/list/:listId",
+            ]
+        );
+    });
+
+    it("turns a position with several slugs into a parameter", () => {
+        const { routes } = inferRouteMap(
+            scrapedData([
+                [
+                    "blog",
+                    "/blog",
+                    [
+                        ["Release", "/blog/spring-release-notes"],
+                        ["Launch", "/blog/launch-day-recap"],
+                        ["Hiring", "/blog/we-are-hiring"],
+                    ],
+                ],
+            ])
+        );
+
+        assert.deepEqual(
+            routes.map((route) => route.path),
+            ["/blog", "/blog/:blogSlug"]
+        );
+        assert.equal(routes[1].visited, false);
+        assert.equal(routes[1].examples.length, 3);
+    });
+
+    it("maps pages to routes, states and variants without pinning IDs", () => {
+        const { pages } = inferRouteMap(
+            scrapedData([
+                ["home", "/0/home"],
+                ["create-project-menu", "/0/home"],
+                ["project-view", "/0/project/5681/list"],
+                ["my-tasks", "/0/project/7777/list"],
+            ])
+        );
+
+        assert.equal(pages.home.routerPath, "/0/home");
+        assert.equal(pages["create-project-menu"].routerPath, null);
+        assert.equal(pages["create-project-menu"].stateOf, "home");
+        assert.equal(
+            pages["project-view"].routerPath,
+            "/0/project/:projectId/list"
+        );
+        assert.deepEqual(pages["project-view"].params, { projectId: "5681" });
+        assert.equal(pages["my-tasks"].routerPath, null);
+        assert.equal(pages["my-tasks"].variantOf, "project-view");
+        assert.equal(pages["my-tasks"].path, "/0/project/7777/list");
+    });
+
+    it("records links and URL-changing actions as navigation", () => {
+        const { navigation } = inferRouteMap(
+            scrapedData([
+                ["home", "/0/home", [["My tasks", `${origin}/0/tasks`]]],
+                ["tasks", "/0/tasks"],
+            ]),
+            [
+                { url: `${origin}/0/home`, description: "Open project" },
+                { url: `${origin}/0/project/123456` },
+            ]
+        );
+
+        assert.deepEqual(
+            navigation.map(({ from, to, via, labels }) => ({
+                from,
+                to,
+                via,
+                labels,
+            })),
+            [
+                {
+                    from: "/0/home",
+                    to: "/0/tasks",
+                    via: "link",
+                    labels: ["My tasks"],
+                },
+                {
+                    from: "/0/home",
+                    to: "/0/project/:projectId",
+                    via: "action",
+                    labels: ["Open project"],
+                },
+            ]
+        );
+    });
+});
+
+describe("matchRoute", () => {
+    const routes = [
+        { path: "/0/tasks" },
+        { path: "/0/:workspaceId" },
+        { path: "/0/project/:projectId" },
+    ];
+
+    it("returns the route and its parameter values", () => {
+        assert.deepEqual(matchRoute(routes, "/0/project/42"), {
+            route: routes[2],
+            params: { projectId: "42" },
+        });
+    });
+
+    it("prefers the route listed first", () => {
+        assert.equal(matchRoute(routes, "/0/tasks").route, routes[0]);
+    });
+
+    it("returns null for unknown paths", () => {
+        assert.equal(matchRoute(routes, "/settings"), null);
+    });
+});